@@ -12,11 +12,13 @@ import { Extension } from "resource:///org/gnome/shell/extensions/extension.js";
 import * as Main from "resource:///org/gnome/shell/ui/main.js";
 import * as ExtensionManager from "./lib/extensionManager.js";
 import { cleanupOnDisable } from "./services/messaging.js";
+import { loadCredentials, unloadCredentials } from "./services/credentials.js";
 import { Indicator } from "./ui/mainPanel.js";
 
 export default class LinuxCopilotExtension extends Extension {
   enable() {
       ExtensionManager.init(this);
+      loadCredentials();
       this._indicator = new Indicator(this);
       Main.panel.addToStatusArea(this.metadata.uuid, this._indicator);
   }
@@ -33,5 +35,6 @@ export default class LinuxCopilotExtension extends Extension {
 
     ExtensionManager.cleanup();
     cleanupOnDisable();
+    unloadCredentials();
   }
 }
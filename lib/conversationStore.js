@@ -0,0 +1,272 @@
+/**
+ * Saved conversations
+ *
+ * Every conversation is kept in its own file,
+ * ~/.local/share/gnomelama/conversations/<id>.json, as
+ * { id, title, model, created, updated, tree, files }. Dates are Unix times
+ * in seconds, tree is the root of the history tree with every version of
+ * the messages and files are attachments that were not sent yet, as
+ * { fileName, content, path, usage }. Conversations saved before messages
+ * could be edited hold a flat "messages" list instead of the tree.
+ *
+ * index.json in the same folder lists { id, title, model, created, updated }
+ * of every conversation, so the chat list is read from one small file. It is
+ * built from the conversation files when it is missing. Files are read and
+ * written asynchronously; writes run one after another in the order the
+ * conversations were saved.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+
+const CONVERSATION_DIRECTORY = GLib.build_filenamev([GLib.get_user_data_dir(), "gnomelama", "conversations"]);
+const INDEX_FILE = GLib.build_filenamev([CONVERSATION_DIRECTORY, "index.json"]);
+
+// Index entries by conversation id, read on first use
+let indexLoading = null;
+// Contents of conversations whose file is not written yet, by id
+const pendingContents = new Map();
+let writeQueue = Promise.resolve();
+
+/**
+ * @param {string} id - Conversation id
+ * @returns {string} Path of the conversation's file
+ */
+function getConversationPath(id) {
+  return GLib.build_filenamev([CONVERSATION_DIRECTORY, `${id}.json`]);
+}
+
+/**
+ * @returns {string} A new conversation id
+ */
+export function createConversationId() {
+  return GLib.uuid_string_random();
+}
+
+/**
+ * Reads a JSON file without blocking the main loop
+ * @param {string} path - File path
+ * @returns {Promise<*>} Parsed contents, null when the file is missing or invalid
+ */
+function readJson(path) {
+  return new Promise((resolve) => {
+    Gio.File.new_for_path(path).load_contents_async(null, (source, result) => {
+      try {
+        resolve(JSON.parse(imports.byteArray.toString(source.load_contents_finish(result)[1])));
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Lists the names of the files in the conversations folder
+ * @returns {Promise<Array<string>>} File names, empty when the folder is missing
+ */
+function listFileNames() {
+  return new Promise((resolve) => {
+    Gio.File.new_for_path(CONVERSATION_DIRECTORY).enumerate_children_async(
+      "standard::name",
+      Gio.FileQueryInfoFlags.NONE,
+      GLib.PRIORITY_DEFAULT,
+      null,
+      (source, result) => {
+        const names = [];
+        let enumerator;
+        try {
+          enumerator = source.enumerate_children_finish(result);
+        } catch {
+          // No conversation was saved yet
+          resolve(names);
+          return;
+        }
+
+        const readBatch = () => {
+          enumerator.next_files_async(100, GLib.PRIORITY_DEFAULT, null, (_enumerator, batchResult) => {
+            let batch = [];
+            try {
+              batch = enumerator.next_files_finish(batchResult);
+            } catch {
+              // The names read so far are listed
+            }
+            names.push(...batch.map((info) => info.get_name()));
+            if (batch.length > 0) {
+              readBatch();
+              return;
+            }
+            enumerator.close_async(GLib.PRIORITY_DEFAULT, null, null);
+            resolve(names);
+          });
+        };
+        readBatch();
+      }
+    );
+  });
+}
+
+/**
+ * Writes a file without blocking the main loop, replacing it once written
+ * @param {string} path - File path
+ * @param {string} text - Contents
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+function writeText(path, text) {
+  GLib.mkdir_with_parents(CONVERSATION_DIRECTORY, 0o700);
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).replace_contents_bytes_async(
+      new GLib.Bytes(imports.byteArray.fromString(text)),
+      null,
+      false,
+      Gio.FileCreateFlags.PRIVATE | Gio.FileCreateFlags.REPLACE_DESTINATION,
+      null,
+      (source, result) => {
+        try {
+          source.replace_contents_finish(result);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Runs a file operation after the ones queued before it
+ * @param {Function} operation - Returns a promise for the operation
+ * @returns {Promise<void>} Resolves or rejects with the operation
+ */
+function enqueue(operation) {
+  const result = writeQueue.then(operation);
+  writeQueue = result.catch(() => null);
+  return result;
+}
+
+/**
+ * @param {Object} conversation - Saved conversation
+ * @returns {Object} Its index entry
+ */
+function toIndexEntry({ id, title, model, created, updated }) {
+  return { id, title, model, created, updated };
+}
+
+/**
+ * @param {*} conversation - Parsed conversation file
+ * @returns {boolean} Whether it holds a conversation
+ */
+function isConversation(conversation) {
+  return Boolean(conversation && (conversation.tree || Array.isArray(conversation.messages)));
+}
+
+/**
+ * Builds the index from the conversation files, for folders saved before
+ * the index existed or after it was lost
+ * @returns {Promise<Map>} Index entries by id
+ */
+async function rebuildIndex() {
+  const entries = new Map();
+  const names = (await listFileNames()).filter((name) => name.endsWith(".json") && name !== "index.json");
+  for (const name of names) {
+    // eslint-disable-next-line no-await-in-loop
+    const conversation = await readJson(GLib.build_filenamev([CONVERSATION_DIRECTORY, name]));
+    if (isConversation(conversation)) {
+      entries.set(conversation.id, toIndexEntry(conversation));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Reads the index once and keeps it in memory
+ * @returns {Promise<Map>} Index entries by id
+ */
+function loadIndex() {
+  if (!indexLoading) {
+    indexLoading = (async () => {
+      const stored = await readJson(INDEX_FILE);
+      if (Array.isArray(stored)) {
+        return new Map(stored.filter((entry) => entry?.id).map((entry) => [entry.id, entry]));
+      }
+
+      const entries = await rebuildIndex();
+      if (entries.size > 0) {
+        writeIndex(entries).catch(() => null);
+      }
+      return entries;
+    })();
+  }
+  return indexLoading;
+}
+
+/**
+ * Writes the index as it is when the write starts
+ * @param {Map} entries - Index entries by id
+ * @returns {Promise<void>} Resolves once the index is written
+ */
+function writeIndex(entries) {
+  return enqueue(() => writeText(INDEX_FILE, JSON.stringify([...entries.values()])));
+}
+
+/**
+ * Reads a saved conversation
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} The conversation, null when the file is missing or invalid
+ */
+export async function loadConversation(id) {
+  const conversation = pendingContents.has(id)
+    ? JSON.parse(pendingContents.get(id))
+    : await readJson(getConversationPath(id));
+  return isConversation(conversation) ? conversation : null;
+}
+
+/**
+ * Writes a conversation. Its contents are taken right away, so the caller
+ * may change it while the file is written.
+ * @param {Object} conversation - Conversation to store
+ * @returns {Promise<void>} Resolves once the conversation and index are written
+ */
+export async function saveConversation(conversation) {
+  const { id } = conversation;
+  const text = JSON.stringify(conversation);
+  pendingContents.set(id, text);
+  const entries = await loadIndex();
+  entries.set(id, toIndexEntry(conversation));
+
+  const written = enqueue(() => writeText(getConversationPath(id), text)).finally(() => {
+    if (pendingContents.get(id) === text) {
+      pendingContents.delete(id);
+    }
+  });
+  await Promise.all([written, writeIndex(entries)]);
+}
+
+/**
+ * Deletes a saved conversation
+ * @param {string} id - Conversation id
+ * @returns {Promise<void>} Resolves once the file is gone and the index written
+ */
+export async function deleteConversation(id) {
+  pendingContents.delete(id);
+  const entries = await loadIndex();
+  entries.delete(id);
+
+  const deleted = enqueue(() => new Promise((resolve) => {
+    Gio.File.new_for_path(getConversationPath(id)).delete_async(GLib.PRIORITY_DEFAULT, null, (source, result) => {
+      try {
+        source.delete_finish(result);
+      } catch {
+        // Already gone
+      }
+      resolve();
+    });
+  }));
+  await Promise.all([deleted, writeIndex(entries)]);
+}
+
+/**
+ * Lists the saved conversations, most recently updated first
+ * @returns {Promise<Array>} Conversations as { id, title, model, created, updated }
+ */
+export async function listConversations() {
+  return [...(await loadIndex()).values()].sort((a, b) => b.updated - a.updated);
+}
@@ -0,0 +1,108 @@
+/**
+ * API keys in the GNOME keyring
+ *
+ * Keys are stored with libsecret under the GnomeLama schema, one secret per
+ * key named after the settings key that used to hold it. The preferences
+ * window writes them and bumps the "credentials-revision" setting, so the
+ * shell process knows to read them again.
+ */
+import Secret from "gi://Secret";
+
+export const CREDENTIAL_KEYS = [
+  "openai-api-key",
+  "gemini-api-key",
+  "anthropic-api-key",
+  "openai-compatible-api-key",
+];
+
+const SCHEMA = new Secret.Schema(
+  "org.gnome.shell.extensions.gnomelama.ApiKey",
+  Secret.SchemaFlags.NONE,
+  { key: Secret.SchemaAttributeType.STRING }
+);
+
+/**
+ * Reads a key from the keyring
+ * @param {string} key - Credential key, one of CREDENTIAL_KEYS
+ * @returns {Promise<string>} The stored key, empty when none is stored
+ */
+export function lookupCredential(key) {
+  return new Promise((resolve, reject) => {
+    Secret.password_lookup(SCHEMA, { key }, null, (source, result) => {
+      try {
+        resolve(Secret.password_lookup_finish(result) || "");
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Removes a key from the keyring
+ * @param {string} key - Credential key
+ * @returns {Promise<void>} Resolves once the key is gone
+ */
+export function clearCredential(key) {
+  return new Promise((resolve, reject) => {
+    Secret.password_clear(SCHEMA, { key }, null, (source, result) => {
+      try {
+        Secret.password_clear_finish(result);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Stores a key in the default keyring. An empty value removes the key.
+ * @param {string} key - Credential key
+ * @param {string} value - API key
+ * @returns {Promise<void>} Resolves once the key is stored
+ */
+export function storeCredential(key, value) {
+  if (!value) {
+    return clearCredential(key);
+  }
+
+  return new Promise((resolve, reject) => {
+    Secret.password_store(SCHEMA, { key }, Secret.COLLECTION_DEFAULT, `GnomeLama ${key}`, value, null, (source, result) => {
+      try {
+        Secret.password_store_finish(result);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Tells the shell process that keys changed
+ * @param {Gio.Settings} settings - Extension settings
+ */
+export function notifyCredentialsChanged(settings) {
+  settings.set_int("credentials-revision", settings.get_int("credentials-revision") + 1);
+}
+
+/**
+ * Moves keys still kept in settings into the keyring. A settings key is only
+ * emptied once its value is stored, so a missing keyring loses nothing.
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Promise<boolean>} Whether any key was moved
+ */
+export async function migrateCredentials(settings) {
+  const legacyKeys = CREDENTIAL_KEYS.filter((key) => settings.get_string(key));
+  const results = await Promise.allSettled(legacyKeys.map(async (key) => {
+    await storeCredential(key, settings.get_string(key));
+    settings.reset(key);
+  }));
+
+  const moved = results.some((result) => result.status === "fulfilled");
+  if (moved) {
+    notifyCredentialsChanged(settings);
+  }
+  return moved;
+}
@@ -0,0 +1,126 @@
+/**
+ * Stored document index
+ *
+ * The index of the document folder is kept in ~/.local/share/gnomelama as
+ * index.json, { folder, model, indexedAt, dimensions, files }, where files maps
+ * each path to { modified, chunks } and chunks are { startLine, endLine, text },
+ * and index.vectors, the normalized vectors of the chunks as 32-bit floats in
+ * the order of the files and their chunks. Keeping the vectors out of the
+ * JSON keeps both files quick to read and write, which happens asynchronously.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+
+const INDEX_DIRECTORY = GLib.build_filenamev([GLib.get_user_data_dir(), "gnomelama"]);
+const INDEX_FILE = GLib.build_filenamev([INDEX_DIRECTORY, "index.json"]);
+const VECTORS_FILE = GLib.build_filenamev([INDEX_DIRECTORY, "index.vectors"]);
+
+/**
+ * Reads a file without blocking the main loop
+ * @param {string} path - File path
+ * @returns {Promise<Uint8Array>} File contents
+ */
+function readBytes(path) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).load_contents_async(null, (source, result) => {
+      try {
+        resolve(source.load_contents_finish(result)[1]);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Writes a file without blocking the main loop, replacing it once written
+ * @param {string} path - File path
+ * @param {Uint8Array} bytes - Contents
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+function writeBytes(path, bytes) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).replace_contents_bytes_async(
+      new GLib.Bytes(bytes),
+      null,
+      false,
+      Gio.FileCreateFlags.REPLACE_DESTINATION,
+      null,
+      (source, result) => {
+        try {
+          source.replace_contents_finish(result);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Gives the chunks of a stored index their vectors
+ * @param {Object} stored - Parsed index.json
+ * @param {Uint8Array} bytes - Contents of index.vectors
+ * @returns {Object|null} The index, null when the two do not match
+ */
+function attachVectors(stored, bytes) {
+  const files = stored?.files && typeof stored.files === "object" ? Object.values(stored.files) : null;
+  if (!files || !Number.isInteger(stored.dimensions) || !files.every((file) => Array.isArray(file?.chunks))) {
+    return null;
+  }
+
+  // Float32Array needs an aligned buffer
+  const buffer = bytes.byteOffset % 4 === 0 ? bytes.buffer : bytes.slice().buffer;
+  const offset = bytes.byteOffset % 4 === 0 ? bytes.byteOffset : 0;
+  const vectors = new Float32Array(buffer, offset, Math.floor(bytes.byteLength / 4));
+  const chunks = files.flatMap((file) => file.chunks);
+  if (vectors.length !== chunks.length * stored.dimensions) {
+    return null;
+  }
+
+  chunks.forEach((chunk, row) => {
+    chunk.vector = vectors.subarray(row * stored.dimensions, (row + 1) * stored.dimensions);
+  });
+  return stored;
+}
+
+/**
+ * Reads the stored index
+ * @returns {Promise<Object|null>} The index with the vectors in its chunks,
+ *   null when none is stored or the files are invalid
+ */
+export async function readIndex() {
+  try {
+    const contents = await readBytes(INDEX_FILE);
+    return attachVectors(JSON.parse(imports.byteArray.toString(contents)), await readBytes(VECTORS_FILE));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores an index
+ * @param {Object} data - Index whose chunks hold their vectors
+ * @returns {Promise<void>} Resolves once both files are written
+ */
+export async function writeIndex(data) {
+  const chunks = Object.values(data.files).flatMap((file) => file.chunks);
+  const dimensions = chunks.length > 0 ? chunks[0].vector.length : 0;
+  const vectors = new Float32Array(chunks.length * dimensions);
+  chunks.forEach((chunk, row) => {
+    if (chunk.vector.length !== dimensions) {
+      throw new Error(`${data.model} returned embeddings of different sizes`);
+    }
+    vectors.set(chunk.vector, row * dimensions);
+  });
+
+  const files = Object.fromEntries(Object.entries(data.files).map(([path, file]) => [path, {
+    modified: file.modified,
+    chunks: file.chunks.map(({ startLine, endLine, text }) => ({ startLine, endLine, text })),
+  }]));
+
+  GLib.mkdir_with_parents(INDEX_DIRECTORY, 0o700);
+  await writeBytes(VECTORS_FILE, new Uint8Array(vectors.buffer));
+  await writeBytes(INDEX_FILE, imports.byteArray.fromString(JSON.stringify({ ...data, dimensions, files })));
+}
@@ -1,6 +1,7 @@
 /**
  * Message content parser for text and code blocks
  */
+import { splitThinking } from "./thinking.js";
 
 // Regular expressions for parsing
 const REGEX = {
@@ -13,46 +14,8 @@ const REGEX = {
   heading: /^(#{1,6})\s+(.*?)$/gmu,
   // Horizontal rule needs specific pattern to avoid matching partial rules
   horizontalRule: /^(?:[-*_]){3,}$/gmu,
-  // Patterns for thinking sections that should be hidden
-  thinkingSection: /<think>[\s\S]*?<\/think>/gu,
-  thinkingOpenTag: /<think>/gu,
-  thinkingCloseTag: /<\/think>/gu,
-  thinkingSingleTag: /<thinking>/gu,
-  thinkingPrefix: /^thinking:.*$/gmu,
 };
 
-// For storing the thinking-free content from the previous update
-// This helps prevent flickering during streaming updates
-let previousCleanContent = "";
-
-/**
- * Process and remove thinking content from message
- * @param {string} textContent - The message text to clean
- * @returns {string} Cleaned content with thinking sections removed
- */
-function removeThinkingContent(textContent) {
-  // Layer 1: Remove complete thinking sections
-  let cleanedText = textContent.replace(REGEX.thinkingSection, "");
-
-  // Layer 2: Remove everything after a thinking tag
-  const removeEverythingAfterPattern = (content, pattern) => {
-    const index = content.indexOf(pattern);
-    if (index !== -1) {
-      return content.substring(0, index);
-    }
-    return content;
-  };
-
-  cleanedText = removeEverythingAfterPattern(cleanedText, "<think>");
-  cleanedText = removeEverythingAfterPattern(cleanedText, "<thinking>");
-
-  // Layer 3: Remove lines with thinking prefix
-  cleanedText = cleanedText.replace(REGEX.thinkingPrefix, "");
-
-  // Clean up any resulting empty lines or excessive spacing
-  return cleanedText.replace(/\n{3,}/gu, "\n\n").trim();
-}
-
 /**
  * Process code blocks in message content
  * @param {string} text - Text to process
@@ -101,41 +64,8 @@ export function parseMessageContent(text) {
   // Normalize line endings
   text = text.replace(/\r\n/gu, "\n");
 
-  // FIRST PASS: Quick detection of thinking indicators
-  const hasThinkingStartTag =
-    text.includes("<think>") || text.includes("<thinking>");
-  const hasThinkingPrefix = text.match(/^thinking:/mu) !== null;
-
-  // If we detect thinking at all, we need to be more aggressive with filtering
-  if (hasThinkingStartTag || hasThinkingPrefix) {
-    // Apply multi-layer filtering to ensure all thinking content is removed
-    const cleanedText = removeThinkingContent(text);
-
-    // If there's nothing left after removing thinking content
-    if (!cleanedText) {
-      // Store empty content as the latest clean content
-      previousCleanContent = "";
-
-      // Just show thinking indicator
-      return [
-        {
-          type: "text",
-          content: "thinking...",
-        },
-      ];
-    }
-
-    // We have real content - store it as the latest clean content
-    previousCleanContent = cleanedText;
-
-    // Use this clean content for further processing
-    text = cleanedText;
-  } else if (previousCleanContent && text.includes(previousCleanContent)) {
-    // If current text contains our previously cleaned content,
-    // only use the previously cleaned content to avoid flashes of thinking text
-    // This handles the case where thinking text appears after real content
-    text = previousCleanContent;
-  }
+  // Reasoning is shown in its own section, never as part of the answer
+  text = splitThinking(text).answer;
 
   // Process code blocks
   const { parts, lastIndex } = processCodeBlocks(text);
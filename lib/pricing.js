@@ -0,0 +1,64 @@
+/**
+ * Model pricing for usage cost estimates
+ *
+ * Prices are stored as JSON in the "model-pricing" setting: an object keyed by
+ * model name or name prefix, each with "input" and "output" prices in US
+ * dollars per million tokens. The longest matching prefix wins, so
+ * "gpt-4o-mini" takes precedence over "gpt-4o".
+ */
+
+/**
+ * Parses the pricing table
+ * @param {string} json - Value of the model-pricing setting
+ * @returns {Object} Prices keyed by model name prefix
+ */
+export function parsePricing(json) {
+  try {
+    const pricing = JSON.parse(json || "{}");
+    return pricing && typeof pricing === "object" && !Array.isArray(pricing) ? pricing : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Finds the prices of a model
+ * @param {Object} pricing - Pricing table from parsePricing
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Object|null} { input, output } per million tokens, or null when unknown
+ */
+export function findModelPricing(pricing, modelName) {
+  // Menu names may carry a routing prefix such as "anthropic:" or "compat:"
+  const name = (modelName || "").replace(/^[a-z]+:/u, "");
+  const key = Object.keys(pricing)
+    .filter((prefix) => prefix && name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? pricing[key] : null;
+}
+
+/**
+ * Estimates the cost of a reply
+ * @param {Object|null} prices - Prices from findModelPricing
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Generated tokens
+ * @returns {number|null} Cost in US dollars, or null without prices
+ */
+export function estimateCost(prices, inputTokens, outputTokens) {
+  if (!prices) {
+    return null;
+  }
+
+  const input = Number(prices.input) || 0;
+  const output = Number(prices.output) || 0;
+  return (inputTokens * input + outputTokens * output) / 1000000;
+}
+
+/**
+ * Formats a cost for display
+ * @param {number} cost - Cost in US dollars
+ * @returns {string} Cost with enough decimals to show small amounts
+ */
+export function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
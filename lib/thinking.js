@@ -0,0 +1,73 @@
+/**
+ * Reasoning ("thinking") text of replies
+ *
+ * Providers stream reasoning in the reply text wrapped in <think> tags, the
+ * same way reasoning models served without a separate thinking field emit
+ * it. Every chunk may be wrapped on its own, so consecutive sections belong
+ * together. The panel shows the reasoning apart from the answer, and the
+ * history keeps the answer only.
+ */
+
+const SECTION = /<(think|thinking)>([\s\S]*?)<\/\1>/gu;
+const OPEN_TAG = /<(think|thinking)>/u;
+const CLOSE_TAG = /<\/(think|thinking)>/u;
+
+/**
+ * Restores the opening tag some chat templates leave out, so the reply
+ * starts with reasoning and only its end is marked
+ * @param {string} text - Reply text
+ * @returns {string} Text with every reasoning section opened
+ */
+function openLeadingSection(text) {
+  const close = text.match(CLOSE_TAG);
+  const open = text.match(OPEN_TAG);
+  return close && (!open || close.index < open.index) ? `<${close[1]}>${text}` : text;
+}
+
+/**
+ * Marks streamed text as reasoning
+ * @param {string} text - Reasoning text
+ * @returns {string} Text wrapped in <think> tags, empty for empty text
+ */
+export function wrapThinking(text) {
+  return text ? `<think>${text}</think>` : "";
+}
+
+/**
+ * Separates the reasoning from the answer
+ * @param {string} text - Reply text, possibly still streaming
+ * @returns {Object} { thinking, answer, inProgress } where inProgress tells
+ *   whether an opened reasoning section has not been closed yet
+ */
+export function splitThinking(text) {
+  if (!text || (!OPEN_TAG.test(text) && !CLOSE_TAG.test(text))) {
+    return { thinking: "", answer: text || "", inProgress: false };
+  }
+
+  const sections = [];
+  let answer = openLeadingSection(text).replace(SECTION, (_match, _tag, content) => {
+    sections.push(content);
+    return "";
+  });
+
+  // Reasoning streamed as plain text is only closed once it ends
+  const open = answer.match(OPEN_TAG);
+  if (open) {
+    sections.push(answer.slice(open.index + open[0].length));
+    answer = answer.slice(0, open.index);
+  }
+
+  return {
+    thinking: sections.join("").trim(),
+    answer: answer.replace(/^\s+/u, ""),
+    inProgress: Boolean(open),
+  };
+}
+
+/**
+ * @param {string} text - Reply text
+ * @returns {string} The answer without its reasoning
+ */
+export function stripThinking(text) {
+  return splitThinking(text).answer.trim();
+}
@@ -0,0 +1,177 @@
+/**
+ * Persistent token usage, aggregated per day
+ *
+ * Usage is kept in ~/.local/share/gnomelama/usage.json as
+ * { days: { "YYYY-MM-DD": { providerId: { modelName: totals } } } }, where
+ * totals are { messages, inputTokens, outputTokens, cost }. The file is read
+ * again for every update so the preferences window can clear it at any time.
+ * The shell updates it asynchronously, one reply after another; the
+ * preferences window reads and clears it directly.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+
+const USAGE_DIRECTORY = GLib.build_filenamev([GLib.get_user_data_dir(), "gnomelama"]);
+const USAGE_FILE = GLib.build_filenamev([USAGE_DIRECTORY, "usage.json"]);
+
+let updateQueue = Promise.resolve();
+
+/**
+ * @returns {Object} Empty totals
+ */
+function createTotals() {
+  return { messages: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * Adds totals into another totals object
+ * @param {Object} target - Totals updated in place
+ * @param {Object} totals - Totals to add
+ */
+function addTotals(target, totals) {
+  target.messages += totals.messages || 0;
+  target.inputTokens += totals.inputTokens || 0;
+  target.outputTokens += totals.outputTokens || 0;
+  target.cost += totals.cost || 0;
+}
+
+/**
+ * @returns {string} Today's date in local time as YYYY-MM-DD
+ */
+function getToday() {
+  return GLib.DateTime.new_now_local().format("%Y-%m-%d");
+}
+
+/**
+ * @param {string} text - Contents of the usage file
+ * @returns {Object} Stored usage, empty when the text is not valid usage
+ */
+function parseUsage(text) {
+  try {
+    const usage = JSON.parse(text);
+    return usage && typeof usage.days === "object" ? usage : { days: {} };
+  } catch {
+    return { days: {} };
+  }
+}
+
+/**
+ * Reads the usage file
+ * @returns {Object} Stored usage, empty when the file is missing or invalid
+ */
+export function loadUsage() {
+  try {
+    const [ok, contents] = GLib.file_get_contents(USAGE_FILE);
+    return ok ? parseUsage(imports.byteArray.toString(contents)) : { days: {} };
+  } catch {
+    return { days: {} };
+  }
+}
+
+/**
+ * Reads the usage file without blocking the main loop
+ * @returns {Promise<Object>} Stored usage, empty when the file is missing or invalid
+ */
+function readUsage() {
+  return new Promise((resolve) => {
+    Gio.File.new_for_path(USAGE_FILE).load_contents_async(null, (source, result) => {
+      try {
+        resolve(parseUsage(imports.byteArray.toString(source.load_contents_finish(result)[1])));
+      } catch {
+        resolve({ days: {} });
+      }
+    });
+  });
+}
+
+/**
+ * Writes the usage file without blocking the main loop, replacing it once written
+ * @param {Object} usage - Usage to store
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+function writeUsage(usage) {
+  GLib.mkdir_with_parents(USAGE_DIRECTORY, 0o700);
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(USAGE_FILE).replace_contents_bytes_async(
+      new GLib.Bytes(imports.byteArray.fromString(JSON.stringify(usage))),
+      null,
+      false,
+      Gio.FileCreateFlags.PRIVATE | Gio.FileCreateFlags.REPLACE_DESTINATION,
+      null,
+      (source, result) => {
+        try {
+          source.replace_contents_finish(result);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Writes the usage file
+ * @param {Object} usage - Usage to store
+ */
+function saveUsage(usage) {
+  GLib.mkdir_with_parents(USAGE_DIRECTORY, 0o700);
+  GLib.file_set_contents(USAGE_FILE, imports.byteArray.fromString(JSON.stringify(usage)));
+}
+
+/**
+ * Adds the usage of one reply to today's totals, after the updates of
+ * earlier replies
+ * @param {Object} entry - Provider id, model name, token counts and cost of the reply
+ * @returns {Promise<void>} Resolves once the usage is stored or could not be
+ */
+export function recordUsage({ providerId, modelName, inputTokens, outputTokens, cost }) {
+  // The day is the one the reply finished on, not the one it is written on
+  const today = getToday();
+  updateQueue = updateQueue.then(async () => {
+    const usage = await readUsage();
+    const day = usage.days[today] || (usage.days[today] = {});
+    const provider = day[providerId] || (day[providerId] = {});
+    const totals = provider[modelName] || (provider[modelName] = createTotals());
+
+    addTotals(totals, { messages: 1, inputTokens, outputTokens, cost });
+    await writeUsage(usage);
+  }).catch(() => null); // A reply is never lost over its statistics
+  return updateQueue;
+}
+
+/**
+ * Deletes all stored usage
+ */
+export function clearUsage() {
+  saveUsage({ days: {} });
+}
+
+/**
+ * Adds up stored usage from a given day on
+ * @param {Object} usage - Stored usage from loadUsage
+ * @param {number} [days] - Number of days to include, counting today; all days when omitted
+ * @returns {Object} Overall totals, totals per provider id and totals per day
+ */
+export function summarizeUsage(usage, days = 0) {
+  const firstDay = days > 0 ?
+    GLib.DateTime.new_now_local().add_days(1 - days).format("%Y-%m-%d") :
+    "";
+  const summary = { totals: createTotals(), providers: {}, days: {} };
+
+  Object.entries(usage.days)
+    .filter(([date]) => date >= firstDay)
+    .forEach(([date, providers]) => {
+      summary.days[date] = createTotals();
+      Object.entries(providers).forEach(([providerId, models]) => {
+        summary.providers[providerId] = summary.providers[providerId] || createTotals();
+        Object.values(models).forEach((totals) => {
+          addTotals(summary.totals, totals);
+          addTotals(summary.providers[providerId], totals);
+          addTotals(summary.days[date], totals);
+        });
+      });
+    });
+
+  return summary;
+}
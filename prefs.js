@@ -1,10 +1,20 @@
 import Adw from "gi://Adw";
 import Gdk from "gi://Gdk";
+import GLib from "gi://GLib";
 import Gtk from "gi://Gtk";
 import {
   ExtensionPreferences,
   gettext as _,
 } from "resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js";
+import {
+  clearCredential,
+  lookupCredential,
+  migrateCredentials,
+  notifyCredentialsChanged,
+  storeCredential,
+} from "./lib/credentials.js";
+import { formatCost, parsePricing } from "./lib/pricing.js";
+import { clearUsage, loadUsage, summarizeUsage } from "./lib/usageStore.js";
 
 export default class GnomeLamaPreferences extends ExtensionPreferences {
   constructor(metadata) {
@@ -12,6 +22,9 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     
     // Store references to UI controls for updating
     this._uiControls = {};
+
+    // Options of combo rows, to select their defaults on restore
+    this._comboOptions = {};
     
     // Page-specific setting keys
     this._pageSettings = {
@@ -52,8 +65,8 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
         "model-prompt",
         "api-endpoint", 
         "models-api-endpoint",
-        "openai-api-key",
-        "gemini-api-key"
+        "ollama-hosts",
+        "openai-compatible-base-url"
       ]
     };
   }
@@ -72,10 +85,15 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     // Get settings directly from the extension instance
     const settings = this.getSettings("org.gnome.shell.extensions.gnomelama");
 
+    // Keys saved by older versions move to the keyring before the rows show them
+    this._credentialsMigrated = migrateCredentials(settings).catch(() => false);
+
     // Create preference pages
     this._createAppearancePage(window, settings);
     this._createColorsPage(window, settings);
     this._createApiSettingsPage(window, settings);
+    this._createProfilesPage(window, settings);
+    this._createUsagePage(window, settings);
   }
 
   /**
@@ -112,6 +130,8 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
               settings.set_string(key, defaultValue);
             } else if (typeof defaultValue === 'number') {
               settings.set_double(key, defaultValue);
+            } else {
+              settings.reset(key);
             }
           }
         });
@@ -138,6 +158,9 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
           if (control.set_value && typeof defaultValue === 'number') {
             // Spin button
             control.set_value(defaultValue);
+          } else if (control.set_active && typeof defaultValue === 'boolean') {
+            // Switch
+            control.set_active(defaultValue);
           } else if (control.set_rgba && typeof defaultValue === 'string') {
             // Color button
             control.set_rgba(GnomeLamaPreferences.hexToRGBA(defaultValue));
@@ -146,15 +169,10 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
             control.set_text(defaultValue);
           } else if (control.set_selected && typeof defaultValue === 'string') {
             // Combo row - need to find the index of the default value
-            if (key === "panel-position") {
-              const options = [
-                { value: "left", title: _("Left") },
-                { value: "right", title: _("Right") }
-              ];
-              const defaultIndex = options.findIndex(option => option.value === defaultValue);
-              if (defaultIndex >= 0) {
-                control.set_selected(defaultIndex);
-              }
+            const options = this._comboOptions[key] || [];
+            const defaultIndex = options.findIndex(option => option.value === defaultValue);
+            if (defaultIndex >= 0) {
+              control.set_selected(defaultIndex);
             }
           }
         }
@@ -606,9 +624,17 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     window.add(apiPage);
 
     this._addGeneralConfigGroup(apiPage, settings);
+    this._addMemoryConfigGroup(apiPage, settings);
+    this._addRetrievalConfigGroup(apiPage, settings);
+    this._addToolsConfigGroup(apiPage, settings);
+    this._addFallbackConfigGroup(apiPage, settings);
+    this._addTimeoutConfigGroup(apiPage, settings);
     this._addOllamaConfigGroup(apiPage, settings);
+    this._addOllamaHostsGroup(apiPage, settings);
+    this._addCompatibleConfigGroup(apiPage, settings);
     this._addOpenAIConfigGroup(apiPage, settings);
     this._addGeminiConfigGroup(apiPage, settings);
+    this._addAnthropicConfigGroup(apiPage, settings);
     this._addRestoreDefaultsButton(apiPage, "api", settings);
   }
 
@@ -646,6 +672,253 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
       title: _("Model Prompt"),
       subtitle: _("Custom system prompt for the AI model"),
     });
+
+    // Reasoning of thinking models
+    this._pageSettings.api.push("thinking-display");
+    this._addComboRow(generalGroup, settings, {
+      key: "thinking-display",
+      title: _("Reasoning"),
+      subtitle: _("How the reasoning of thinking models is shown above the answer"),
+      options: [
+        { value: "hide", title: _("Hide") },
+        { value: "collapsed", title: _("Collapsed") },
+        { value: "expanded", title: _("Expanded") },
+      ],
+    });
+  }
+
+  /**
+   * Add conversation memory configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addMemoryConfigGroup(page, settings) {
+    const memoryGroup = new Adw.PreferencesGroup({
+      title: _("Conversation Memory"),
+      description: _("Older messages are always trimmed to fit the model's context window; summaries keep their content instead"),
+    });
+    page.add(memoryGroup);
+    this._pageSettings.api.push("summarize-history", "summary-threshold", "summary-model");
+
+    this._addSwitchRow(memoryGroup, settings, {
+      key: "summarize-history",
+      title: _("Summarize Long Conversations"),
+      subtitle: _("Replace older messages with an editable summary"),
+    });
+
+    this._addSpinRow(memoryGroup, settings, {
+      key: "summary-threshold",
+      title: _("Summary Threshold"),
+      subtitle: _("Estimated history tokens before summarizing"),
+      min: 1000,
+      max: 1000000,
+      step: 500,
+      digits: 0,
+    });
+
+    this._addEntryRow(memoryGroup, settings, {
+      key: "summary-model",
+      title: _("Summary Model"),
+      subtitle: _("Model that writes summaries; empty uses the current model"),
+    });
+  }
+
+  /**
+   * Add document retrieval configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addRetrievalConfigGroup(page, settings) {
+    const retrievalGroup = new Adw.PreferencesGroup({
+      title: _("Documents"),
+      description: _("Index a folder with an Ollama embedding model; indexing and its status are in the settings menu of the panel"),
+    });
+    page.add(retrievalGroup);
+    this._pageSettings.api.push("retrieval-enabled", "retrieval-folder", "embedding-model", "retrieval-top-k");
+
+    this._addSwitchRow(retrievalGroup, settings, {
+      key: "retrieval-enabled",
+      title: _("Use Indexed Documents"),
+      subtitle: _("Attach the most relevant excerpts to each message"),
+    });
+
+    this._addEntryRow(retrievalGroup, settings, {
+      key: "retrieval-folder",
+      title: _("Document Folder"),
+      subtitle: _("Full path of the folder to index"),
+    });
+
+    this._addEntryRow(retrievalGroup, settings, {
+      key: "embedding-model",
+      title: _("Embedding Model"),
+      subtitle: _("Ollama model such as nomic-embed-text"),
+    });
+
+    this._addSpinRow(retrievalGroup, settings, {
+      key: "retrieval-top-k",
+      title: _("Attached Excerpts"),
+      subtitle: _("Most excerpts attached to a message"),
+      min: 1,
+      max: 20,
+      step: 1,
+      digits: 0,
+    });
+  }
+
+  /**
+   * Add tool use configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addToolsConfigGroup(page, settings) {
+    const toolsGroup = new Adw.PreferencesGroup({
+      title: _("Tools"),
+      description: _("Supported by Ollama, OpenAI, OpenAI-compatible and Gemini models"),
+    });
+    page.add(toolsGroup);
+    this._pageSettings.api.push("enable-tools");
+
+    this._addSwitchRow(toolsGroup, settings, {
+      key: "enable-tools",
+      title: _("Allow Tool Use"),
+      subtitle: _("Files, directories, clipboard and date; shell commands need your approval"),
+    });
+  }
+
+  /**
+   * Add the ordered list of fallback models
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addFallbackConfigGroup(page, settings) {
+    const fallbackGroup = new Adw.PreferencesGroup({
+      title: _("Fallback Models"),
+      description: _("Tried in order when the selected model fails before answering"),
+    });
+    page.add(fallbackGroup);
+    this._pageSettings.api.push("fallback-models", "local-only");
+
+    this._addSwitchRow(fallbackGroup, settings, {
+      key: "local-only",
+      title: _("Local Fallbacks Only"),
+      subtitle: _("Skip OpenAI, Gemini, Anthropic and models of hosted Ollama or OpenAI-compatible servers in the fallback list"),
+    });
+
+    const getModels = () => settings.get_strv("fallback-models");
+    const setModels = (models) => settings.set_strv("fallback-models", models);
+
+    fallbackGroup.add(GnomeLamaPreferences._createAddFallbackRow(getModels, setModels));
+
+    // Rows for the listed models, rebuilt whenever the setting changes
+    let modelRows = [];
+    const rebuildModelRows = () => {
+      modelRows.forEach((row) => fallbackGroup.remove(row));
+      modelRows = getModels().map((name, index) => {
+        const row = GnomeLamaPreferences._createFallbackModelRow(name, index, { getModels, setModels });
+        fallbackGroup.add(row);
+        return row;
+      });
+    };
+
+    rebuildModelRows();
+    settings.connect("changed::fallback-models", rebuildModelRows);
+  }
+
+  /**
+   * Create the row used to add a fallback model
+   * @param {Function} getModels - Returns the fallback model names
+   * @param {Function} setModels - Stores a new list of fallback model names
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createAddFallbackRow(getModels, setModels) {
+    const nameEntry = new Gtk.Entry({
+      placeholder_text: "gpt-4o-mini",
+      valign: Gtk.Align.CENTER,
+      width_request: 200,
+    });
+    const addButton = new Gtk.Button({
+      label: _("Add"),
+      valign: Gtk.Align.CENTER,
+    });
+
+    addButton.connect("clicked", () => {
+      const name = nameEntry.get_text().trim();
+      const models = getModels();
+      if (!name || models.includes(name)) {
+        return;
+      }
+
+      setModels([...models, name]);
+      nameEntry.set_text("");
+    });
+
+    const addRow = new Adw.ActionRow({
+      title: _("Add Model"),
+      subtitle: _("Model name as shown in the model menu"),
+    });
+    addRow.add_suffix(nameEntry);
+    addRow.add_suffix(addButton);
+
+    return addRow;
+  }
+
+  /**
+   * Create the row of a fallback model, with buttons to move it up or remove it
+   * @param {string} name - Model name
+   * @param {number} index - Position in the fallback list
+   * @param {Object} list - getModels() and setModels(models) for the fallback list
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createFallbackModelRow(name, index, { getModels, setModels }) {
+    const upButton = new Gtk.Button({
+      icon_name: "go-up-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Try earlier"),
+      css_classes: ["flat"],
+      sensitive: index > 0,
+    });
+    upButton.connect("clicked", () => {
+      const models = getModels();
+      [models[index - 1], models[index]] = [models[index], models[index - 1]];
+      setModels(models);
+    });
+
+    const removeButton = new Gtk.Button({
+      icon_name: "user-trash-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Remove model"),
+      css_classes: ["flat"],
+    });
+    removeButton.connect("clicked", () => {
+      setModels(getModels().filter((_model, modelIndex) => modelIndex !== index));
+    });
+
+    const row = new Adw.ActionRow({ title: `${index + 1}. ${name}` });
+    row.add_suffix(upButton);
+    row.add_suffix(removeButton);
+    return row;
+  }
+
+  /**
+   * Add request timeout configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addTimeoutConfigGroup(page, settings) {
+    const timeoutGroup = new Adw.PreferencesGroup({
+      title: _("Timeouts"),
+      description: _("In seconds; 0 waits indefinitely"),
+    });
+    page.add(timeoutGroup);
+    this._pageSettings.api.push("connect-timeout", "first-token-timeout", "idle-timeout");
+
+    [
+      { key: "connect-timeout", title: _("Connect Timeout"), subtitle: _("Wait for a connection to the server") },
+      { key: "first-token-timeout", title: _("First Token Timeout"), subtitle: _("Wait for the reply to start, including model loading") },
+      { key: "idle-timeout", title: _("Idle Timeout"), subtitle: _("Longest pause within a streamed reply") },
+    ].forEach((config) => {
+      this._addSpinRow(timeoutGroup, settings, { ...config, min: 0, max: 3600, step: 5, digits: 0 });
+    });
   }
 
   /**
@@ -672,6 +945,142 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
       title: _("Models API Endpoint"),
       subtitle: _("The URL for fetching available models"),
     });
+
+    this._pageSettings.api.push("ollama-keep-alive", "preload-selected-model");
+    this._addEntryRow(ollamaGroup, settings, {
+      key: "ollama-keep-alive",
+      title: _("Keep Alive"),
+      subtitle: _("How long models stay in memory, e.g. 10m, 0 or -1; empty uses the server default"),
+    });
+
+    this._addSwitchRow(ollamaGroup, settings, {
+      key: "preload-selected-model",
+      title: _("Preload Selected Model"),
+      subtitle: _("Load a model into memory when it is chosen in the model menu"),
+    });
+  }
+
+  /**
+   * Add the list of additional named Ollama hosts
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addOllamaHostsGroup(page, settings) {
+    const hostsGroup = new Adw.PreferencesGroup({
+      title: _("Additional Ollama Hosts"),
+      description: _("Models from these hosts are listed with an @name suffix"),
+    });
+    page.add(hostsGroup);
+
+    const getHosts = () => settings.get_value("ollama-hosts").deepUnpack();
+    const setHosts = (hosts) => {
+      settings.set_value("ollama-hosts", new GLib.Variant("a(ss)", hosts));
+    };
+
+    hostsGroup.add(GnomeLamaPreferences._createAddHostRow(getHosts, setHosts));
+
+    // Rows for the configured hosts, rebuilt whenever the setting changes
+    let hostRows = [];
+    const rebuildHostRows = () => {
+      hostRows.forEach((row) => hostsGroup.remove(row));
+      hostRows = getHosts().map(([name, baseUrl], index) => {
+        const removeButton = new Gtk.Button({
+          icon_name: "user-trash-symbolic",
+          valign: Gtk.Align.CENTER,
+          tooltip_text: _("Remove host"),
+          css_classes: ["flat"],
+        });
+        removeButton.connect("clicked", () => {
+          setHosts(getHosts().filter((_host, hostIndex) => hostIndex !== index));
+        });
+
+        const row = new Adw.ActionRow({ title: name, subtitle: baseUrl });
+        row.add_suffix(removeButton);
+        hostsGroup.add(row);
+        return row;
+      });
+    };
+
+    rebuildHostRows();
+    settings.connect("changed::ollama-hosts", rebuildHostRows);
+
+    // Store reference to the control
+    this._uiControls["ollama-hosts"] = hostsGroup;
+  }
+
+  /**
+   * Create the row used to add an Ollama host
+   * @param {Function} getHosts - Returns the configured [name, baseUrl] pairs
+   * @param {Function} setHosts - Stores a new list of [name, baseUrl] pairs
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createAddHostRow(getHosts, setHosts) {
+    const nameEntry = new Gtk.Entry({
+      placeholder_text: _("Name"),
+      valign: Gtk.Align.CENTER,
+      width_request: 100,
+    });
+    const urlEntry = new Gtk.Entry({
+      placeholder_text: "http://gpu-box:11434",
+      valign: Gtk.Align.CENTER,
+      width_request: 200,
+    });
+    const addButton = new Gtk.Button({
+      label: _("Add"),
+      valign: Gtk.Align.CENTER,
+    });
+
+    addButton.connect("clicked", () => {
+      const name = nameEntry.get_text().trim();
+      const baseUrl = urlEntry.get_text().trim();
+      const hosts = getHosts();
+
+      // The name becomes the model suffix, so it must be unique and free of "@"
+      if (!name || !baseUrl || name.includes("@") || hosts.some(([existing]) => existing === name)) {
+        return;
+      }
+
+      setHosts([...hosts, [name, baseUrl]]);
+      nameEntry.set_text("");
+      urlEntry.set_text("");
+    });
+
+    const addRow = new Adw.ActionRow({
+      title: _("Add Host"),
+      subtitle: _("A unique name and the server's base URL"),
+    });
+    addRow.add_suffix(nameEntry);
+    addRow.add_suffix(urlEntry);
+    addRow.add_suffix(addButton);
+
+    return addRow;
+  }
+
+  /**
+   * Add OpenAI-compatible server configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addCompatibleConfigGroup(page, settings) {
+    const compatibleGroup = new Adw.PreferencesGroup({
+      title: _("OpenAI-Compatible Server"),
+      description: _("LM Studio, llama.cpp server, vLLM, LocalAI and similar"),
+    });
+    page.add(compatibleGroup);
+
+    // Base URL
+    this._addEntryRow(compatibleGroup, settings, {
+      key: "openai-compatible-base-url",
+      title: _("Base URL"),
+      subtitle: _("e.g. http://localhost:1234/v1 (leave empty to disable)"),
+    });
+
+    // Optional API Key
+    this._addCredentialRow(compatibleGroup, settings, {
+      key: "openai-compatible-api-key",
+      title: _("API Key"),
+      subtitle: _("Optional, only needed if the server requires one"),
+    });
   }
 
   /**
@@ -686,7 +1095,7 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     page.add(openaiGroup);
 
     // OpenAI API Key
-    this._addEntryRow(openaiGroup, settings, {
+    this._addCredentialRow(openaiGroup, settings, {
       key: "openai-api-key",
       title: _("API Key"),
       subtitle: _("Your OpenAI API key for using GPT models"),
@@ -705,11 +1114,602 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     page.add(geminiGroup);
 
     // Gemini API Key
-    this._addEntryRow(geminiGroup, settings, {
+    this._addCredentialRow(geminiGroup, settings, {
       key: "gemini-api-key",
       title: _("API Key"),
       subtitle: _("Your Gemini API key for using Google's Gemini models"),
     });
+
+    this._addGeminiSafetyGroup(page, settings);
+  }
+
+  /**
+   * Add Gemini safety filter thresholds
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addGeminiSafetyGroup(page, settings) {
+    const safetyGroup = new Adw.PreferencesGroup({
+      title: _("Gemini Safety Filters"),
+      description: _("How readily Gemini blocks messages and replies in each category"),
+    });
+    page.add(safetyGroup);
+
+    const categories = [
+      { key: "gemini-safety-harassment", title: _("Harassment") },
+      { key: "gemini-safety-hate-speech", title: _("Hate Speech") },
+      { key: "gemini-safety-sexually-explicit", title: _("Sexually Explicit") },
+      { key: "gemini-safety-dangerous-content", title: _("Dangerous Content") },
+    ];
+    const thresholds = [
+      { value: "", title: _("Gemini Default") },
+      { value: "BLOCK_LOW_AND_ABOVE", title: _("Block Low and Above") },
+      { value: "BLOCK_MEDIUM_AND_ABOVE", title: _("Block Medium and Above") },
+      { value: "BLOCK_ONLY_HIGH", title: _("Block Only High") },
+      { value: "BLOCK_NONE", title: _("Block None") },
+      { value: "OFF", title: _("Off") },
+    ];
+
+    this._pageSettings.api.push(...categories.map(({ key }) => key));
+    categories.forEach(({ key, title }) => {
+      this._addComboRow(safetyGroup, settings, { key, title, options: thresholds });
+    });
+  }
+
+  /**
+   * Add Anthropic configuration group
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addAnthropicConfigGroup(page, settings) {
+    const anthropicGroup = new Adw.PreferencesGroup({
+      title: _("Anthropic Claude"),
+    });
+    page.add(anthropicGroup);
+
+    // Anthropic API Key
+    this._addCredentialRow(anthropicGroup, settings, {
+      key: "anthropic-api-key",
+      title: _("API Key"),
+      subtitle: _("Your Anthropic API key for using Claude models"),
+    });
+  }
+
+  /**
+   * Create the generation profiles page
+   * @param {Adw.PreferencesWindow} window - The preferences window
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _createProfilesPage(window, settings) {
+    const profilesPage = new Adw.PreferencesPage({
+      title: _("Profiles"),
+      icon_name: "preferences-other-symbolic",
+    });
+    window.add(profilesPage);
+
+    // State shared by the selector and the parameter rows
+    this._profileEditor = {
+      selected: null,
+      loadedName: null,
+      loading: false,
+      names: [],
+      selector: null,
+      entries: {},
+    };
+
+    this._addProfileSelectorGroup(profilesPage, settings);
+    this._addProfileParametersGroup(profilesPage, settings);
+
+    this._pageSettings.profiles = ["generation-profiles", "active-generation-profile"];
+    this._addRestoreDefaultsButton(profilesPage, "profiles", settings);
+
+    this._refreshProfileEditor(settings);
+    settings.connect("changed::generation-profiles", () => {
+      this._refreshProfileEditor(settings);
+    });
+  }
+
+  /**
+   * Add the profile selector with add and delete controls
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addProfileSelectorGroup(page, settings) {
+    const selectorGroup = new Adw.PreferencesGroup({
+      title: _("Generation Profiles"),
+      description: _("Switch the active profile from the settings menu in the chat panel"),
+    });
+    page.add(selectorGroup);
+
+    const selector = new Adw.ComboRow({
+      title: _("Profile"),
+      subtitle: _("The profile being edited"),
+      model: new Gtk.StringList(),
+    });
+    selector.connect("notify::selected", () => {
+      if (this._profileEditor.loading) return;
+      this._profileEditor.selected = this._profileEditor.names[selector.get_selected()] || null;
+      this._loadProfileFields(settings);
+    });
+
+    const deleteButton = new Gtk.Button({
+      icon_name: "user-trash-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Delete profile"),
+      css_classes: ["flat"],
+    });
+    deleteButton.connect("clicked", () => {
+      const { selected } = this._profileEditor;
+      if (!selected) return;
+
+      const profiles = GnomeLamaPreferences._readProfiles(settings);
+      delete profiles[selected];
+      GnomeLamaPreferences._writeProfiles(settings, profiles);
+
+      if (settings.get_string("active-generation-profile") === selected) {
+        settings.set_string("active-generation-profile", "");
+      }
+    });
+    selector.add_suffix(deleteButton);
+    selectorGroup.add(selector);
+    this._profileEditor.selector = selector;
+
+    this._addNewProfileRow(selectorGroup, settings);
+  }
+
+  /**
+   * Add the row for creating a profile
+   * @param {Adw.PreferencesGroup} group - The parent group
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addNewProfileRow(group, settings) {
+    const nameEntry = new Gtk.Entry({
+      placeholder_text: _("Profile name"),
+      valign: Gtk.Align.CENTER,
+      width_request: 200,
+    });
+    const addButton = new Gtk.Button({
+      label: _("Add"),
+      valign: Gtk.Align.CENTER,
+    });
+    addButton.connect("clicked", () => {
+      const name = nameEntry.get_text().trim();
+      const profiles = GnomeLamaPreferences._readProfiles(settings);
+      if (!name || profiles[name]) return;
+
+      profiles[name] = {};
+      this._profileEditor.selected = name;
+      GnomeLamaPreferences._writeProfiles(settings, profiles);
+      nameEntry.set_text("");
+    });
+
+    const addRow = new Adw.ActionRow({ title: _("New Profile") });
+    addRow.add_suffix(nameEntry);
+    addRow.add_suffix(addButton);
+    group.add(addRow);
+  }
+
+  /**
+   * Add one entry row per profile parameter
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _addProfileParametersGroup(page, settings) {
+    const parametersGroup = new Adw.PreferencesGroup({
+      title: _("Profile Parameters"),
+      description: _("Leave a field empty to keep the provider's default"),
+    });
+    page.add(parametersGroup);
+
+    GnomeLamaPreferences._profileFields().forEach(({ key, title, subtitle, type }) => {
+      const entry = new Gtk.Entry({
+        valign: Gtk.Align.CENTER,
+        width_request: 250,
+      });
+
+      entry.connect("changed", () => {
+        const { loading, selected } = this._profileEditor;
+        if (loading || !selected) return;
+
+        const profiles = GnomeLamaPreferences._readProfiles(settings);
+        const profile = profiles[selected] || {};
+        const value = GnomeLamaPreferences._parseProfileValue(entry.get_text(), type);
+
+        if (value === null) {
+          delete profile[key];
+        } else {
+          profile[key] = value;
+        }
+
+        profiles[selected] = profile;
+        GnomeLamaPreferences._writeProfiles(settings, profiles);
+      });
+
+      const row = new Adw.ActionRow({ title, subtitle });
+      row.add_suffix(entry);
+      row.activatable_widget = entry;
+      parametersGroup.add(row);
+
+      this._profileEditor.entries[key] = entry;
+    });
+  }
+
+  /**
+   * Sync the selector with the stored profiles
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _refreshProfileEditor(settings) {
+    const editor = this._profileEditor;
+    const names = Object.keys(GnomeLamaPreferences._readProfiles(settings));
+
+    if (!names.includes(editor.selected)) {
+      editor.selected = names.length > 0 ? names[0] : null;
+    }
+
+    editor.loading = true;
+    if (names.join("\n") !== editor.names.join("\n")) {
+      editor.names = names;
+      editor.selector.set_model(Gtk.StringList.new(names));
+    }
+    const selectedIndex = names.indexOf(editor.selected);
+    editor.selector.set_selected(selectedIndex >= 0 ? selectedIndex : Gtk.INVALID_LIST_POSITION);
+    editor.loading = false;
+
+    // Only reload the fields when switching profiles so typing is not interrupted
+    if (editor.selected !== editor.loadedName) {
+      this._loadProfileFields(settings);
+    }
+  }
+
+  /**
+   * Fill the parameter rows with the values of the selected profile
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _loadProfileFields(settings) {
+    const editor = this._profileEditor;
+    const profile = editor.selected ?
+      GnomeLamaPreferences._readProfiles(settings)[editor.selected] || {} :
+      null;
+
+    editor.loading = true;
+    Object.entries(editor.entries).forEach(([key, entry]) => {
+      const value = profile ? profile[key] : null;
+      entry.set_text(Array.isArray(value) ? value.join(", ") : String(value ?? ""));
+      entry.set_sensitive(Boolean(profile));
+    });
+    editor.loadedName = editor.selected;
+    editor.loading = false;
+  }
+
+  /**
+   * Parameters editable in a profile
+   * @returns {Array} Field descriptions with key, title, subtitle and value type
+   */
+  static _profileFields() {
+    return [
+      { key: "top_p", title: _("Top P"), subtitle: _("Nucleus sampling, 0.0-1.0"), type: "float" },
+      { key: "top_k", title: _("Top K"), subtitle: _("Ollama, Gemini and Anthropic only"), type: "int" },
+      { key: "max_tokens", title: _("Max Output Tokens"), subtitle: _("Longest response to generate"), type: "int" },
+      { key: "num_ctx", title: _("Context Window"), subtitle: _("Ollama only"), type: "int" },
+      { key: "seed", title: _("Seed"), subtitle: _("Fixed seed for reproducible output"), type: "int" },
+      { key: "repeat_penalty", title: _("Repeat Penalty"), subtitle: _("Ollama only"), type: "float" },
+      { key: "stop", title: _("Stop Sequences"), subtitle: _("Comma separated"), type: "list" },
+      { key: "context_limit", title: _("Context Limit"), subtitle: _("Tokens of history to send; overrides the model's own limit"), type: "int" },
+      {
+        key: "applies_to",
+        title: _("Use For"),
+        subtitle: _("Comma separated model names or provider ids (ollama, openai, gemini, anthropic, openai-compatible) used when no profile is active"),
+        type: "list",
+      },
+    ];
+  }
+
+  /**
+   * Convert entry text to a profile value
+   * @param {string} text - Entry text
+   * @param {string} type - Value type (int, float or list)
+   * @returns {*} Parsed value, or null when empty or invalid
+   */
+  static _parseProfileValue(text, type) {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+
+    if (type === "list") {
+      const items = trimmed.split(",").map((item) => item.trim()).filter(Boolean);
+      return items.length > 0 ? items : null;
+    }
+
+    const value = type === "int" ? Number.parseInt(trimmed, 10) : Number.parseFloat(trimmed);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Read the stored profiles
+   * @param {Gio.Settings} settings - The settings object
+   * @returns {Object} Profiles keyed by name
+   */
+  static _readProfiles(settings) {
+    try {
+      const profiles = JSON.parse(settings.get_string("generation-profiles") || "{}");
+      return profiles && typeof profiles === "object" && !Array.isArray(profiles) ? profiles : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Store the profiles
+   * @param {Gio.Settings} settings - The settings object
+   * @param {Object} profiles - Profiles keyed by name
+   */
+  static _writeProfiles(settings, profiles) {
+    settings.set_string("generation-profiles", JSON.stringify(profiles));
+  }
+
+  /**
+   * Create the token usage page
+   * @param {Adw.PreferencesWindow} window - The preferences window
+   * @param {Gio.Settings} settings - The settings object
+   */
+  _createUsagePage(window, settings) {
+    const usagePage = new Adw.PreferencesPage({
+      title: _("Usage"),
+      icon_name: "utilities-system-monitor-symbolic",
+    });
+    window.add(usagePage);
+
+    const refreshUsage = GnomeLamaPreferences._addUsageStatisticsGroups(usagePage);
+    GnomeLamaPreferences._addClearUsageGroup(usagePage, refreshUsage);
+    GnomeLamaPreferences._addPricingGroup(usagePage, settings);
+
+    this._pageSettings.usage = ["model-pricing"];
+    this._addRestoreDefaultsButton(usagePage, "usage", settings);
+  }
+
+  /**
+   * Add the groups showing stored usage: totals per period, per provider and per day
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @returns {Function} Reloads the stored usage and rebuilds the rows
+   */
+  static _addUsageStatisticsGroups(page) {
+    const totalsGroup = new Adw.PreferencesGroup({
+      title: _("Token Usage"),
+      description: _("Costs are estimated from the prices below"),
+    });
+    const providersGroup = new Adw.PreferencesGroup({
+      title: _("By Provider"),
+      description: _("Last 30 days"),
+    });
+    const daysGroup = new Adw.PreferencesGroup({ title: _("Recent Days") });
+    [totalsGroup, providersGroup, daysGroup].forEach((group) => page.add(group));
+
+    const refreshButton = new Gtk.Button({
+      icon_name: "view-refresh-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Refresh"),
+      css_classes: ["flat"],
+    });
+    totalsGroup.set_header_suffix(refreshButton);
+
+    // Rows are rebuilt from the usage file, which the extension keeps writing
+    let usageRows = [];
+    const refreshUsage = () => {
+      usageRows.forEach(({ group, row }) => group.remove(row));
+
+      const usage = loadUsage();
+      const periods = [
+        { title: _("Today"), days: 1 },
+        { title: _("Last 7 Days"), days: 7 },
+        { title: _("Last 30 Days"), days: 30 },
+        { title: _("All Time"), days: 0 },
+      ];
+      const providerNames = GnomeLamaPreferences._providerNames();
+      const recentDays = Object.entries(summarizeUsage(usage, 7).days).sort(([a], [b]) => b.localeCompare(a));
+
+      usageRows = [
+        ...periods.map(({ title, days }) => ({ group: totalsGroup, title, totals: summarizeUsage(usage, days).totals })),
+        ...Object.entries(summarizeUsage(usage, 30).providers).map(([providerId, totals]) =>
+          ({ group: providersGroup, title: providerNames[providerId] || providerId, totals })),
+        ...recentDays.map(([date, totals]) => ({ group: daysGroup, title: date, totals })),
+      ].map(({ group, title, totals }) => {
+        const row = GnomeLamaPreferences._createUsageRow(title, totals);
+        group.add(row);
+        return { group, row };
+      });
+    };
+
+    refreshButton.connect("clicked", refreshUsage);
+    refreshUsage();
+    return refreshUsage;
+  }
+
+  /**
+   * Create a row showing usage totals
+   * @param {string} title - Row title
+   * @param {Object} totals - Messages, input and output tokens, and cost
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createUsageRow(title, { messages, inputTokens, outputTokens, cost }) {
+    const row = new Adw.ActionRow({
+      title,
+      subtitle: _(`${messages} messages · ${inputTokens} input · ${outputTokens} output tokens`),
+    });
+    row.add_suffix(new Gtk.Label({
+      label: formatCost(cost),
+      valign: Gtk.Align.CENTER,
+      css_classes: ["dim-label"],
+    }));
+    return row;
+  }
+
+  /**
+   * Display names of the providers, keyed by provider id
+   * @returns {Object} Names keyed by provider id
+   */
+  static _providerNames() {
+    return {
+      ollama: "Ollama",
+      openai: "OpenAI",
+      gemini: "Gemini",
+      anthropic: "Anthropic",
+      "openai-compatible": _("OpenAI-Compatible Server"),
+    };
+  }
+
+  /**
+   * Add the button that deletes the stored usage
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Function} refreshUsage - Rebuilds the usage rows
+   */
+  static _addClearUsageGroup(page, refreshUsage) {
+    const clearGroup = new Adw.PreferencesGroup();
+    page.add(clearGroup);
+
+    const clearButton = new Gtk.Button({
+      label: _("Clear"),
+      valign: Gtk.Align.CENTER,
+      css_classes: ["destructive-action"],
+    });
+    clearButton.connect("clicked", () => {
+      const confirmDialog = new Adw.MessageDialog({
+        heading: _("Clear Usage History"),
+        body: _("Are you sure you want to delete all recorded token usage? This action cannot be undone."),
+        modal: true,
+        transient_for: clearButton.get_root(),
+      });
+
+      confirmDialog.add_response("cancel", _("Cancel"));
+      confirmDialog.add_response("clear", _("Clear"));
+      confirmDialog.set_response_appearance("clear", Adw.ResponseAppearance.DESTRUCTIVE);
+      confirmDialog.set_default_response("cancel");
+      confirmDialog.set_close_response("cancel");
+
+      confirmDialog.connect("response", (dialog, response) => {
+        if (response === "clear") {
+          clearUsage();
+          refreshUsage();
+        }
+        dialog.destroy();
+      });
+
+      confirmDialog.present();
+    });
+
+    const clearRow = new Adw.ActionRow({
+      title: _("Clear Usage History"),
+      subtitle: _("Delete the token counts and costs recorded so far"),
+    });
+    clearRow.add_suffix(clearButton);
+    clearRow.activatable_widget = clearButton;
+    clearGroup.add(clearRow);
+  }
+
+  /**
+   * Add the editable table of model prices
+   * @param {Adw.PreferencesPage} page - The parent page
+   * @param {Gio.Settings} settings - The settings object
+   */
+  static _addPricingGroup(page, settings) {
+    const pricingGroup = new Adw.PreferencesGroup({
+      title: _("Model Pricing"),
+      description: _("US dollars per million tokens. A price applies to every model whose name starts with the given name; local models are free."),
+    });
+    page.add(pricingGroup);
+
+    const getPricing = () => parsePricing(settings.get_string("model-pricing"));
+    const setPricing = (pricing) => settings.set_string("model-pricing", JSON.stringify(pricing));
+
+    pricingGroup.add(GnomeLamaPreferences._createAddPriceRow(getPricing, setPricing));
+
+    // Rows for the listed prices, rebuilt whenever the setting changes
+    let priceRows = [];
+    const rebuildPriceRows = () => {
+      priceRows.forEach((row) => pricingGroup.remove(row));
+      priceRows = Object.entries(getPricing()).map(([name, prices]) => {
+        const row = GnomeLamaPreferences._createPriceRow(name, prices, { getPricing, setPricing });
+        pricingGroup.add(row);
+        return row;
+      });
+    };
+
+    rebuildPriceRows();
+    settings.connect("changed::model-pricing", rebuildPriceRows);
+  }
+
+  /**
+   * Create the row used to add or replace the price of a model
+   * @param {Function} getPricing - Returns the pricing table
+   * @param {Function} setPricing - Stores a new pricing table
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createAddPriceRow(getPricing, setPricing) {
+    const nameEntry = new Gtk.Entry({
+      placeholder_text: "gpt-4o-mini",
+      valign: Gtk.Align.CENTER,
+      width_request: 160,
+    });
+    const inputEntry = new Gtk.Entry({
+      placeholder_text: _("Input"),
+      valign: Gtk.Align.CENTER,
+      width_chars: 6,
+    });
+    const outputEntry = new Gtk.Entry({
+      placeholder_text: _("Output"),
+      valign: Gtk.Align.CENTER,
+      width_chars: 6,
+    });
+    const addButton = new Gtk.Button({
+      label: _("Add"),
+      valign: Gtk.Align.CENTER,
+    });
+
+    addButton.connect("clicked", () => {
+      const name = nameEntry.get_text().trim();
+      const input = Number.parseFloat(inputEntry.get_text());
+      const output = Number.parseFloat(outputEntry.get_text());
+      if (!name || !(input >= 0) || !(output >= 0)) {
+        return;
+      }
+
+      setPricing({ ...getPricing(), [name]: { input, output } });
+      [nameEntry, inputEntry, outputEntry].forEach((entry) => entry.set_text(""));
+    });
+
+    const addRow = new Adw.ActionRow({
+      title: _("Add Price"),
+      subtitle: _("Model name or prefix, then input and output price"),
+    });
+    [nameEntry, inputEntry, outputEntry, addButton].forEach((widget) => addRow.add_suffix(widget));
+
+    return addRow;
+  }
+
+  /**
+   * Create the row of a model price, with a button to remove it
+   * @param {string} name - Model name or prefix
+   * @param {Object} prices - Input and output price per million tokens
+   * @param {Object} table - getPricing() and setPricing(pricing) for the pricing table
+   * @returns {Adw.ActionRow} The row
+   */
+  static _createPriceRow(name, { input, output }, { getPricing, setPricing }) {
+    const removeButton = new Gtk.Button({
+      icon_name: "user-trash-symbolic",
+      valign: Gtk.Align.CENTER,
+      tooltip_text: _("Remove price"),
+      css_classes: ["flat"],
+    });
+    removeButton.connect("clicked", () => {
+      const pricing = getPricing();
+      delete pricing[name];
+      setPricing(pricing);
+    });
+
+    const row = new Adw.ActionRow({
+      title: name,
+      subtitle: _(`$${input} input · $${output} output`),
+    });
+    row.add_suffix(removeButton);
+    return row;
   }
 
   // ========================================
@@ -727,9 +1727,10 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
    * @param {number} config.min - Minimum value
    * @param {number} config.max - Maximum value
    * @param {number} config.step - Step increment
+   * @param {number} [config.digits] - Number of decimal places shown
    */
   _addSpinRow(group, settings, config) {
-    const { key, title, subtitle, min, max, step } = config;
+    const { key, title, subtitle, min, max, step, digits = 3 } = config;
 
     // Create a spin button
     const spinButton = new Gtk.SpinButton({
@@ -738,7 +1739,7 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
         upper: max,
         step_increment: step,
       }),
-      digits: 3,
+      digits,
       valign: Gtk.Align.CENTER,
     });
 
@@ -765,6 +1766,44 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     return this;
   }
 
+  /**
+   * Add a switch row to a preferences group
+   * @param {Adw.PreferencesGroup} group - The group to add the row to
+   * @param {Gio.Settings} settings - The settings object
+   * @param {Object} config - Configuration object
+   * @param {string} config.key - The settings key
+   * @param {string} config.title - The row title
+   * @param {string} config.subtitle - The row subtitle
+   */
+  _addSwitchRow(group, settings, config) {
+    const { key, title, subtitle } = config;
+
+    // Create a switch
+    const switchWidget = new Gtk.Switch({
+      active: settings.get_boolean(key),
+      valign: Gtk.Align.CENTER,
+    });
+
+    // Connect to state changes
+    switchWidget.connect("notify::active", () => {
+      settings.set_boolean(key, switchWidget.get_active());
+    });
+
+    // Create a preferences row for the switch
+    const row = new Adw.ActionRow({
+      title,
+      subtitle,
+    });
+    row.add_suffix(switchWidget);
+    row.activatable_widget = switchWidget;
+    group.add(row);
+
+    // Store reference to the control
+    this._uiControls[key] = switchWidget;
+
+    return this;
+  }
+
   /**
    * Add a color button row to a preferences group
    * @param {Adw.PreferencesGroup} group - The group to add the row to
@@ -843,6 +1882,104 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
     return this;
   }
 
+  /**
+   * Add a row editing an API key kept in the keyring. The key is masked
+   * unless revealed, and saved shortly after typing stops.
+   * @param {Adw.PreferencesGroup} group - The group to add the row to
+   * @param {Gio.Settings} settings - The settings object
+   * @param {Object} config - Configuration object
+   * @param {string} config.key - The credential key
+   * @param {string} config.title - The row title
+   * @param {string} config.subtitle - The row subtitle
+   */
+  _addCredentialRow(group, settings, config) {
+    const { key, title, subtitle } = config;
+
+    const entry = new Gtk.PasswordEntry({
+      show_peek_icon: true,
+      valign: Gtk.Align.CENTER,
+      width_request: 250,
+    });
+    const clearButton = new Gtk.Button({
+      icon_name: "edit-clear-symbolic",
+      tooltip_text: _("Clear"),
+      valign: Gtk.Align.CENTER,
+      css_classes: ["flat"],
+    });
+
+    const row = new Adw.ActionRow({
+      title,
+      subtitle,
+    });
+    row.add_suffix(entry);
+    row.add_suffix(clearButton);
+    row.activatable_widget = entry;
+    group.add(row);
+
+    const reportFailure = () => {
+      row.subtitle = _("The keyring could not be reached");
+    };
+
+    // Edits are only followed once the stored key is shown
+    this._credentialsMigrated
+      .then(() => lookupCredential(key))
+      .then((value) => entry.set_text(value))
+      .catch(reportFailure)
+      .finally(() => {
+        GnomeLamaPreferences._connectCredentialEntry(entry, clearButton, { key, settings, reportFailure });
+      });
+
+    return this;
+  }
+
+  /**
+   * Saves the key shortly after typing stops and clears it on request
+   * @param {Gtk.PasswordEntry} entry - Entry holding the key
+   * @param {Gtk.Button} clearButton - Button removing the key
+   * @param {Object} options - { key, settings, reportFailure }
+   */
+  static _connectCredentialEntry(entry, clearButton, { key, settings, reportFailure }) {
+    let saveTimeoutId = null;
+
+    const cancelSave = () => {
+      if (saveTimeoutId) {
+        GLib.source_remove(saveTimeoutId);
+        saveTimeoutId = null;
+      }
+    };
+
+    const saveKey = () => {
+      cancelSave();
+      storeCredential(key, entry.get_text())
+        .then(() => notifyCredentialsChanged(settings))
+        .catch(reportFailure);
+    };
+
+    const changedId = entry.connect("changed", () => {
+      cancelSave();
+      saveTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+        saveTimeoutId = null;
+        saveKey();
+        return GLib.SOURCE_REMOVE;
+      });
+    });
+
+    // Closing the window right after typing still saves the key
+    entry.connect("unrealize", () => {
+      if (saveTimeoutId) saveKey();
+    });
+
+    clearButton.connect("clicked", () => {
+      entry.block_signal_handler(changedId);
+      entry.set_text("");
+      entry.unblock_signal_handler(changedId);
+      cancelSave();
+      clearCredential(key)
+        .then(() => notifyCredentialsChanged(settings))
+        .catch(reportFailure);
+    });
+  }
+
   /**
    * Add a combo box row to a preferences group
    * @param {Adw.PreferencesGroup} group - The group to add the row to
@@ -888,6 +2025,7 @@ export default class GnomeLamaPreferences extends ExtensionPreferences {
 
     // Store reference to the control
     this._uiControls[key] = comboRow;
+    this._comboOptions[key] = options;
 
     return this;
   }
@@ -11,6 +11,8 @@ import {
 } from "./httpUtils.js";
 import { createStreamProcessor } from "./streamProcessor.js";
 import { createRequestPromise } from "./requestHandlers.js";
+import { withRetries } from "./retryHandler.js";
+import { getRequestTimeouts } from "./requestTimeouts.js";
 
 /**
  * Cleans up stream resources
@@ -23,13 +25,40 @@ function cleanupResourcesHelper(activeInputStream, activeDataInputStream) {
 
 /**
  * Creates a GET request function for a session
+ * @param {Gio.Cancellable} cancellable - Cancelled by cancelRequest
  * @returns {Function} GET request function
  */
-function createGetFunction() {
+function createGetFunction(cancellable) {
   return async function get(url, headers = {}) {
     const localSession = new Soup.Session();
     const message = createHttpMessage({ method: "GET", url, headers });
-    return executeGetRequest(localSession, message);
+    return executeGetRequest(localSession, message, cancellable);
+  };
+}
+
+/**
+ * Creates a POST request function for small JSON requests that are not streamed
+ * @param {Gio.Cancellable} cancellable - Cancelled by cancelRequest
+ * @returns {Function} POST request function
+ */
+function createPostFunction(cancellable) {
+  return function post(url, body, headers = {}) {
+    const localSession = new Soup.Session();
+    const message = createHttpMessage({ method: "POST", url, headers, body });
+    return executeGetRequest(localSession, message, cancellable);
+  };
+}
+
+/**
+ * Creates a DELETE request function for requests that name what to delete in a JSON body
+ * @param {Gio.Cancellable} cancellable - Cancelled by cancelRequest
+ * @returns {Function} DELETE request function
+ */
+function createDeleteFunction(cancellable) {
+  return function deleteRequest(url, body, headers = {}) {
+    const localSession = new Soup.Session();
+    const message = createHttpMessage({ method: "DELETE", url, headers, body });
+    return executeGetRequest(localSession, message, cancellable);
   };
 }
 
@@ -48,6 +77,7 @@ function processRequestSetup(options) {
     accumulatedResponseFn,
     streamProcessor,
     cleanupCallback,
+    timeouts,
   } = options;
 
   const requestPromiseOptions = {
@@ -59,6 +89,7 @@ function processRequestSetup(options) {
     accumulatedResponse: accumulatedResponseFn,
     streamProcessor,
     cleanupCallback,
+    timeouts,
   };
 
   return createRequestPromise(requestPromiseOptions);
@@ -105,7 +136,8 @@ function createCancelFunction(config) {
 }
 
 /**
- * Creates a request sender function
+ * Creates a request sender function. Requests that fail with a temporary HTTP
+ * error before any text arrives are retried, reporting the wait to onRetry.
  * @param {Object} config - Configuration for sending requests
  * @returns {Function} Request sender function
  */
@@ -119,41 +151,46 @@ function createRequestSender(config) {
     setAccumulatedResponse,
     getIsCancelled,
     getAccumulatedResponse,
+    onRetry,
+    timeouts,
   } = config;
 
   return function sendRequest(requestOptions) {
-    const {
-      method,
-      url,
-      processChunk,
-      headers = {},
-      body = null,
-    } = requestOptions;
+    const { processChunk } = requestOptions;
 
     setIsCancelled(false);
     setAccumulatedResponse("");
 
-    try {
-      const message = createHttpMessage({ method, url, headers, body });
-      const result = processRequestSetup({
-        message,
-        processChunk,
-        httpSession,
-        cancellable,
-        isCancelledFn: getIsCancelled,
-        accumulatedResponseFn: getAccumulatedResponse,
-        streamProcessor,
-        cleanupCallback: cleanupResources,
-      });
+    // A Soup.Message can only be sent once, so every attempt builds its own
+    const send = () => {
+      try {
+        const message = createHttpMessage(requestOptions);
+        return processRequestSetup({
+          message,
+          processChunk,
+          httpSession,
+          cancellable,
+          isCancelledFn: getIsCancelled,
+          accumulatedResponseFn: getAccumulatedResponse,
+          streamProcessor,
+          cleanupCallback: cleanupResources,
+          timeouts,
+        });
+      } catch (error) {
+        cleanupResources();
+        throw error;
+      }
+    };
 
-      return {
-        result,
-        cancel: config.cancelRequest,
-      };
-    } catch (error) {
-      cleanupResources();
-      throw error;
-    }
+    return {
+      result: withRetries(send(), {
+        send,
+        isCancelled: getIsCancelled,
+        hasResponse: () => Boolean(getAccumulatedResponse()),
+        onRetry,
+      }),
+      cancel: config.cancelRequest,
+    };
   };
 }
 
@@ -206,10 +243,16 @@ function setupStateFunctions(state) {
 
 /**
  * Creates a cancellable HTTP request session
+ * @param {Object} [options] - Session options
+ * @param {Function} [options.onRetry] - Receives { status, attempt, seconds }
+ *   while a failed request waits to be retried
+ * @param {Object} [options.timeouts] - Seconds for the connect, firstToken and
+ *   idle phases of streamed requests; defaults to the configured timeouts
  * @returns {Object} Object containing session and cancellation methods
  */
-export function createCancellableSession() {
-  const httpSession = new Soup.Session();
+export function createCancellableSession({ onRetry = null, timeouts = getRequestTimeouts() } = {}) {
+  // Streamed requests are limited by the request timeouts instead of Soup's own
+  const httpSession = new Soup.Session({ timeout: 0 });
   const cancellable = new Gio.Cancellable();
 
   // Initialize state
@@ -239,13 +282,17 @@ export function createCancellableSession() {
     streamProcessor,
     setAccumulatedResponse,
     getIsCancelled,
+    onRetry,
+    timeouts,
   };
 
   // Create cancel function and request sender
   const cancelRequest = createCancelFunction(config);
   config.cancelRequest = cancelRequest;
   const sendRequest = createRequestSender(config);
-  const get = createGetFunction();
+  const get = createGetFunction(cancellable);
+  const post = createPostFunction(cancellable);
+  const deleteRequest = createDeleteFunction(cancellable);
 
   return {
     session: httpSession,
@@ -259,6 +306,8 @@ export function createCancellableSession() {
       return sendRequest({ method, url, headers, body, processChunk });
     },
     get,
+    post,
+    delete: deleteRequest,
     cancelRequest,
     getAccumulatedResponse,
   };
@@ -0,0 +1,177 @@
+/**
+ * The current conversation and the saved ones
+ *
+ * A conversation is saved once it holds a message and again after every
+ * reply, so it survives shell restarts. The "current-conversation" setting
+ * names the one the panel shows, so it is opened again when the panel is
+ * created. Its history lives in messaging.js; this module keeps what is
+ * stored along with it.
+ */
+import GLib from "gi://GLib";
+import { getSettings } from "../lib/settings.js";
+import {
+  createConversationId,
+  deleteConversation as deleteConversationFile,
+  loadConversation,
+  saveConversation,
+} from "../lib/conversationStore.js";
+import { createHistoryTree, getActivePath } from "./utils/modelProcessing/historyTree.js";
+
+export { listConversations } from "../lib/conversationStore.js";
+
+const TITLE_LENGTH = 60;
+
+/**
+ * @returns {Object} State of a conversation that was not saved yet
+ */
+function createConversation() {
+  return { id: createConversationId(), title: "", created: 0, files: [] };
+}
+
+let currentConversation = createConversation();
+// Counts conversations opened, started or closed, so a conversation read
+// after another one was chosen is not opened
+let conversationChanges = 0;
+
+/**
+ * Names a conversation after its first message
+ * @param {Array} history - Conversation history
+ * @returns {string} Title, shortened to TITLE_LENGTH characters
+ */
+function createTitle(history) {
+  const firstMessage = history.find((entry) => entry.type === "user");
+  const text = (firstMessage.display || firstMessage.text)
+    .replace(" ｢files attached｣", "")
+    .trim()
+    .split("\n")[0];
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * @returns {Object} The current conversation; a new object once another
+ *   conversation is started or opened
+ */
+export function getCurrentConversation() {
+  return currentConversation;
+}
+
+/**
+ * @returns {string} Id of the current conversation
+ */
+export function getCurrentConversationId() {
+  return currentConversation.id;
+}
+
+/**
+ * @param {string} id - Id of the conversation the panel shows, empty for a new one
+ */
+function setShownConversation(id) {
+  const settings = getSettings();
+  if (settings.get_string("current-conversation") !== id) {
+    settings.set_string("current-conversation", id);
+  }
+}
+
+/**
+ * @returns {string} Id of the saved conversation the panel shows, empty for none
+ */
+export function getShownConversationId() {
+  return getSettings().get_string("current-conversation");
+}
+
+/**
+ * Forgets the current conversation, leaving the panel to open it again
+ */
+export function closeConversation() {
+  conversationChanges += 1;
+  currentConversation = createConversation();
+}
+
+/**
+ * Starts a new, unsaved conversation
+ */
+export function startConversation() {
+  closeConversation();
+  setShownConversation("");
+}
+
+/**
+ * Saves the current conversation once it holds a message
+ * @param {Object} tree - Root of the history tree
+ * @param {string} modelName - Model that answered last
+ */
+export function storeConversation(tree, modelName) {
+  const history = getActivePath(tree);
+  if (!history.some((entry) => entry.type === "user")) return;
+
+  const now = GLib.DateTime.new_now_utc().to_unix();
+  currentConversation.created = currentConversation.created || now;
+  // Summaries may drop the first message, so the title is kept once chosen
+  currentConversation.title = currentConversation.title || createTitle(history);
+
+  // The contents are taken right away, the file is written in the background
+  saveConversation({ ...currentConversation, model: modelName || "", updated: now, tree })
+    .catch(() => null); // The conversation stays in memory
+  setShownConversation(currentConversation.id);
+}
+
+/**
+ * Makes a saved conversation the current one
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} The conversation's history tree and unsent
+ *   attachments as { tree, files }, null when it could not be read or another
+ *   conversation was opened or started while it was read
+ */
+export async function restoreConversation(id) {
+  const change = ++conversationChanges;
+  const conversation = await loadConversation(id);
+  if (!conversation || change !== conversationChanges) return null;
+
+  currentConversation = {
+    id: conversation.id,
+    title: conversation.title || "",
+    created: conversation.created || 0,
+    files: conversation.files || [],
+  };
+  setShownConversation(conversation.id);
+  return {
+    tree: conversation.tree || createHistoryTree(conversation.messages),
+    files: currentConversation.files,
+  };
+}
+
+/**
+ * Keeps files attached but not sent yet with the current conversation
+ * @param {Array} files - Attachments as { fileName, content, path, usage }
+ */
+export function setConversationFiles(files) {
+  currentConversation.files = files;
+}
+
+/**
+ * Renames a saved conversation
+ * @param {string} id - Conversation id
+ * @param {string} title - New title; an empty title keeps the old one
+ * @returns {Promise<void>} Resolves once the new title is listed
+ */
+export async function renameConversation(id, title) {
+  const cleanTitle = (title || "").trim();
+  const conversation = cleanTitle ? await loadConversation(id) : null;
+  if (!conversation) return;
+
+  // Set first, so a reply saved meanwhile keeps the new title
+  if (id === currentConversation.id) {
+    currentConversation.title = cleanTitle;
+  }
+  await saveConversation({ ...conversation, title: cleanTitle }).catch(() => null);
+}
+
+/**
+ * Deletes a saved conversation
+ * @param {string} id - Conversation id
+ * @returns {boolean} Whether it was the current conversation
+ */
+export function deleteSavedConversation(id) {
+  deleteConversationFile(id).catch(() => null);
+  return id === currentConversation.id;
+}
@@ -0,0 +1,71 @@
+/**
+ * API keys for the providers
+ *
+ * Keys are read from the keyring once when the extension starts and again
+ * whenever the preferences window stores new ones, so providers can look
+ * them up synchronously while building requests.
+ */
+import { getSettings } from "../lib/settings.js";
+import { CREDENTIAL_KEYS, lookupCredential, migrateCredentials } from "../lib/credentials.js";
+
+const apiKeys = new Map();
+let loaded = Promise.resolve();
+let revisionChangedId = null;
+let settingsObject = null;
+
+/**
+ * Reads every key from the keyring into memory
+ * @returns {Promise<void>} Resolves once the keys are read
+ */
+async function readKeys() {
+  const values = await Promise.allSettled(CREDENTIAL_KEYS.map(lookupCredential));
+  apiKeys.clear();
+  CREDENTIAL_KEYS.forEach((key, index) => {
+    // A locked or missing keyring leaves the provider unconfigured
+    apiKeys.set(key, values[index].status === "fulfilled" ? values[index].value : "");
+  });
+}
+
+/**
+ * Moves keys left in settings to the keyring, reads the keys and follows
+ * changes made in the preferences window
+ */
+export function loadCredentials() {
+  settingsObject = getSettings();
+  loaded = migrateCredentials(settingsObject)
+    .catch(() => false)
+    .then(() => readKeys());
+
+  revisionChangedId = settingsObject.connect("changed::credentials-revision", () => {
+    loaded = readKeys();
+  });
+}
+
+/**
+ * @returns {Promise<void>} Resolves once the keys were read
+ */
+export function credentialsLoaded() {
+  return loaded;
+}
+
+/**
+ * Looks up an API key
+ * @param {string} key - Credential key such as "openai-api-key"
+ * @returns {string} The key, empty when none is stored
+ */
+export function getCredential(key) {
+  return apiKeys.get(key) || "";
+}
+
+/**
+ * Forgets the keys and stops following changes
+ */
+export function unloadCredentials() {
+  if (settingsObject && revisionChangedId) {
+    settingsObject.disconnect(revisionChangedId);
+  }
+  revisionChangedId = null;
+  settingsObject = null;
+  apiKeys.clear();
+  loaded = Promise.resolve();
+}
@@ -0,0 +1,510 @@
+/**
+ * Retrieval over a folder of documents
+ *
+ * The files of the chosen folder are converted to text with the document
+ * converters, split into chunks of lines and embedded with an Ollama
+ * embedding model. In memory the index is
+ * { folder, model, indexedAt, files: { path: { modified, chunks } } }, each
+ * chunk being { startLine, endLine, text, vector } with a normalized vector,
+ * so files that did not change since the last run are not embedded again.
+ * lib/indexStore.js keeps it on disk; it is only read once it is needed.
+ * Before each message the chunks closest to it are attached to the prompt
+ * with their file and line numbers.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import { convertToText, detectFileType } from "../converters/documentConverter.js";
+import { readIndex, writeIndex } from "../lib/indexStore.js";
+import { getSettings } from "../lib/settings.js";
+import { createCancellableSession } from "./apiUtils.js";
+import { resolveOllamaApiUrl } from "./providers/ollamaProvider.js";
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+// A chunk ends after this many lines or characters, whichever comes first
+const CHUNK_LINES = 40;
+const CHUNK_CHARACTERS = 1500;
+
+// Limits that keep a large folder from being indexed for hours
+const MAX_FILES = 2000;
+const MAX_FILE_CHARACTERS = 200000;
+
+// Chunks embedded per request
+const EMBED_BATCH_SIZE = 16;
+
+// Directory entries read at a time
+const ENUMERATE_BATCH_SIZE = 100;
+
+// Chunks scored before the main loop gets to run again
+const SCORE_BATCH_SIZE = 2000;
+
+// Chunks less similar to the message are never attached
+const MIN_SIMILARITY = 0.25;
+
+const SKIPPED_DIRECTORIES = ["node_modules", "__pycache__"];
+
+// Converter file types with text to index
+const INDEXED_TYPES = ["text", "document"];
+
+const FILE_ATTRIBUTES = "standard::name,standard::type,standard::is-hidden,time::modified";
+
+let index = null;
+let indexLoading = null;
+let indexRun = 0;
+// Session of the run in progress, so stopping it also stops its request
+let indexSession = null;
+let progress = { state: "idle", done: 0, total: 0, error: null };
+const statusWatchers = new Set();
+
+/**
+ * @returns {Object} Index of no folder
+ */
+function createEmptyIndex() {
+  return { folder: "", model: "", indexedAt: null, files: {} };
+}
+
+/**
+ * Reads the stored index once and keeps it in memory; a run that finished
+ * in the meantime keeps its newer index
+ * @returns {Promise<Object>} The index, empty when none was stored yet
+ */
+async function loadIndex() {
+  if (!indexLoading) {
+    indexLoading = (async () => {
+      const stored = await readIndex();
+      index = index || stored || createEmptyIndex();
+      setProgress({});
+    })();
+  }
+
+  await indexLoading;
+  return index;
+}
+
+/**
+ * Stores an index and makes it the current one
+ * @param {Object} data - Index whose chunks hold their vectors
+ * @returns {Promise<void>} Resolves once it is stored
+ */
+async function saveIndex(data) {
+  await writeIndex(data);
+  index = data;
+}
+
+/**
+ * @param {Object} settings - Settings object
+ * @returns {string} Configured folder without a trailing slash
+ */
+function getConfiguredFolder(settings) {
+  return settings.get_string("retrieval-folder").trim().replace(/\/+$/u, "");
+}
+
+/**
+ * The stored index is read on the first call; watchers hear about it once
+ * it is in memory
+ * @returns {Object} Indexing state ("idle", "indexing" or "error"), progress,
+ *   error, the indexed folder, file and chunk counts, when it was indexed, and
+ *   whether the index matches the configured folder and embedding model
+ */
+export function getIndexStatus() {
+  const settings = getSettings();
+  if (!index) {
+    loadIndex();
+  }
+  const data = index || createEmptyIndex();
+  const files = Object.values(data.files);
+
+  return {
+    ...progress,
+    folder: data.folder,
+    files: files.length,
+    chunks: files.reduce((total, file) => total + file.chunks.length, 0),
+    indexedAt: data.indexedAt,
+    current: Boolean(data.folder) &&
+      data.folder === getConfiguredFolder(settings) &&
+      data.model === settings.get_string("embedding-model").trim(),
+  };
+}
+
+/**
+ * Calls a function whenever the index status changes
+ * @param {Function} callback - Receives the status from getIndexStatus
+ * @returns {Function} Stops the calls
+ */
+export function watchIndexStatus(callback) {
+  statusWatchers.add(callback);
+  return () => statusWatchers.delete(callback);
+}
+
+/**
+ * Updates the indexing progress and tells the watchers
+ * @param {Object} changes - Progress fields to change
+ */
+function setProgress(changes) {
+  progress = { ...progress, ...changes };
+  const status = getIndexStatus();
+  statusWatchers.forEach((callback) => callback(status));
+}
+
+/**
+ * Reads the entries of a directory a batch at a time
+ * @param {Gio.File} directory - Directory to read
+ * @returns {Promise<Array>} Gio.FileInfo of every entry
+ */
+function listChildren(directory) {
+  return new Promise((resolve, reject) => {
+    directory.enumerate_children_async(
+      FILE_ATTRIBUTES,
+      Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+      GLib.PRIORITY_LOW,
+      null,
+      (source, result) => {
+        let enumerator;
+        try {
+          enumerator = source.enumerate_children_finish(result);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        const infos = [];
+        const readBatch = () => {
+          enumerator.next_files_async(ENUMERATE_BATCH_SIZE, GLib.PRIORITY_LOW, null, (_enumerator, batchResult) => {
+            try {
+              const batch = enumerator.next_files_finish(batchResult);
+              infos.push(...batch);
+              if (batch.length > 0 && infos.length < MAX_FILES) {
+                readBatch();
+                return;
+              }
+              enumerator.close_async(GLib.PRIORITY_LOW, null, null);
+              resolve(infos);
+            } catch (error) {
+              reject(error);
+            }
+          });
+        };
+        readBatch();
+      }
+    );
+  });
+}
+
+/**
+ * Walks a folder breadth first, collecting files the converters can read
+ * and leaving out hidden files, images and dependency directories.
+ * Subdirectories that cannot be read are skipped.
+ * @param {Gio.File} root - Chosen folder, which has to be readable
+ * @returns {Promise<Array>} Files as { path, modified }
+ */
+async function collectFiles(root) {
+  const directories = [root];
+  const files = [];
+
+  for (let position = 0; position < directories.length && files.length < MAX_FILES; position++) {
+    const directory = directories[position];
+    let infos;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      infos = await listChildren(directory);
+    } catch (error) {
+      if (directory === root) {
+        throw error;
+      }
+      continue;
+    }
+
+    infos.forEach((info) => {
+      const child = directory.get_child(info.get_name());
+      const visible = !info.get_is_hidden() && !SKIPPED_DIRECTORIES.includes(info.get_name());
+      if (visible && info.get_file_type() === Gio.FileType.DIRECTORY) {
+        directories.push(child);
+      } else if (visible && INDEXED_TYPES.includes(detectFileType(child.get_path())?.type)) {
+        files.push({ path: child.get_path(), modified: info.get_attribute_uint64("time::modified") });
+      }
+    });
+  }
+
+  return files.slice(0, MAX_FILES);
+}
+
+/**
+ * Lists the files of a folder to index
+ * @param {string} folder - Folder to walk
+ * @returns {Promise<Array>} Files as { path, modified }
+ */
+function listFiles(folder) {
+  return collectFiles(Gio.File.new_for_path(folder));
+}
+
+/**
+ * Splits a text into chunks of whole lines
+ * @param {string} text - File text
+ * @returns {Array} Chunks as { startLine, endLine, text } with 1-based lines
+ */
+function splitIntoChunks(text) {
+  const chunks = [];
+  let lines = [];
+  let startLine = 1;
+
+  text.split("\n").forEach((line, lineIndex) => {
+    lines.push(line);
+    if (lines.length >= CHUNK_LINES || lines.join("\n").length >= CHUNK_CHARACTERS) {
+      chunks.push({ startLine, endLine: lineIndex + 1, text: lines.join("\n") });
+      lines = [];
+      startLine = lineIndex + 2;
+    }
+  });
+  if (lines.length > 0) {
+    chunks.push({ startLine, endLine: startLine + lines.length - 1, text: lines.join("\n") });
+  }
+
+  return chunks.filter((chunk) => chunk.text.trim());
+}
+
+/**
+ * Scales a vector to unit length, so similarity is a dot product
+ * @param {Array<number>} vector - Embedding
+ * @returns {Float32Array} Normalized embedding
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Float32Array.from(vector, (value) => value / length);
+}
+
+/**
+ * Embeds texts with an Ollama embedding model
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} model - Embedding model, optionally suffixed with @host
+ * @param {Object} [session] - Session whose cancelRequest stops the request
+ * @returns {Promise<Array>} Normalized embeddings in the order of the texts
+ */
+async function embedTexts(texts, model, session = createCancellableSession()) {
+  const { url, modelName } = resolveOllamaApiUrl(model, "embed");
+  const data = await session.post(
+    url,
+    JSON.stringify({ model: modelName, input: texts }),
+    JSON_HEADERS
+  );
+
+  if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+    throw new Error(data.error || `${model} returned no embeddings`);
+  }
+  return data.embeddings.map(normalize);
+}
+
+/**
+ * Embeds chunks a batch at a time
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} run - Run id, embedding model and session
+ * @returns {Promise<Array|null>} Embeddings of all texts, or null when a newer
+ *   run took over or the run was stopped
+ */
+async function embedInBatches(texts, run) {
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    if (run.id !== indexRun) return null;
+    // eslint-disable-next-line no-await-in-loop
+    vectors.push(...await embedTexts(texts.slice(start, start + EMBED_BATCH_SIZE), run.model, run.session));
+  }
+  return vectors;
+}
+
+/**
+ * Converts, chunks and embeds one file. Files the converters cannot read are
+ * stored without chunks, so they are only tried again once they change.
+ * @param {Object} file - File as { path, modified }
+ * @param {Object} run - Run id, folder, embedding model and session
+ * @returns {Promise<Object|null>} Index entry of the file, or null when the
+ *   run is no longer current
+ */
+async function indexFile({ path, modified }, run) {
+  let text;
+  try {
+    text = await convertToText(path, detectFileType(path));
+  } catch {
+    return { modified, chunks: [] };
+  }
+
+  // The file name helps matching questions that name the file
+  const name = path.slice(run.folder.length + 1);
+  const chunks = splitIntoChunks(text.slice(0, MAX_FILE_CHARACTERS));
+  const vectors = await embedInBatches(chunks.map((chunk) => `${name}\n${chunk.text}`), run);
+  return vectors && { modified, chunks: chunks.map((chunk, chunkIndex) => ({ ...chunk, vector: vectors[chunkIndex] })) };
+}
+
+/**
+ * Indexes files one after another, reusing unchanged entries
+ * @param {Array} files - Files to index
+ * @param {Object} run - Run id, folder, model, session and the reusable entries
+ * @returns {Promise<Object|null>} Entries keyed by path, or null when a newer run took over
+ */
+async function indexFiles(files, run) {
+  const entries = {};
+  for (const file of files) {
+    const previous = run.reusable[file.path];
+    // eslint-disable-next-line no-await-in-loop
+    const entry = previous?.modified === file.modified ? previous : await indexFile(file, run);
+    if (!entry || run.id !== indexRun) return null;
+    entries[file.path] = entry;
+    setProgress({ done: progress.done + 1 });
+  }
+  return entries;
+}
+
+/**
+ * Indexes the configured folder again. Files that did not change keep their
+ * embeddings unless the embedding model changed. Starting a new run
+ * abandons the one in progress.
+ * @returns {Promise<void>} Resolves once the run finished, failed or was abandoned
+ */
+export async function rebuildIndex() {
+  const settings = getSettings();
+  const folder = getConfiguredFolder(settings);
+  const model = settings.get_string("embedding-model").trim();
+  stopIndexing();
+  const runId = indexRun;
+
+  if (!folder || !model) {
+    setProgress({ state: "error", error: "Choose a folder and an embedding model first." });
+    return;
+  }
+
+  const previous = await loadIndex();
+  // Embeddings of different models cannot be compared
+  const reusable = previous.folder === folder && previous.model === model ? previous.files : {};
+  if (runId !== indexRun) return;
+  indexSession = createCancellableSession();
+  const run = { id: runId, folder, model, reusable, session: indexSession };
+
+  try {
+    const files = await listFiles(folder);
+    if (run.id !== indexRun) return;
+    setProgress({ state: "indexing", done: 0, total: files.length, error: null });
+    const entries = await indexFiles(files, run);
+    if (!entries) return;
+
+    await saveIndex({ folder, model, indexedAt: Date.now(), files: entries });
+    setProgress({ state: "idle" });
+  } catch (error) {
+    if (run.id === indexRun) {
+      setProgress({ state: "error", error: error.message || "Unknown error" });
+    }
+  }
+}
+
+/**
+ * Abandons the indexing run in progress and stops its embedding request
+ */
+export function stopIndexing() {
+  indexRun += 1;
+  indexSession?.cancelRequest();
+  indexSession = null;
+  if (progress.state === "indexing") {
+    setProgress({ state: "idle" });
+  }
+}
+
+/**
+ * Formats the chunks attached to a prompt
+ * @param {Array} matches - Chunks with their path
+ * @param {string} folder - Indexed folder
+ * @returns {string} Excerpts with file and line citations
+ */
+function formatExcerpts(matches, folder) {
+  const excerpts = matches.map(({ path, startLine, endLine, text }) =>
+    `--- ${path.slice(folder.length + 1)}:${startLine}-${endLine} ---\n${text}`);
+
+  return "Excerpts from the user's documents that may help. When you use one, cite it as file:line.\n\n" +
+    `${excerpts.join("\n\n")}\n\n`;
+}
+
+/**
+ * Waits until the main loop handled what else is pending
+ * @returns {Promise<void>} Resolves on the next idle run of the main loop
+ */
+function yieldToMainLoop() {
+  return new Promise((resolve) => {
+    GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+      resolve();
+      return GLib.SOURCE_REMOVE;
+    });
+  });
+}
+
+/**
+ * Scores chunks by their similarity to a query a batch at a time, so large
+ * indexes do not hold up the shell
+ * @param {Array} chunks - Chunks with their vector, given a score
+ * @param {Float32Array} queryVector - Normalized embedding of the query
+ * @param {number} [start] - First chunk to score
+ * @returns {Promise<void>} Resolves once every chunk has a score
+ */
+async function scoreChunks(chunks, queryVector, start = 0) {
+  const end = Math.min(start + SCORE_BATCH_SIZE, chunks.length);
+  for (let position = start; position < end; position++) {
+    const { vector } = chunks[position];
+    let score = 0;
+    for (let dimension = 0; dimension < vector.length; dimension++) {
+      score += vector[dimension] * queryVector[dimension];
+    }
+    chunks[position].score = score;
+  }
+
+  if (end < chunks.length) {
+    await yieldToMainLoop();
+    await scoreChunks(chunks, queryVector, end);
+  }
+}
+
+/**
+ * Finds the indexed chunks closest to a message
+ * @param {string} message - Message the user sends
+ * @param {Object} session - Session used to embed the message
+ * @returns {Promise<string>} Excerpts to put before the message, or an empty string
+ */
+async function findExcerpts(message, session) {
+  const settings = getSettings();
+  // The stored index is only read into memory once retrieval is used
+  if (!settings.get_boolean("retrieval-enabled") || !message.trim()) {
+    return "";
+  }
+
+  const data = await loadIndex();
+  const status = getIndexStatus();
+  // An index of another folder or model would attach unrelated or incomparable chunks
+  if (!status.current || status.chunks === 0) {
+    return "";
+  }
+
+  let queryVector;
+  try {
+    [queryVector] = await embedTexts([message], data.model, session);
+  } catch {
+    // The message is sent without excerpts when it cannot be embedded or was stopped
+    return "";
+  }
+
+  const chunks = Object.entries(data.files)
+    .flatMap(([path, file]) => file.chunks.map((chunk) => ({ ...chunk, path })));
+  await scoreChunks(chunks, queryVector);
+
+  const topK = Math.max(1, Math.round(settings.get_double("retrieval-top-k")));
+  const matches = chunks
+    .filter((chunk) => chunk.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+  return matches.length > 0 ? formatExcerpts(matches, data.folder) : "";
+}
+
+/**
+ * Starts looking for the indexed chunks closest to a message, when retrieval is on
+ * @param {string} message - Message the user sends
+ * @returns {Object} { result, cancel }: result resolves to the excerpts to put
+ *   before the message, or an empty string; cancel stops embedding the message
+ */
+export function buildRetrievalContext(message) {
+  const session = createCancellableSession();
+  return { result: findExcerpts(message, session), cancel: () => session.cancelRequest() };
+}
@@ -21,6 +21,105 @@ export const TextDecoder =
     };
   };
 
+/**
+ * Error for a response with a status other than 200 OK
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {number|null} [retryAfter] - Seconds the server asked to wait before retrying
+   */
+  constructor(status, retryAfter = null) {
+    const phrase = Soup.Status.get_phrase(status);
+    super(`HTTP error: ${status}${phrase ? ` (${phrase})` : ""}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Checks whether a URL points at this machine or the local network: a
+ * loopback or private address, "localhost" or a ".local" host name
+ * @param {string} url - Server URL
+ * @returns {boolean} True for local servers, false for other hosts and invalid URLs
+ */
+export function isLocalUrl(url) {
+  let host;
+  try {
+    host = (GLib.Uri.parse(url, GLib.UriFlags.NONE).get_host() || "").toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local")) {
+    return true;
+  }
+
+  const octets = host.split(".").map(Number);
+  if (octets.length === 4 && octets.every((octet) => Number.isInteger(octet) && octet >= 0 && octet <= 255)) {
+    const [first, second] = octets;
+    return first === 127 || first === 10 ||
+      (first === 172 && second >= 16 && second <= 31) ||
+      (first === 192 && second === 168) ||
+      (first === 169 && second === 254);
+  }
+
+  // IPv6 loopback, unique local (fc00::/7) and link-local (fe80::/10) addresses
+  return host.includes(":") && (host === "::1" || /^f[cd]/u.test(host) || /^fe[89ab]/u.test(host));
+}
+
+/**
+ * Explains rate limits and server errors to the user
+ * @param {Error} error - Request error
+ * @returns {string} Explanation to append to the error message, empty for other errors
+ */
+export function explainHttpError(error) {
+  if (!(error instanceof HttpError)) {
+    return "";
+  }
+
+  if (error.status === 429) {
+    const wait = error.retryAfter ? `in ${error.retryAfter} seconds` : "later";
+    return `\n\nThe rate limit was reached. Try again ${wait}.`;
+  }
+
+  return error.status >= 500 ? "\n\nThe server is having problems. Try again later." : "";
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait, or null when missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value.trim());
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds));
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Throws an HttpError unless the response status is 200 OK. The status is
+ * read as a number because GJS rejects codes missing from Soup.Status, such
+ * as 429.
+ * @param {Soup.Message} message - Message with a received response
+ */
+export function checkResponseStatus(message) {
+  const status = message.status_code;
+  if (status !== Soup.Status.OK) {
+    const retryAfter = message.get_response_headers().get_one("Retry-After");
+    throw new HttpError(status, parseRetryAfter(retryAfter));
+  }
+}
+
 /**
  * Clean up resources (streams, etc.)
  * @param {Gio.InputStream} inputStream - Input stream to close
@@ -49,7 +148,7 @@ export function createHttpMessage(options) {
     message.request_headers.append(key, value);
   });
 
-  if (body && method === "POST") {
+  if (body && method !== "GET") {
     message.set_request_body_from_bytes(
       "application/json",
       new GLib.Bytes(new TextEncoder().encode(body))
@@ -60,30 +159,29 @@ export function createHttpMessage(options) {
 }
 
 /**
- * Executes a GET request
+ * Executes a request and parses the whole JSON response (used for GET and small POST requests)
  * @param {Soup.Session} session - Soup session
  * @param {Soup.Message} message - HTTP message
- * @returns {Promise<Object>} JSON response
+ * @param {Gio.Cancellable} [cancellable] - Stops the request
+ * @returns {Promise<Object>} JSON response, an empty object for an empty body
  */
-export function executeGetRequest(session, message) {
+export function executeGetRequest(session, message, cancellable = null) {
   return new Promise((resolve, reject) => {
     session.send_and_read_async(
       message,
       GLib.PRIORITY_DEFAULT,
-      null,
+      cancellable,
       (_, result) => {
         try {
-          if (message.get_status() !== Soup.Status.OK) {
-            throw new Error(`HTTP error: ${message.get_status()}`);
-          }
-
           const bytes = session.send_and_read_finish(result);
+          checkResponseStatus(message);
+
           if (!bytes) {
             throw new Error("No response data received");
           }
 
           const responseText = new TextDecoder().decode(bytes.get_data());
-          resolve(JSON.parse(responseText));
+          resolve(responseText.trim() ? JSON.parse(responseText) : {});
         } catch (e) {
           // Error processing response
           reject(e);
@@ -3,15 +3,61 @@
  */
 import GLib from "gi://GLib";
 import { getSettings } from "../lib/settings.js";
-import * as ollamaProvider from "./providers/ollamaProvider.js";
-import * as openaiProvider from "./providers/openaiProvider.js";
-import * as geminiProvider from "./providers/geminiProvider.js";
+import { stripThinking } from "../lib/thinking.js";
+import {
+  fetchModelGroups,
+  getModelChain,
+  getProviderForModel,
+  resetProviderContexts,
+  sendToModelChain,
+} from "./providerRegistry.js";
+import {
+  closeConversation,
+  deleteSavedConversation,
+  getCurrentConversation,
+  restoreConversation,
+  setConversationFiles,
+  startConversation,
+  storeConversation,
+} from "./conversations.js";
+import { buildRetrievalContext, stopIndexing } from "./documentIndex.js";
+import { explainHttpError } from "./httpUtils.js";
+import { createToolRunner, stopPendingToolCalls, getTools } from "./toolRegistry.js";
+import { createUsageTracker, resetConversationUsage } from "./usageTracker.js";
+import { processProviderResponse } from "./utils/api/responseProcessors.js";
+import {
+  applyHistorySummary,
+  estimateHistoryTokens,
+  planHistorySummary,
+} from "./utils/modelProcessing/historySummary.js";
+import {
+  addChild,
+  createHistoryTree,
+  followHistory,
+  getActivePath,
+  getBranchPosition,
+  removeChild,
+  selectBranch,
+} from "./utils/modelProcessing/historyTree.js";
 
+export { getModelCapabilities, getReasoningChoices } from "./providerRegistry.js";
+export {
+  getCurrentConversationId,
+  getShownConversationId,
+  listConversations,
+  renameConversation,
+} from "./conversations.js";
+
+// The history is the active path through a tree holding every version of
+// edited messages
+let historyTree = createHistoryTree();
 let conversationHistory = [];
 let currentModel = null;
 let isMessageInProgress = false;
 let cancelCurrentRequest = null;
 let lastError = null;
+let lastTrimmedTurns = 0;
+let stopRequested = false;
 
 /**
  * Sets the current AI model
@@ -26,51 +72,75 @@ export function setModel(modelName) {
   });
 }
 
-/**
- * @param {string} modelName - Model name to get provider for
- * @returns {Object} Provider object with standardized interface
- */
-function getProviderForModel(modelName) {
-  if (openaiProvider.isOpenAIModel(modelName)) {
-    return openaiProvider;
-  } 
-  if (geminiProvider.checkIsGeminiModel(modelName)) {
-    return geminiProvider;
-  }
-  return ollamaProvider;
-}
-
 /**
  * Fetches model names from the API
- * @returns {Promise<{models: string[], error: string|null}>} Object containing array of available model names and optional error
+ * @returns {Promise<{models: string[], groups: Array, warnings: string[], error: string|null}>} Available model names, the same names grouped by provider, per-server problems, and optional error
  */
 export async function fetchModelNames() {
   try {
-    const [ollamaModels, openaiModels, geminiModels] = await Promise.allSettled([
-      ollamaProvider.fetchModelNames(),
-      openaiProvider.fetchModelNames(),
-      geminiProvider.fetchModelNames(),
-    ]);
-
-    const models = [
-      ...(ollamaModels.status === "fulfilled" ? ollamaModels.value : []),
-      ...(openaiModels.status === "fulfilled" ? openaiModels.value : []),
-      ...(geminiModels.status === "fulfilled" ? geminiModels.value : []),
-    ];
+    const allGroups = await fetchModelGroups();
+    const groups = allGroups
+      .filter((group) => group.models.length > 0)
+      .map(({ info, models }) => ({ id: info.id, displayName: info.displayName, models }));
+
+    const models = groups.flatMap((group) => group.models);
+    const warnings = allGroups.flatMap((group) => group.warnings);
 
     return {
       models,
+      groups,
+      warnings,
       error: models.length === 0 ? "No models found. Please check if services are running with models installed, or that you have API keys in settings." : null
     };
   } catch {
     // Error fetching models
     return {
       models: [],
+      groups: [],
+      warnings: [],
       error: "Error fetching models. Please check network connection and service availability."
     };
   }
 }
 
+/**
+ * Makes a saved conversation the current one
+ * @param {string} id - Conversation id
+ * @returns {Promise<Object|null>} The conversation's messages and unsent
+ *   attachments as { messages, files }, null when it could not be read or
+ *   another conversation was chosen meanwhile
+ */
+export async function openConversation(id) {
+  const conversation = await restoreConversation(id);
+  if (!conversation) return null;
+
+  historyTree = conversation.tree;
+  conversationHistory = getActivePath(historyTree);
+  lastTrimmedTurns = 0;
+  resetConversationUsage();
+  resetProviderContexts();
+  return { messages: conversationHistory, files: conversation.files };
+}
+
+/**
+ * Saves files attached but not sent yet with the current conversation
+ * @param {Array} files - Attachments as { fileName, content, path, usage }
+ */
+export function saveConversationFiles(files) {
+  setConversationFiles(files);
+  storeConversation(historyTree, currentModel);
+}
+
+/**
+ * Deletes a saved conversation. Deleting the current one starts a new one.
+ * @param {string} id - Conversation id
+ */
+export function deleteConversation(id) {
+  if (deleteSavedConversation(id)) {
+    clearConversationHistory();
+  }
+}
+
 /**
  * @returns {Array} The conversation history
  */
@@ -83,8 +153,12 @@ export function getConversationHistory() {
  */
 export function clearConversationHistory() {
   GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+    historyTree = createHistoryTree();
     conversationHistory = [];
-    ollamaProvider.resetContext();
+    startConversation();
+    lastTrimmedTurns = 0;
+    resetConversationUsage();
+    resetProviderContexts();
     return GLib.SOURCE_REMOVE;
   });
 }
@@ -97,91 +171,132 @@ export function cleanupOnDisable() {
   if (cancelCurrentRequest) {
     cancelCurrentRequest();
   }
+  stopPendingToolCalls();
+  stopIndexing();
 
+  historyTree = createHistoryTree();
   conversationHistory = [];
+  closeConversation();
   currentModel = null;
   isMessageInProgress = false;
   cancelCurrentRequest = null;
   lastError = null;
-  ollamaProvider.resetContext();
+  lastTrimmedTurns = 0;
+  stopRequested = false;
+  resetConversationUsage();
+  resetProviderContexts();
+}
+
+/**
+ * Goes back to just before a user message, so the next message sent becomes
+ * another version of it. The message and the replies it received stay in
+ * the history tree.
+ * @param {Object} entry - User message on the active path
+ * @returns {boolean} Whether the message is on the active path; messages
+ *   replaced by a summary are not
+ */
+export function rewindConversation(entry) {
+  const index = conversationHistory.indexOf(entry);
+  if (index < 0) return false;
+
+  conversationHistory = conversationHistory.slice(0, index);
+  lastTrimmedTurns = 0;
+  resetProviderContexts();
+  return true;
+}
+
+/**
+ * @param {Object} entry - Message on the active path
+ * @returns {Object|null} { position, count } with the 1-based position of the
+ *   message among its versions, null when it is not on the active path
+ */
+export function getMessageVersions(entry) {
+  return getBranchPosition(historyTree, conversationHistory, entry);
+}
+
+/**
+ * Continues the conversation from another version of a message
+ * @param {Object} entry - Message on the active path
+ * @param {number} step - -1 for the previous version, 1 for the next
+ * @returns {Object|null} The version now on the active path, null when there is none
+ */
+export function switchMessageVersion(entry, step) {
+  const version = selectBranch(historyTree, conversationHistory, { entry, step });
+  if (!version) return null;
+
+  conversationHistory = getActivePath(historyTree);
+  lastTrimmedTurns = 0;
+  resetProviderContexts();
+  storeConversation(historyTree, currentModel);
+  return version;
 }
 
 /**
  * @param {string} text - Message text
  * @param {string} type - Message type (user or assistant)
+ * @param {string} [displayText] - Text shown in the panel when it differs from the message
+ * @returns {Object|null} The new history entry, null for an empty text
  */
-function addMessageToHistory(text, type) {
-  if (!text) return;
+function addMessageToHistory(text, type, displayText = null) {
+  if (!text) return null;
   
   // Remove any "Prompt:" prefix from the text
   const cleanText = text.replace(/^Prompt:\s*/iu, '');
-  conversationHistory.push({ text: cleanText, type });
+  const parent = conversationHistory[conversationHistory.length - 1] || historyTree;
+  const entry = addChild(parent, displayText && displayText !== cleanText ?
+    { text: cleanText, type, display: displayText } :
+    { text: cleanText, type });
+  conversationHistory.push(entry);
+  return entry;
 }
 
 /**
- * @returns {boolean} True if a message is being processed
+ * Takes the last entry back out of the history, for a message that was
+ * stopped before it was sent
+ * @param {Object} entry - Entry added last with addMessageToHistory
  */
-export function isProcessingMessage() {
-  return isMessageInProgress;
+function removeLastMessageFromHistory(entry) {
+  if (conversationHistory[conversationHistory.length - 1] !== entry) return;
+
+  conversationHistory.pop();
+  removeChild(conversationHistory[conversationHistory.length - 1] || historyTree, entry);
 }
 
 /**
- * Process the response from the AI provider
- * @param {Object|string} response - Response from the provider
- * @returns {string} Processed response text
+ * Adds a reply to the history and saves the conversation. A reply finishing
+ * after another conversation was opened or started is left out.
+ * @param {Object} conversation - Conversation the message was sent in
+ * @param {string[]} texts - Reply texts; empty ones and the placeholder for
+ *   a reply without text are skipped
  */
-function processProviderResponse(response) {
-  // Handle string responses directly
-  if (typeof response === "string") {
-    return response.replace(/^Prompt:\s*/iu, '');
-  }
+function recordReply(conversation, texts) {
+  if (conversation !== getCurrentConversation()) return;
 
-  // Handle object responses
-  if (response && typeof response === "object") {
-    // Handle OpenAI-style response
-    if (response.choices && response.choices[0]?.message?.content) {
-      return response.choices[0].message.content.replace(/^Prompt:\s*/iu, '');
-    }
-    
-    // Handle Ollama-style response
-    if (response.response) {
-      return response.response.replace(/^Prompt:\s*/iu, '');
-    }
-
-    // Handle direct response property
-    if (response.content) {
-      return response.content.replace(/^Prompt:\s*/iu, '');
-    }
-    
-    // Handle text property from parsed responses
-    if (response.text) {
-      return response.text.replace(/^Prompt:\s*/iu, '');
-    }
-  }
+  texts
+    .filter((text) => text !== "No valid response received")
+    .forEach((text) => addMessageToHistory(text, "assistant"));
+  storeConversation(historyTree, currentModel);
+}
 
-  return "No valid response received";
+/**
+ * @returns {boolean} True if a message is being processed
+ */
+export function isProcessingMessage() {
+  return isMessageInProgress;
 }
 
 /**
  * Handles errors during API communication
  * @param {Error} error - The error that occurred
+ * @param {string} [modelName] - Model the failed request was sent to
  * @returns {string} Error message
  */
-function handleApiError(error) {
-  const provider = getProviderForModel(currentModel);
-  let errorMessage;
+function handleApiError(error, modelName = currentModel) {
+  const provider = getProviderForModel(modelName);
   
   // Include model information and more context in error messages
-  if (provider === openaiProvider) {
-    errorMessage = `Error communicating with OpenAI (model: ${currentModel || "unknown"}). ${error.message || "Please check your API key in settings."}`;
-    if (error.message && error.message.includes("429 is not a valid value for enumeration Status")) {
-      errorMessage += "\n\nThis might be due to rate limiting. Try again later.";
-    }
-  } else if (provider === geminiProvider) {
-    errorMessage = `Error communicating with Gemini (model: ${currentModel || "unknown"}). ${error.message || "Please check your API key in settings."}`;
-  } else {
-    errorMessage = `Error communicating with Ollama (model: ${currentModel || "unknown"}). ${error.message || "Please check if Ollama is installed and running."}`;
-  }
+  const { displayName, configHint } = provider.providerInfo;
+  const errorMessage = `Error communicating with ${displayName} (model: ${modelName || "unknown"}). ${error.message || configHint}${explainHttpError(error)}`;
   
   // Set lastError for temporary message display
   lastError = errorMessage;
@@ -189,6 +304,66 @@ function handleApiError(error) {
   return errorMessage;
 }
 
+/**
+ * Replaces older turns with a summary once the history grows past the
+ * configured threshold. On failure the full history is kept and the usual
+ * context window trimming applies.
+ * @param {Function} [displayMessage] - Callback that shows the new summary
+ */
+async function summarizeHistoryIfNeeded(displayMessage) {
+  const settings = getSettings();
+  if (!settings.get_boolean("summarize-history") ||
+      estimateHistoryTokens(conversationHistory) <= settings.get_double("summary-threshold")) {
+    return;
+  }
+
+  const plan = planHistorySummary(conversationHistory);
+  if (!plan) return;
+
+  const history = conversationHistory;
+  const modelName = settings.get_string("summary-model").trim() || currentModel;
+
+  try {
+    const provider = getProviderForModel(modelName);
+    const apiResult = await provider.sendMessageToAPI({
+      messageText: plan.prompt,
+      modelName,
+      context: [],
+      onData: null,
+      standalone: true,
+    });
+    const summary = stripThinking(processProviderResponse(await apiResult.result));
+
+    // Skip failed summaries and histories cleared while the summary was written
+    if (!summary || summary === "No valid response received" || summary.startsWith("Error:") ||
+        history !== conversationHistory) {
+      return;
+    }
+
+    conversationHistory = applyHistorySummary(plan, summary);
+    followHistory(historyTree, conversationHistory);
+    if (displayMessage && typeof displayMessage === 'function') {
+      displayMessage(summary, "summary");
+    }
+  } catch {
+    // Keep the full history
+  }
+}
+
+/**
+ * Replaces the text of the conversation summary. An empty text removes the
+ * summary, so the model forgets the summarized turns.
+ * @param {string} text - New summary text
+ */
+export function updateConversationSummary(text) {
+  const cleanText = (text || "").trim();
+  conversationHistory = cleanText ?
+    conversationHistory.map((entry) => entry.type === "summary" ? { text: cleanText, type: "summary" } : entry) :
+    conversationHistory.filter((entry) => entry.type !== "summary");
+  followHistory(historyTree, conversationHistory);
+  storeConversation(historyTree, currentModel);
+}
+
 /**
  * Send the API request and handle the cancel function
  * @param {Object} options - API call options
@@ -200,6 +375,10 @@ async function sendApiRequest({
   modelName,
   contextToUse,
   asyncOnData,
+  onRetry,
+  onToolEvent,
+  usageTracker,
+  responseSchema,
 }) {
   // Store in a local variable and clear global to avoid race condition
   const prevCancel = cancelCurrentRequest;
@@ -209,19 +388,23 @@ async function sendApiRequest({
     prevCancel();
   }
 
-  // For OpenAI and Gemini, use the conversation history directly
-  // For Ollama, use contextToUse parameter or let the provider handle context
-  const context = (provider === openaiProvider || provider === geminiProvider) ? 
-    conversationHistory : 
-    contextToUse;
-
+  // Every provider works from the conversation history; Ollama only falls
+  // back to its own context tokens on servers without /api/chat
+  const runTool = createToolRunner(provider, onToolEvent);
   const apiResult = await provider.sendMessageToAPI({
     messageText,
     modelName,
-    context,
+    context: contextToUse,
     onData: asyncOnData,
+    onRetry,
+    tools: runTool ? getTools() : null,
+    runTool,
+    // Providers without structured output leave the reply format to the prompt
+    responseSchema: provider.providerInfo.capabilities.structuredOutput ? responseSchema : null,
   });
   
+  lastTrimmedTurns = apiResult.trimmedTurns || 0;
+  
   // Store cancel function - only assign if we're still in this call context
   // Use a local function to ensure atomic update
   const newCancel = apiResult.cancel;
@@ -232,7 +415,41 @@ async function sendApiRequest({
     return GLib.SOURCE_REMOVE;
   });
   
-  return apiResult.result;
+  return apiResult.result.then((response) => {
+    usageTracker.finish({ providerId: provider.providerInfo.id, modelName, usage: apiResult.usage });
+    return response;
+  });
+}
+
+/**
+ * Passes a message to the panel's displayMessage callback, when one is given
+ * @param {Function} [displayMessage] - Panel callback
+ * @param {...*} args - Text, type and, for user messages, the history entry
+ */
+function showInPanel(displayMessage, ...args) {
+  if (typeof displayMessage !== "function") return;
+
+  try {
+    displayMessage(...args);
+  } catch {
+    // Error handling
+  }
+}
+
+/**
+ * Looks up excerpts of the indexed documents for a message. Stop cancels
+ * the lookup like it cancels a request.
+ * @param {string} message - Message the user sends
+ * @returns {Promise<string|null>} Excerpts, or null when the message was stopped
+ */
+async function findRetrievalContext(message) {
+  const retrieval = buildRetrievalContext(message);
+  cancelCurrentRequest = retrieval.cancel;
+  const retrievalContext = await retrieval.result;
+  if (cancelCurrentRequest === retrieval.cancel) {
+    cancelCurrentRequest = null;
+  }
+  return stopRequested ? null : retrievalContext;
 }
 
 /**
@@ -242,6 +459,12 @@ async function sendApiRequest({
  * @param {string} [options.context] - Optional conversation context
  * @param {Function} [options.onData] - Callback function for streaming response
  * @param {Function} [options.displayMessage] - Optional simplified message for history
+ * @param {string} [options.displayText] - Text shown in the panel for the message, such as the prompt without its attached files
+ * @param {Function} [options.onRetry] - Callback while a failed request waits to be retried
+ * @param {Function} [options.onFallback] - Callback when a model failed and the next one is tried
+ * @param {Function} [options.onToolEvent] - Callback for tool call progress
+ * @param {Function} [options.onUsage] - Callback with the token usage and cost of the reply
+ * @param {Object} [options.responseSchema] - JSON Schema the reply must follow
  * @returns {Promise<string>} The complete response
  */
 export async function sendMessage({
@@ -249,6 +472,12 @@ export async function sendMessage({
   context,
   onData,
   displayMessage = null,
+  displayText,
+  onRetry,
+  onFallback,
+  onToolEvent,
+  onUsage,
+  responseSchema,
 }) {
   // Early return checks - don't start if already processing
   if (isMessageInProgress) return "";
@@ -266,9 +495,16 @@ export async function sendMessage({
   });
   
   lastError = null;
+  lastTrimmedTurns = 0;
+  stopRequested = false;
+  
+  await summarizeHistoryIfNeeded(displayMessage);
+
+  const conversation = getCurrentConversation();
   
   // Check if this is the first message in the conversation and show the model prompt
-  if (conversationHistory.length === 0) {
+  // A new version of the first message starts below the same system prompt
+  if (historyTree.children.length === 0) {
     // Get the model prompt and add it as a system message in the history only
     const settings = getSettings();
     const modelPrompt = settings.get_string("model-prompt") || "";
@@ -281,20 +517,23 @@ export async function sendMessage({
 
   // For history, use a clean message (but we'll send the original message to the model)
   const cleanMessage = message.replace(/^Prompt:\s*/iu, '');
-  addMessageToHistory(cleanMessage, "user");
-
-  // Only call displayMessage if it's provided and is a function
-  if (displayMessage && typeof displayMessage === 'function') {
-    try {
-      displayMessage(cleanMessage, "user");
-    } catch {
-      // Error handling
-    }
-  }
+  const userEntry = addMessageToHistory(cleanMessage, "user", displayText);
+
+  // The entry lets the panel edit the message later
+  showInPanel(displayMessage, cleanMessage, "user", userEntry);
 
   let responseText = "";
+  const usageTracker = createUsageTracker(onUsage);
 
   try {
+    // Excerpts from indexed documents go to the model only, not into the history
+    const retrievalContext = await findRetrievalContext(cleanMessage);
+    if (retrievalContext === null) {
+      // Stopped before anything was sent, so no reply will follow the message
+      removeLastMessageFromHistory(userEntry);
+      return responseText;
+    }
+
     const asyncOnData = (data) => {
       // Ensure data is valid and not an error message that should be a temporary message
       if (!data || typeof data !== 'string' || data.includes("Error communicating with")) {
@@ -302,6 +541,7 @@ export async function sendMessage({
       }
       
       responseText += data;
+      usageTracker.onText();
       
       if (onData) {
         GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
@@ -311,43 +551,41 @@ export async function sendMessage({
       }
     };
 
-    // Create proper context based on provider
-    const provider = getProviderForModel(currentModel);
-    
-    const contextToUse = context || ((provider === openaiProvider || provider === geminiProvider) ? conversationHistory : null);
+    const contextToUse = context || conversationHistory;
     
     // Use the original message (not the cleaned message) for the API request
-    const result = await sendApiRequest({
+    const sendToModel = (modelName, provider) => sendApiRequest({
       provider,
-      messageText: message,
-      modelName: currentModel,
+      messageText: retrievalContext + message,
+      modelName,
       contextToUse,
       asyncOnData,
+      onRetry,
+      onToolEvent,
+      usageTracker,
+      responseSchema,
+    });
+
+    // A model that already streamed text or was stopped is not replaced
+    const { response } = await sendToModelChain(getModelChain(currentModel), sendToModel, {
+      canFallBack: () => !stopRequested && !responseText,
+      onFallback,
     });
 
-    // Wait for the result to resolve
-    const response = await result;
-    responseText = processProviderResponse(response);
+    // The reasoning was shown while streaming; the history keeps the answer
+    responseText = stripThinking(processProviderResponse(response));
     
+    recordReply(conversation, [responseText]);
     if (responseText && responseText !== "No valid response received") {
-      addMessageToHistory(responseText, "assistant");
-      // Only call displayMessage if it's provided and is a function
-      if (displayMessage && typeof displayMessage === 'function') {
-        try {
-          displayMessage(responseText, "assistant");
-        } catch {
-          // Error handling
-        }
-      }
+      showInPanel(displayMessage, responseText, "assistant");
     }
   } catch (error) {
     // Handle the error without sending to asyncOnData callback
-    const errorMessage = handleApiError(error);
+    const errorMessage = handleApiError(error, error.modelName);
     
-    // Only add the error to history if lastError is set to null
-    if (lastError === null) {
-      addMessageToHistory(errorMessage, "assistant");
-    }
+    // Text streamed before a stalled or dropped reply stays in the conversation;
+    // the error is only added to history if lastError is set to null
+    recordReply(conversation, [stripThinking(responseText), lastError === null ? errorMessage : ""]);
   } finally {
     // Reset processing state using GLib.idle_add to ensure it's done on the main thread
     GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
@@ -364,10 +602,12 @@ export async function sendMessage({
  * @returns {string|null} Partial response or null if no message was in progress
  */
 export function stopAiMessage() {
+  stopRequested = true;
   if (cancelCurrentRequest) {
     cancelCurrentRequest();
     cancelCurrentRequest = null;
   }
+  stopPendingToolCalls();
   isMessageInProgress = false;
   return null;
 }
@@ -379,3 +619,12 @@ export function stopAiMessage() {
 export function getLastError() {
   return lastError;
 }
+
+/**
+ * Gets how many old turns were left out of the last request to fit the
+ * model's context window
+ * @returns {number} Number of trimmed turns
+ */
+export function getLastTrimmedTurns() {
+  return lastTrimmedTurns;
+}
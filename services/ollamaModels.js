@@ -0,0 +1,161 @@
+/**
+ * Management of the models installed on Ollama hosts
+ *
+ * Model names follow the model menu: a name suffixed with @host refers to one
+ * of the additional Ollama hosts, a plain name to the default host.
+ */
+import { createCancellableSession } from "./apiUtils.js";
+import { listOllamaApiUrls, resolveOllamaApiUrl } from "./providers/ollamaProvider.js";
+import { getRequestTimeouts } from "./requestTimeouts.js";
+import { createBasicChunkProcessor } from "./utils/api/responseProcessors.js";
+import { getOllamaKeepAlive } from "./utils/providers/payloadUtils.js";
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+/**
+ * Downloads a model, reporting progress while the layers arrive. Only the
+ * connect timeout applies, since verifying large layers can take minutes
+ * without any progress being reported.
+ * @param {string} modelName - Model to pull, optionally suffixed with @host
+ * @param {Function} onProgress - Receives { status, completed, total }; the
+ *   byte counts are 0 for steps without a download
+ * @returns {Object} Result promise, resolving to false when cancelled, and cancel()
+ */
+export function pullModel(modelName, onProgress) {
+  const { url, modelName: hostModelName } = resolveOllamaApiUrl(modelName, "pull");
+  const session = createCancellableSession({
+    timeouts: { connect: getRequestTimeouts().connect, firstToken: 0, idle: 0 },
+  });
+
+  let pullError = null;
+  let succeeded = false;
+  let cancelled = false;
+  const processChunk = createBasicChunkProcessor({
+    onData: null,
+    extractContent: (json) => {
+      if (json.error) {
+        pullError = json.error;
+      } else {
+        succeeded = json.status === "success";
+        onProgress({ status: json.status || "", completed: json.completed || 0, total: json.total || 0 });
+      }
+      return null;
+    },
+  });
+
+  const { result } = session.sendRequest({
+    method: "POST",
+    url,
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ model: hostModelName, stream: true }),
+    processChunk,
+  });
+
+  return {
+    result: result.then(() => {
+      if (pullError) {
+        throw new Error(pullError);
+      }
+      if (!succeeded && !cancelled) {
+        throw new Error("The download stopped before it finished.");
+      }
+      return succeeded;
+    }),
+    cancel: () => {
+      cancelled = true;
+      session.cancelRequest();
+    },
+  };
+}
+
+/**
+ * Deletes a model from its host
+ * @param {string} modelName - Model to delete, optionally suffixed with @host
+ * @returns {Promise<void>} Resolves once the model is deleted
+ */
+export async function deleteModel(modelName) {
+  const { url, modelName: hostModelName } = resolveOllamaApiUrl(modelName, "delete");
+  await createCancellableSession().delete(url, JSON.stringify({ model: hostModelName }), JSON_HEADERS);
+}
+
+/**
+ * Reads the details of an installed model
+ * @param {string} modelName - Model to inspect, optionally suffixed with @host
+ * @returns {Promise<Object>} Family, parameter size, quantization, format and
+ *   context length (null when unknown), and the parameters, template and license text
+ */
+export async function showModel(modelName) {
+  const { url, modelName: hostModelName } = resolveOllamaApiUrl(modelName, "show");
+  const data = await createCancellableSession().post(url, JSON.stringify({ model: hostModelName }), JSON_HEADERS);
+
+  const details = data.details || {};
+  const modelInfo = data.model_info || {};
+  const contextKey = Object.keys(modelInfo).find((key) => key.endsWith(".context_length"));
+
+  return {
+    family: details.family || "",
+    parameterSize: details.parameter_size || "",
+    quantization: details.quantization_level || "",
+    format: details.format || "",
+    contextLength: contextKey ? modelInfo[contextKey] : null,
+    parameters: data.parameters || "",
+    template: data.template || "",
+    license: data.license || "",
+  };
+}
+
+/**
+ * Lists the models loaded into memory on every Ollama host. Hosts that
+ * cannot be reached are left out.
+ * @returns {Promise<Array>} Loaded models with the name shown in the model
+ *   menu, size and size in video memory in bytes, and expiry time (null when unknown)
+ */
+export async function listRunningModels() {
+  const hosts = listOllamaApiUrls("ps");
+  const results = await Promise.allSettled(hosts.map(({ url }) => createCancellableSession().get(url)));
+
+  return results.flatMap((result, index) => {
+    if (result.status !== "fulfilled" || !Array.isArray(result.value.models)) {
+      return [];
+    }
+
+    return result.value.models.map((model) => ({
+      name: `${model.name}${hosts[index].suffix}`,
+      size: model.size || 0,
+      sizeVram: model.size_vram || 0,
+      expiresAt: model.expires_at ? Date.parse(model.expires_at) : null,
+    }));
+  });
+}
+
+/**
+ * Loads a model or unloads it by sending an empty prompt with a keep_alive
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @param {string|number|null} keepAlive - How long to keep the model loaded;
+ *   null for the server's default
+ * @returns {Promise<Object>} Response of the server
+ */
+function sendKeepAlive(modelName, keepAlive) {
+  const { url, modelName: hostModelName } = resolveOllamaApiUrl(modelName, "generate");
+  const body = { model: hostModelName, stream: false, ...(keepAlive === null ? {} : { keep_alive: keepAlive }) };
+  return createCancellableSession().post(url, JSON.stringify(body), JSON_HEADERS);
+}
+
+/**
+ * Loads a model into memory ahead of the first message, keeping it for the
+ * configured keep alive time
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @returns {Promise<Object>} Response of the server once the model is loaded
+ */
+export function preloadModel(modelName) {
+  return sendKeepAlive(modelName, getOllamaKeepAlive());
+}
+
+/**
+ * Frees the memory used by a loaded model
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @returns {Promise<Object>} Response of the server once the model is unloaded
+ */
+export function unloadModel(modelName) {
+  return sendKeepAlive(modelName, 0);
+}
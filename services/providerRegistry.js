@@ -0,0 +1,185 @@
+/**
+ * Registry of AI backends
+ *
+ * Every provider module exports the standard interface (fetchModelNames,
+ * sendMessageToAPI, stopMessage) plus a `providerInfo` object describing it:
+ * id, displayName, capabilities, settingsKeys, configHint, isLocal(modelName)
+ * (whether requests for the model stay on the user's own machines) and
+ * ownsModel().
+ * Providers that talk to several servers may also export getModelFetchWarnings()
+ * to report servers that could not be reached, and providers that know what
+ * their models can do export getModelCapabilities(modelName).
+ * Adding a backend means writing one such module and listing it below.
+ */
+import { getSettings } from "../lib/settings.js";
+import { credentialsLoaded } from "./credentials.js";
+import { getModelReasoningChoices } from "./utils/providers/reasoningOptions.js";
+import * as ollamaProvider from "./providers/ollamaProvider.js";
+import * as compatibleProvider from "./providers/openaiCompatibleProvider.js";
+import * as openaiProvider from "./providers/openaiProvider.js";
+import * as geminiProvider from "./providers/geminiProvider.js";
+import * as anthropicProvider from "./providers/anthropicProvider.js";
+
+// Listed in the order their models appear in the model menu
+const providers = [
+  ollamaProvider,
+  compatibleProvider,
+  openaiProvider,
+  geminiProvider,
+  anthropicProvider,
+];
+
+/**
+ * @returns {Array} All registered provider modules in display order
+ */
+export function getProviders() {
+  return providers;
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider module with that id
+ */
+export function getProviderById(id) {
+  return providers.find((provider) => provider.providerInfo.id === id) || null;
+}
+
+/**
+ * Finds the provider that serves a model. Fallback providers are only
+ * consulted once no other provider claims the model.
+ * @param {string} modelName - Model name to get provider for
+ * @returns {Object} Provider module
+ */
+export function getProviderForModel(modelName) {
+  const owner = providers.find(
+    (provider) => !provider.providerInfo.isFallback && provider.providerInfo.ownsModel(modelName)
+  );
+  if (owner) {
+    return owner;
+  }
+
+  return providers.find(
+    (provider) => provider.providerInfo.isFallback && provider.providerInfo.ownsModel(modelName)
+  ) || null;
+}
+
+/**
+ * Drops any server-side conversation state kept by providers
+ */
+export function resetProviderContexts() {
+  providers.forEach((provider) => {
+    if (typeof provider.resetContext === "function") {
+      provider.resetContext();
+    }
+  });
+}
+
+/**
+ * Fetches model names from every provider
+ * @returns {Promise<Array>} One { info, models, warnings } group per provider, in display order
+ */
+export async function fetchModelGroups() {
+  // Cloud providers need their API keys before they can list models
+  await credentialsLoaded();
+  const results = await Promise.allSettled(
+    providers.map((provider) => provider.fetchModelNames())
+  );
+
+  return providers.map((provider, index) => ({
+    info: provider.providerInfo,
+    models: results[index].status === "fulfilled" ? results[index].value : [],
+    warnings: typeof provider.getModelFetchWarnings === "function" ?
+      provider.getModelFetchWarnings() :
+      [],
+  }));
+}
+
+/**
+ * Looks up what a model can do. Vision and tools are only reported where the
+ * provider's requests support them, since a model cannot use images or tools
+ * the extension never sends it.
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Promise<Object|null>} { vision, tools, thinking, contextLength },
+ *   each null when unknown, or null when the provider does not say
+ */
+export async function getModelCapabilities(modelName) {
+  const provider = getProviderForModel(modelName);
+  if (!provider || typeof provider.getModelCapabilities !== "function") {
+    return null;
+  }
+
+  const capabilities = await provider.getModelCapabilities(modelName);
+  if (!capabilities) {
+    return null;
+  }
+
+  const supported = provider.providerInfo.capabilities;
+  return {
+    ...capabilities,
+    vision: supported.vision ? capabilities.vision : false,
+    tools: supported.tools ? capabilities.tools : false,
+  };
+}
+
+/**
+ * Lists the reasoning options a model accepts
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Promise<Array|null>} Choices as { value, title }, or null when the
+ *   model does not reason or its provider has no reasoning controls
+ */
+export async function getReasoningChoices(modelName) {
+  const provider = getProviderForModel(modelName);
+  const choices = provider ? getModelReasoningChoices(provider.providerInfo.id, modelName) : null;
+  if (!choices) {
+    return null;
+  }
+
+  const capabilities = await getModelCapabilities(modelName);
+  return capabilities && capabilities.thinking ? choices : null;
+}
+
+/**
+ * Lists the models to try for a message: the selected model, then the
+ * configured fallback models in order. With local-only on, fallback models of
+ * cloud providers are skipped.
+ * @param {string} modelName - Selected model
+ * @returns {Array<string>} Model names
+ */
+export function getModelChain(modelName) {
+  const settings = getSettings();
+  const localOnly = settings.get_boolean("local-only");
+
+  const fallbacks = settings.get_strv("fallback-models")
+    .map((name) => name.trim())
+    .filter((name) => name && name !== modelName)
+    .filter((name) => !localOnly || getProviderForModel(name)?.providerInfo.isLocal(name));
+
+  return [modelName, ...new Set(fallbacks)];
+}
+
+/**
+ * Sends a request to each model of a chain until one answers
+ * @param {Array<string>} models - Models to try, in order
+ * @param {Function} send - Sends the request to (modelName, provider) and resolves to the response
+ * @param {Object} options - canFallBack() tells whether a failed request may
+ *   move on to the next model; onFallback({ failedModel, nextModel, error }) is
+ *   called when it does
+ * @returns {Promise<{response: *, modelName: string}>} Response and the model that gave it
+ */
+export async function sendToModelChain(models, send, { canFallBack, onFallback = null }) {
+  const [modelName, ...fallbacks] = models;
+
+  try {
+    return { response: await send(modelName, getProviderForModel(modelName)), modelName };
+  } catch (error) {
+    if (fallbacks.length === 0 || !canFallBack()) {
+      error.modelName = modelName;
+      throw error;
+    }
+
+    if (onFallback) {
+      onFallback({ failedModel: modelName, nextModel: fallbacks[0], error });
+    }
+    return sendToModelChain(fallbacks, send, { canFallBack, onFallback });
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Anthropic Claude provider using the provider factory
+ */
+import { createChatProvider } from "../utils/providers/providerFactory.js";
+import { toAnthropicParams } from "../utils/providers/generationParams.js";
+import { processAnthropicModels } from "../utils/modelProcessing/anthropicModelFilter.js";
+import { wrapThinking } from "../../lib/thinking.js";
+import { createCancellableSession } from "../apiUtils.js";
+import { getCredential } from "../credentials.js";
+
+// API endpoints
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_API_URL = `${ANTHROPIC_BASE_URL}/messages`;
+const ANTHROPIC_MODELS_URL = `${ANTHROPIC_BASE_URL}/models`;
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// The Messages API requires an explicit output limit; profiles may override it
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+// Context window shared by the current Claude models
+const ANTHROPIC_CONTEXT_LIMIT = 200000;
+
+// Module state
+const errorMessages = [];
+
+/**
+ * Records detailed errors for later reporting
+ * @param {string} message - Error message to record
+ * @param {Object} [details] - Additional error details
+ * @param {string} [source] - Source of the error
+ */
+function recordError(message, details = null, source = 'Anthropic Provider') {
+  const timestamp = new Date().toISOString();
+  const formattedMessage = `[${timestamp}] [${source}] ${message}`;
+
+  if (details) {
+    if (details instanceof Error) {
+      errorMessages.push(`${formattedMessage}: ${details.message}\n${details.stack || ''}`);
+    } else {
+      errorMessages.push(`${formattedMessage}: ${JSON.stringify(details)}`);
+    }
+  } else {
+    errorMessages.push(formattedMessage);
+  }
+}
+
+/**
+ * Gets the Anthropic API key from the keyring
+ * @returns {string} API key
+ */
+function getApiKey() {
+  const apiKey = getCredential("anthropic-api-key");
+  if (!apiKey) {
+    recordError("Anthropic API key not configured", null, "Configuration");
+  }
+  return apiKey;
+}
+
+/**
+ * Builds the authentication headers shared by all Anthropic requests
+ * @param {string} apiKey - Anthropic API key
+ * @returns {Object} Headers for the Anthropic API
+ */
+function createAuthHeaders(apiKey) {
+  return {
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_VERSION
+  };
+}
+
+/**
+ * Extracts content from Anthropic Messages API stream events
+ * @param {Object} json - Anthropic SSE event JSON
+ * @returns {string|null} Content text or null
+ */
+function extractAnthropicContent(json) {
+  // Only content_block_delta events carry text; message_start,
+  // content_block_start/stop, message_delta and message_stop are bookkeeping
+  if (json.type === "content_block_delta" &&
+      json.delta &&
+      json.delta.type === "text_delta" &&
+      json.delta.text) {
+    return json.delta.text;
+  }
+
+  if (json.type === "content_block_delta" && json.delta?.type === "thinking_delta") {
+    return wrapThinking(json.delta.thinking) || null;
+  }
+
+  // Check for errors
+  if (json.type === "error" && json.error) {
+    const errorType = json.error.type || "Unknown";
+    recordError(
+      `Anthropic API error: ${json.error.message || "Unknown error"}`,
+      { type: errorType, details: json.error },
+      "API Response"
+    );
+    return json.error.message || "Error from Anthropic API";
+  }
+
+  return null;
+}
+
+/**
+ * Reads token usage from Anthropic stream events: message_start reports the
+ * input tokens and message_delta the output tokens so far
+ * @param {Object} json - Anthropic SSE event JSON
+ * @returns {Object|null} Usage or null
+ */
+function extractAnthropicUsage(json) {
+  if (json.type === "message_start" && json.message && json.message.usage) {
+    return {
+      inputTokens: json.message.usage.input_tokens || 0,
+      outputTokens: json.message.usage.output_tokens || 0
+    };
+  }
+
+  if (json.type === "message_delta" && json.usage) {
+    return { outputTokens: json.usage.output_tokens || 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Fetches Anthropic model names with authentication
+ * @returns {Array} List of available model names
+ */
+async function fetchAnthropicModels() {
+  const apiKey = getApiKey();
+
+  if (!apiKey) {
+    recordError("Cannot fetch models - API key not configured", null, "Model Fetch");
+    return [];
+  }
+
+  try {
+    const tempSession = createCancellableSession();
+    const data = await tempSession.get(ANTHROPIC_MODELS_URL, createAuthHeaders(apiKey));
+
+    if (data && data.data) {
+      return processAnthropicModels(data.data);
+    }
+
+    recordError(
+      "Invalid data format when fetching models",
+      { received: data },
+      "Model Fetch"
+    );
+    return [];
+  } catch (error) {
+    recordError(
+      `Error fetching Anthropic models: ${error.message || "Unknown error"}`,
+      error,
+      "Model Fetch"
+    );
+    return [];
+  }
+}
+
+/**
+ * Create a custom payload for the Anthropic Messages API format
+ * @param {Object} params - Parameters including model name, messages, temperature and generation parameters
+ * @returns {string} JSON payload as string
+ */
+function createAnthropicPayload(params) {
+  const { modelName, messages, temperature, generationParams } = params;
+
+  // The Messages API takes the system prompt as a top-level field
+  // rather than as a message with a "system" role
+  const systemParts = [];
+  const conversation = [];
+
+  for (const msg of messages) {
+    if (msg.role === "system") {
+      systemParts.push(msg.content);
+    } else {
+      conversation.push({
+        role: msg.role === "assistant" ? "assistant" : "user",
+        content: msg.content
+      });
+    }
+  }
+
+  const payload = {
+    model: modelName.replace(/^anthropic:/u, ''),
+    max_tokens: ANTHROPIC_MAX_TOKENS,
+    stream: true,
+    temperature,
+    messages: conversation,
+    ...toAnthropicParams(generationParams)
+  };
+
+  if (systemParts.length > 0) {
+    payload.system = systemParts.join("\n\n");
+  }
+
+  return JSON.stringify(payload);
+}
+
+/**
+ * Creates headers for Anthropic API requests
+ * @returns {Object} Headers with API key and version
+ */
+function createAnthropicHeaders() {
+  const apiKey = getApiKey();
+
+  if (!apiKey) {
+    recordError("Cannot create headers - API key not configured", null, "Request Setup");
+    throw new Error("API key not configured");
+  }
+
+  return {
+    "Content-Type": "application/json",
+    ...createAuthHeaders(apiKey)
+  };
+}
+
+// Create the provider using the factory
+const provider = createChatProvider({
+  providerId: "anthropic",
+  modelsEndpoint: ANTHROPIC_MODELS_URL,
+  apiEndpoint: ANTHROPIC_API_URL,
+  processModels: processAnthropicModels,
+  recordError,
+  extractContent: extractAnthropicContent,
+  createPayload: createAnthropicPayload,
+  createHeaders: createAnthropicHeaders,
+  getContextLimit: () => ANTHROPIC_CONTEXT_LIMIT,
+  extractUsage: extractAnthropicUsage,
+  fetchModels: fetchAnthropicModels
+});
+
+// Export the provider interface
+const { fetchModelNames, sendMessageToAPI, stopMessage, isModelSupported: isAnthropicModel } = provider;
+export { fetchModelNames, sendMessageToAPI, stopMessage, isAnthropicModel };
+export { lookupAnthropicCapabilities as getModelCapabilities } from "../utils/modelProcessing/modelCapabilities.js";
+
+/**
+ * Helper function to check if a model is from Anthropic
+ * @param {string} modelName - The model name to check
+ * @returns {boolean} True if the model is an Anthropic model
+ */
+export function checkIsAnthropicModel(modelName) {
+  return modelName && modelName.startsWith('anthropic:');
+}
+
+/**
+ * Registry metadata
+ */
+export const providerInfo = {
+  id: "anthropic",
+  displayName: "Anthropic",
+  capabilities: { chat: true, vision: false, tools: false, structuredOutput: false, streaming: true },
+  settingsKeys: ["anthropic-api-key"],
+  configHint: "Please check your API key in settings.",
+  isLocal: () => false,
+  ownsModel: checkIsAnthropicModel
+};
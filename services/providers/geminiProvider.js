@@ -2,9 +2,15 @@
  * Gemini provider using the provider factory
  */
 import { createChatProvider } from "../utils/providers/providerFactory.js";
+import { toGeminiGenerationConfig } from "../utils/providers/generationParams.js";
+import { toGeminiResponseSchema } from "../utils/providers/responseFormats.js";
 import { processGeminiModels } from "../utils/modelProcessing/geminiModelFilter.js";
+import { toGeminiImageParts } from "../utils/providers/imageParts.js";
+import { describeGeminiBlock, toGeminiSafetySettings } from "../utils/providers/geminiSafety.js";
 import { getSettings } from "../../lib/settings.js";
+import { wrapThinking } from "../../lib/thinking.js";
 import { createCancellableSession } from "../apiUtils.js";
+import { getCredential } from "../credentials.js";
 
 // API endpoints
 const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
@@ -14,6 +20,7 @@ const GEMINI_CHAT_ENDPOINT = (model, apiKey) =>
 
 // Module state
 const errorMessages = [];
+const modelDetails = new Map();
 
 /**
  * Records detailed errors for later reporting
@@ -37,12 +44,11 @@ function recordError(message, details = null, source = 'Gemini Provider') {
 }
 
 /**
- * Gets the Gemini API key from settings
- * @param {Object} settings - Settings object
+ * Gets the Gemini API key from the keyring
  * @returns {string} API key
  */
-function getApiKey(settings) {
-  const apiKey = settings.get_string("gemini-api-key");
+function getApiKey() {
+  const apiKey = getCredential("gemini-api-key");
   if (!apiKey) {
     recordError("Gemini API key not configured", null, "Configuration");
   }
@@ -50,23 +56,25 @@ function getApiKey(settings) {
 }
 
 /**
- * Extracts content from Gemini API response chunks
+ * Explains a reply that ended before it was complete
+ * @param {Object} json - Gemini response JSON
+ * @returns {string|null} Explanation, or null for replies that finished normally
+ */
+function describeGeminiFinish(json) {
+  if (json.candidates?.[0]?.finishReason === "MAX_TOKENS") {
+    return "Gemini stopped the reply because it reached the maximum output length. " +
+      "Raise max_tokens in the generation profile for longer replies.";
+  }
+  return describeGeminiBlock(json);
+}
+
+/**
+ * Extracts content from Gemini API response chunks. Blocked and truncated
+ * replies get an explanation, since they may carry no text at all.
  * @param {Object} json - Gemini response JSON
  * @returns {string|null} Content text or null
  */
 function extractGeminiContent(json) {
-  // Process Gemini SSE format
-  if (json.candidates && 
-      json.candidates[0] && 
-      json.candidates[0].content && 
-      json.candidates[0].content.parts && 
-      json.candidates[0].content.parts[0] && 
-      json.candidates[0].content.parts[0].text) {
-    
-    // Trim trailing newlines to prevent accumulation
-    return json.candidates[0].content.parts[0].text.replace(/\n+$/u, "");
-  }
-  
   // Check for errors
   if (json.error) {
     const errorType = json.error.status || "Unknown";
@@ -79,7 +87,68 @@ function extractGeminiContent(json) {
     return json.error.message || "Error from Gemini API";
   }
   
-  return null;
+  // Trim trailing newlines to prevent accumulation; thought summaries are
+  // marked as reasoning
+  const text = (json.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.text)
+    .map((part) => (part.thought ? wrapThinking(part.text) : part.text))
+    .join("")
+    .replace(/\n+$/u, "");
+  const notice = describeGeminiFinish(json);
+  if (notice) {
+    recordError(notice, { finishReason: json.candidates?.[0]?.finishReason, promptFeedback: json.promptFeedback }, "API Response");
+    return text ? `${text}\n\n${notice}` : notice;
+  }
+  
+  return text || null;
+}
+
+/**
+ * Reads token usage from Gemini response chunks. Every chunk carries the
+ * counts so far, and thinking tokens are billed as output.
+ * @param {Object} json - Gemini response JSON
+ * @returns {Object|null} Usage or null
+ */
+function extractGeminiUsage(json) {
+  const { usageMetadata } = json;
+  if (!usageMetadata) {
+    return null;
+  }
+  
+  return {
+    inputTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0)
+  };
+}
+
+/**
+ * Stores the input token limit and thinking support reported for each model
+ * @param {Array} models - Raw model data from the API
+ */
+function rememberModelDetails(models) {
+  models.forEach((model) => {
+    if (model && model.name) {
+      modelDetails.set(`gemini:${model.name.replace(/^models\//u, '')}`, {
+        inputTokenLimit: model.inputTokenLimit || null,
+        thinking: model.thinking === true
+      });
+    }
+  });
+}
+
+/**
+ * Describes what a Gemini model can do. Every Gemini chat model accepts
+ * images and function declarations.
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Object|null} Capabilities, or null before the models were fetched
+ */
+export function getModelCapabilities(modelName) {
+  const details = modelDetails.get(modelName);
+  if (!details) {
+    return null;
+  }
+
+  return { vision: true, tools: true, thinking: details.thinking, contextLength: details.inputTokenLimit };
 }
 
 /**
@@ -87,8 +156,7 @@ function extractGeminiContent(json) {
  * @returns {Array} List of available model names
  */
 async function fetchGeminiModels() {
-  const settings = getSettings();
-  const apiKey = getApiKey(settings);
+  const apiKey = getApiKey();
   
   if (!apiKey) {
     recordError("Cannot fetch models - API key not configured", null, "Model Fetch");
@@ -101,6 +169,7 @@ async function fetchGeminiModels() {
     const data = await session.get(modelUrl);
     
     if (data && data.models) {
+      rememberModelDetails(data.models);
       return processGeminiModels(data.models);
     }
     
@@ -121,27 +190,122 @@ async function fetchGeminiModels() {
 }
 
 /**
- * Create a custom payload for Gemini's API format
- * @param {Object} params - Parameters including messages and temperature
+ * Gathers function calls from a Gemini response chunk
+ * @param {Object} json - Gemini SSE chunk JSON
+ * @param {Array} calls - Calls gathered so far, updated in place
+ */
+function collectGeminiToolCalls(json, calls) {
+  const parts = json.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) {
+    return;
+  }
+
+  parts.forEach((part) => {
+    if (part.functionCall) {
+      calls.push({
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {},
+        // Thinking models expect the signature back with the call
+        ...(part.thoughtSignature ? { signature: part.thoughtSignature } : {})
+      });
+    }
+  });
+}
+
+/**
+ * Describes a tool as a Gemini function declaration
+ * @param {Object} tool - Tool from the tool registry
+ * @returns {Object} Function declaration
+ */
+function toGeminiFunctionDeclaration({ name, description, parameters }) {
+  // Gemini rejects object schemas without properties
+  const hasParameters = parameters && Object.keys(parameters.properties || {}).length > 0;
+  return hasParameters ? { name, description, parameters } : { name, description };
+}
+
+/**
+ * Converts a message to Gemini parts, including function calls and responses
+ * and the images attached to user messages
+ * @param {Object} msg - Message with role and content, and toolCalls for tool turns
+ * @returns {Array} Gemini parts
+ */
+function toGeminiParts(msg) {
+  if (msg.role === "tool") {
+    return [{ functionResponse: { name: msg.name, response: { content: msg.content } } }];
+  }
+
+  const parts = msg.content ? [{ text: msg.content }] : [];
+  if (msg.role === "user") {
+    parts.push(...toGeminiImageParts(msg.content));
+  }
+  (msg.toolCalls || []).forEach((call) => {
+    parts.push({
+      functionCall: { name: call.name, args: call.arguments },
+      ...(call.signature ? { thoughtSignature: call.signature } : {})
+    });
+  });
+  return parts;
+}
+
+/**
+ * Adds a message to the Gemini contents. Consecutive messages of the same
+ * role are merged into one turn, as Gemini expects user and model turns to
+ * alternate, but function responses are not mixed with text.
+ * @param {Array} contents - Gemini contents, updated in place
+ * @param {Object} msg - Message with role and content
+ */
+function appendGeminiContent(contents, msg) {
+  const role = msg.role === "assistant" ? "model" : "user";
+  const parts = toGeminiParts(msg);
+  const previous = contents[contents.length - 1];
+  const isResponse = (part) => Boolean(part.functionResponse);
+
+  if (previous && previous.role === role && previous.parts.some(isResponse) === parts.some(isResponse)) {
+    previous.parts.push(...parts);
+  } else if (parts.length > 0) {
+    contents.push({ role, parts });
+  }
+}
+
+/**
+ * Create a custom payload for Gemini's API format. The model prompt and the
+ * conversation summary go to the system instruction.
+ * @param {Object} params - Parameters including model name, messages, temperature,
+ *   generation parameters, tools and response schema
  * @returns {string} JSON payload as string
  */
 function createGeminiPayload(params) {
-  const { messages, temperature } = params;
+  const { modelName, messages, temperature, generationParams, tools, responseSchema } = params;
   
-  // Convert messages to Gemini format
-  const contents = [];
   try {
-    for (const msg of messages) {
-      const role = msg.role === 'assistant' ? 'model' : 'user';
-      contents.push({
-        role,
-        parts: [{ text: msg.content }]
-      });
+    const systemText = messages
+      .filter((msg) => msg.role === "system")
+      .map((msg) => msg.content)
+      .join("\n\n");
+    const contents = [];
+    messages
+      .filter((msg) => msg.role !== "system")
+      .forEach((msg) => appendGeminiContent(contents, msg));
+    const safetySettings = toGeminiSafetySettings(getSettings());
+    const generationConfig = toGeminiGenerationConfig(generationParams, temperature);
+    
+    // Thinking models only return summaries of their reasoning when asked
+    if (modelDetails.get(modelName)?.thinking) {
+      generationConfig.thinkingConfig = { ...generationConfig.thinkingConfig, includeThoughts: true };
     }
     
+    // Gemini rejects JSON replies combined with function calling, so the
+    // schema only applies to rounds without tools
+    const jsonReply = responseSchema && !tools ?
+      { responseMimeType: "application/json", responseSchema: toGeminiResponseSchema(responseSchema) } :
+      {};
+    
     return JSON.stringify({
+      ...(systemText ? { systemInstruction: { parts: [{ text: systemText }] } } : {}),
       contents,
-      generationConfig: { temperature }
+      generationConfig: { ...generationConfig, ...jsonReply },
+      ...(safetySettings ? { safetySettings } : {}),
+      ...(tools ? { tools: [{ functionDeclarations: tools.map(toGeminiFunctionDeclaration) }] } : {})
     });
   } catch (error) {
     recordError(
@@ -163,12 +327,12 @@ function createGeminiHeaders() {
 
 /**
  * Custom endpoint builder for Gemini API
- * @param {Object} params - Parameters including model and settings
+ * @param {Object} params - Parameters including the model name
  * @returns {string} Endpoint URL for Gemini API
  */
 function getGeminiEndpoint(params) {
-  const { modelName, settings } = params;
-  const apiKey = getApiKey(settings);
+  const { modelName } = params;
+  const apiKey = getApiKey();
   
   if (!apiKey) {
     recordError("Cannot create endpoint - API key not configured", null, "Request Setup");
@@ -191,6 +355,7 @@ function getGeminiEndpoint(params) {
 
 // Create the provider using the factory
 const provider = createChatProvider({
+  providerId: "gemini",
   modelsEndpoint: GEMINI_MODELS_URL,
   processModels: processGeminiModels,
   recordError,
@@ -198,6 +363,10 @@ const provider = createChatProvider({
   createPayload: createGeminiPayload,
   createHeaders: createGeminiHeaders,
   getEndpoint: getGeminiEndpoint,
+  getContextLimit: (modelName) => modelDetails.get(modelName)?.inputTokenLimit || null,
+  collectToolCalls: collectGeminiToolCalls,
+  extractUsage: extractGeminiUsage,
+  systemPromptMessage: true,
   fetchModels: fetchGeminiModels
 });
 
@@ -212,4 +381,23 @@ export { fetchModelNames, sendMessageToAPI, stopMessage, isGeminiModel };
  */
 export function checkIsGeminiModel(modelName) {
   return modelName && modelName.startsWith('gemini:');
-} 
\ No newline at end of file
+} 
+
+/**
+ * Registry metadata
+ */
+export const providerInfo = {
+  id: "gemini",
+  displayName: "Gemini",
+  capabilities: { chat: true, vision: true, tools: true, structuredOutput: true, streaming: true },
+  settingsKeys: [
+    "gemini-api-key",
+    "gemini-safety-harassment",
+    "gemini-safety-hate-speech",
+    "gemini-safety-sexually-explicit",
+    "gemini-safety-dangerous-content"
+  ],
+  configHint: "Please check your API key in settings.",
+  isLocal: () => false,
+  ownsModel: checkIsGeminiModel
+};
@@ -2,12 +2,27 @@
  * Ollama provider using the updated provider factory
  */
 import { createCompletionProvider } from "../utils/providers/providerFactory.js";
+import { collectOllamaToolCalls } from "../utils/providers/toolFormats.js";
+import { extractOllamaUsage } from "../utils/providers/usageFormats.js";
 import { removeDuplicateModels, sortModels } from "../utils/modelProcessing/modelUtils.js";
+import { fromOllamaCapabilities } from "../utils/modelProcessing/modelCapabilities.js";
 import { getSettings } from "../../lib/settings.js";
+import { wrapThinking } from "../../lib/thinking.js";
 import { createCancellableSession } from "../apiUtils.js";
+import { isLocalUrl } from "../httpUtils.js";
+
+// Suffix separating a model name from the additional host serving it
+const HOST_SEPARATOR = "@";
+
+// Context window Ollama loads models with when neither the request nor the
+// Modelfile sets num_ctx. Newer servers may default higher, so this errs on
+// the side of trimming.
+const OLLAMA_DEFAULT_NUM_CTX = 4096;
 
 // Module state
 const errorMessages = [];
+let hostWarnings = [];
+const modelDetails = new Map();
 
 /**
  * Records detailed errors for later reporting
@@ -59,6 +74,33 @@ function processOllamaModels(data) {
   }
 }
 
+/**
+ * Derives the /api/chat and /api/generate URLs from the configured endpoint
+ * @param {string} endpoint - Configured Ollama API endpoint
+ * @returns {Object} Chat endpoint (null if it cannot be derived) and generate endpoint
+ */
+function resolveOllamaEndpoints(endpoint) {
+  const generatePattern = /\/api\/generate\/?$/u;
+  const chatPattern = /\/api\/chat\/?$/u;
+  
+  if (generatePattern.test(endpoint)) {
+    return {
+      chatEndpoint: endpoint.replace(generatePattern, "/api/chat"),
+      generateEndpoint: endpoint
+    };
+  }
+  
+  if (chatPattern.test(endpoint)) {
+    return {
+      chatEndpoint: endpoint,
+      generateEndpoint: endpoint.replace(chatPattern, "/api/generate")
+    };
+  }
+  
+  // Unknown endpoint layout (e.g. a proxy), use it as-is
+  return { chatEndpoint: null, generateEndpoint: endpoint };
+}
+
 /**
  * Extracts content from Ollama API response chunks
  * @param {Object} json - Ollama response JSON
@@ -71,8 +113,12 @@ function extractOllamaContent(json, contextCallback = null) {
       contextCallback(json.context);
     }
     
-    if (json.response) {
-      return json.response;
+    // /api/chat streams message objects, /api/generate streams plain text;
+    // thinking models send their reasoning in a separate field
+    const message = json.message || {};
+    const content = wrapThinking(message.thinking || json.thinking) + (message.content || json.response || "");
+    if (content) {
+      return content;
     }
     
     if (json.error) {
@@ -96,53 +142,251 @@ function extractOllamaContent(json, contextCallback = null) {
 }
 
 /**
- * Fetches Ollama model names
- * @returns {Array} List of available model names
+ * Reads the additional named hosts from settings
+ * @param {Object} settings - Settings object
+ * @returns {Array} Hosts as { name, baseUrl } objects
  */
-async function fetchOllamaModels() {
+function getAdditionalHosts(settings) {
   try {
-    const settings = getSettings();
-    const endpoint = settings.get_string("models-api-endpoint");
-    
-    if (!endpoint) {
-      recordError(
-        "Ollama models API endpoint not configured",
-        null,
-        "Configuration"
-      );
-      return [];
+    return settings.get_value("ollama-hosts").deepUnpack()
+      .map(([name, baseUrl]) => ({ name, baseUrl: baseUrl.trim().replace(/\/+$/u, "") }))
+      .filter((host) => host.name && host.baseUrl);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Lists every configured Ollama host. The primary host keeps the plain
+ * endpoint settings and unsuffixed model names.
+ * @param {Object} settings - Settings object
+ * @returns {Array} Hosts with name (null for the primary host) and endpoints
+ */
+function getOllamaHosts(settings) {
+  const primary = {
+    name: null,
+    modelsEndpoint: settings.get_string("models-api-endpoint"),
+    apiEndpoint: settings.get_string("api-endpoint")
+  };
+
+  const additional = getAdditionalHosts(settings).map(({ name, baseUrl }) => ({
+    name,
+    modelsEndpoint: `${baseUrl}/api/tags`,
+    apiEndpoint: `${baseUrl}/api/generate`
+  }));
+
+  return [primary, ...additional];
+}
+
+/**
+ * Splits a menu model name into the host it belongs to and the name Ollama knows
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @param {Object} settings - Settings object
+ * @returns {Object} Host and bare model name
+ */
+function resolveOllamaModel(modelName, settings) {
+  const hosts = getOllamaHosts(settings);
+  const separatorIndex = modelName.lastIndexOf(HOST_SEPARATOR);
+
+  if (separatorIndex > 0) {
+    const hostName = modelName.slice(separatorIndex + HOST_SEPARATOR.length);
+    const host = hosts.find((candidate) => candidate.name === hostName);
+    if (host) {
+      return { host, modelName: modelName.slice(0, separatorIndex) };
     }
-    
-    const tempSession = createCancellableSession();
-    const data = await tempSession.get(endpoint);
-    
-    if (data && data.models) {
-      return processOllamaModels(data);
+  }
+
+  return { host: hosts[0], modelName };
+}
+
+/**
+ * Swaps the generate or chat route of a host's endpoint for another API route
+ * @param {Object} host - Host from getOllamaHosts
+ * @param {string} route - API route such as "show"
+ * @returns {string} URL of the route
+ */
+function getHostApiUrl(host, route) {
+  return (host.apiEndpoint || "").replace(/\/api\/(generate|chat)\/?$/u, `/api/${route}`);
+}
+
+/**
+ * Finds the URL of another Ollama API route on the host serving a model
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @param {string} route - API route such as "show", "pull" or "delete"
+ * @returns {Object} URL of the route and the name the host knows the model by
+ */
+export function resolveOllamaApiUrl(modelName, route) {
+  const { host, modelName: hostModelName } = resolveOllamaModel(modelName, getSettings());
+  return { url: getHostApiUrl(host, route), modelName: hostModelName };
+}
+
+/**
+ * Finds the URL of an Ollama API route on every configured host
+ * @param {string} route - API route such as "ps"
+ * @returns {Array} URL of the route on each host and the suffix the host's
+ *   models carry in the model menu
+ */
+export function listOllamaApiUrls(route) {
+  return getOllamaHosts(getSettings()).map((host) => ({
+    url: getHostApiUrl(host, route),
+    suffix: host.name ? `${HOST_SEPARATOR}${host.name}` : ""
+  }));
+}
+
+/**
+ * Fetches the models of a single host
+ * @param {Object} host - Host from getOllamaHosts
+ * @returns {Promise<Array>} Model names, suffixed with the host name for additional hosts
+ */
+async function fetchHostModels(host) {
+  if (!host.modelsEndpoint) {
+    throw new Error("models API endpoint not configured");
+  }
+
+  const tempSession = createCancellableSession();
+  const data = await tempSession.get(host.modelsEndpoint);
+
+  if (!data || !data.models) {
+    throw new Error("invalid data format");
+  }
+
+  const models = processOllamaModels(data);
+  return host.name ? models.map((model) => `${model}${HOST_SEPARATOR}${host.name}`) : models;
+}
+
+/**
+ * Fetches Ollama model names from every configured host. A host that cannot be
+ * reached only loses its own models and is reported through getModelFetchWarnings.
+ * @returns {Array} List of available model names
+ */
+async function fetchOllamaModels() {
+  const hosts = getOllamaHosts(getSettings());
+  const results = await Promise.allSettled(hosts.map(fetchHostModels));
+
+  hostWarnings = [];
+  modelDetails.clear();
+  const models = [];
+
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      models.push(...result.value);
+      return;
     }
-    
+
+    const host = hosts[index];
+    const hostLabel = host.name || "default";
     recordError(
-      "Invalid data format when fetching Ollama models",
-      { received: data },
+      `Error fetching models from Ollama host "${hostLabel}": ${result.reason?.message || "Unknown error"}`,
+      result.reason,
       "Model Fetch"
     );
-    return [];
+
+    // Users without a local Ollama only hear about it once other hosts are set up
+    if (hosts.length > 1) {
+      hostWarnings.push(
+        `Ollama host "${hostLabel}" (${host.modelsEndpoint}) is unreachable: ${result.reason?.message || "Unknown error"}`
+      );
+    }
+  });
+
+  return models;
+}
+
+/**
+ * Finds the context window a model runs with: num_ctx from its Modelfile
+ * parameters, otherwise Ollama's default, and never more than it was trained on
+ * @param {string} [parameters] - Parameters from /api/show, one "name value" per line
+ * @param {number|null} contextLength - Context length the model was trained with
+ * @returns {number} Context window in tokens
+ */
+function getRuntimeContextWindow(parameters, contextLength) {
+  const numCtxLine = (parameters || "").split("\n").find((line) => /^num_ctx\s/u.test(line.trim()));
+  const numCtx = numCtxLine ? parseInt(numCtxLine.trim().split(/\s+/u)[1], 10) : NaN;
+  const contextWindow = numCtx > 0 ? numCtx : OLLAMA_DEFAULT_NUM_CTX;
+  return contextLength > 0 ? Math.min(contextWindow, contextLength) : contextWindow;
+}
+
+/**
+ * Looks up a model's capabilities and context length through /api/show, along
+ * with the context window it runs with (contextWindow), which is usually far
+ * smaller. Results are cached per model until the next model refresh; a
+ * failed lookup leaves all of them unknown, so the history is not trimmed.
+ * @param {string} modelName - Model name, optionally suffixed with @host
+ * @returns {Promise<Object>} Capabilities of the model
+ */
+async function getOllamaModelCapabilities(modelName) {
+  if (modelDetails.has(modelName)) {
+    return modelDetails.get(modelName);
+  }
+
+  const { url: showEndpoint, modelName: hostModelName } = resolveOllamaApiUrl(modelName, "show");
+
+  let details = fromOllamaCapabilities(null, null);
+  try {
+    const tempSession = createCancellableSession();
+    const data = await tempSession.post(
+      showEndpoint,
+      JSON.stringify({ model: hostModelName }),
+      { "Content-Type": "application/json" }
+    );
+    const modelInfo = data?.model_info || {};
+    const key = Object.keys(modelInfo).find((name) => name.endsWith(".context_length"));
+    const contextLength = key ? modelInfo[key] : null;
+    details = {
+      ...fromOllamaCapabilities(data?.capabilities, contextLength),
+      contextWindow: getRuntimeContextWindow(data?.parameters, contextLength),
+    };
   } catch (error) {
     recordError(
-      `Error fetching Ollama models: ${error.message || "Unknown error"}`,
+      `Error reading model details for ${modelName}: ${error.message || "Unknown error"}`,
       error,
-      "Model Fetch"
+      "Model Info"
     );
-    return [];
   }
+
+  modelDetails.set(modelName, details);
+  return details;
 }
 
 // Create the provider using the factory
 const provider = createCompletionProvider({
+  providerId: "ollama",
   processModels: processOllamaModels,
   recordError,
   extractContent: extractOllamaContent,
-  fetchModels: fetchOllamaModels
+  fetchModels: fetchOllamaModels,
+  resolveModel: (modelName, settings) => {
+    const { host, modelName: hostModelName } = resolveOllamaModel(modelName, settings);
+    return { modelName: hostModelName, endpoint: host.apiEndpoint };
+  },
+  resolveEndpoints: resolveOllamaEndpoints,
+  getContextLimit: async (modelName) => (await getOllamaModelCapabilities(modelName)).contextWindow || null,
+  collectToolCalls: collectOllamaToolCalls,
+  extractUsage: extractOllamaUsage
 });
 
 // Export the provider interface
 export const { fetchModelNames, sendMessageToAPI, stopMessage, resetContext } = provider;
+export { getOllamaModelCapabilities as getModelCapabilities };
+
+/**
+ * @returns {Array} Per-host problems from the last model fetch
+ */
+export function getModelFetchWarnings() {
+  return hostWarnings;
+}
+
+/**
+ * Registry metadata. Ollama serves every model no other provider claims.
+ */
+export const providerInfo = {
+  id: "ollama",
+  displayName: "Ollama",
+  capabilities: { chat: true, vision: true, tools: true, structuredOutput: true, streaming: true },
+  settingsKeys: ["api-endpoint", "models-api-endpoint", "ollama-hosts"],
+  configHint: "Please check if Ollama is installed and running.",
+  // Models of additional hosts may run on a shared server elsewhere
+  isLocal: (modelName) => isLocalUrl(resolveOllamaApiUrl(modelName, "chat").url),
+  isFallback: true,
+  ownsModel: () => true
+};
@@ -0,0 +1,224 @@
+/**
+ * Generic OpenAI-compatible provider (LM Studio, llama.cpp server, vLLM, LocalAI)
+ * using the provider factory
+ */
+import { createChatProvider } from "../utils/providers/providerFactory.js";
+import { createChatPayload } from "../utils/providers/payloadUtils.js";
+import { collectOpenAIToolCalls } from "../utils/providers/toolFormats.js";
+import { extractOpenAIUsage } from "../utils/providers/usageFormats.js";
+import { removeDuplicateModels, sortModels } from "../utils/modelProcessing/modelUtils.js";
+import { getSettings } from "../../lib/settings.js";
+import { wrapThinking } from "../../lib/thinking.js";
+import { createCancellableSession } from "../apiUtils.js";
+import { isLocalUrl } from "../httpUtils.js";
+import { getCredential } from "../credentials.js";
+
+// Prefix used to route model names back to this provider
+const MODEL_PREFIX = "compat:";
+
+// Module state
+const errorMessages = [];
+
+/**
+ * Records detailed errors for later reporting
+ * @param {string} message - Error message to record
+ * @param {Object} [details] - Additional error details
+ * @param {string} [source] - Source of the error
+ */
+function recordError(message, details = null, source = 'OpenAI-Compatible Provider') {
+  const timestamp = new Date().toISOString();
+  const formattedMessage = `[${timestamp}] [${source}] ${message}`;
+
+  if (details) {
+    if (details instanceof Error) {
+      errorMessages.push(`${formattedMessage}: ${details.message}\n${details.stack || ''}`);
+    } else {
+      errorMessages.push(`${formattedMessage}: ${JSON.stringify(details)}`);
+    }
+  } else {
+    errorMessages.push(formattedMessage);
+  }
+}
+
+/**
+ * Gets the configured base URL without a trailing slash
+ * @param {Object} settings - Settings object
+ * @returns {string} Base URL, or an empty string when the provider is disabled
+ */
+function getBaseUrl(settings) {
+  return (settings.get_string("openai-compatible-base-url") || "")
+    .trim()
+    .replace(/\/+$/u, "");
+}
+
+/**
+ * Builds the Authorization header; the key is optional for self-hosted servers
+ * @returns {Object} Authorization header, or an empty object when no key is set
+ */
+function createAuthHeaders() {
+  const apiKey = getCredential("openai-compatible-api-key");
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+/**
+ * Creates headers for chat completion requests
+ * @returns {Object} Request headers
+ */
+function createCompatibleHeaders() {
+  return {
+    "Content-Type": "application/json",
+    ...createAuthHeaders()
+  };
+}
+
+/**
+ * Extracts content from OpenAI-style SSE chunks
+ * @param {Object} json - Response chunk JSON
+ * @returns {string|null} Content text or null
+ */
+function extractCompatibleContent(json) {
+  if (json.choices && json.choices.length > 0) {
+    const { delta } = json.choices[0];
+    // Servers running reasoning models stream the reasoning separately,
+    // as "reasoning_content" or "reasoning"
+    const content = delta ? wrapThinking(delta.reasoning_content || delta.reasoning) + (delta.content || "") : "";
+    if (content) {
+      return content;
+    }
+  }
+
+  if (json.error) {
+    recordError(
+      `Server error: ${json.error.message || "Unknown error"}`,
+      { details: json.error },
+      "API Response"
+    );
+    return json.error.message || "Error from OpenAI-compatible server";
+  }
+
+  return null;
+}
+
+/**
+ * Process the /v1/models listing without filtering by model family
+ * @param {Array} modelData - Raw model data from the API
+ * @returns {Array} Prefixed and sorted model names
+ */
+function processCompatibleModels(modelData) {
+  if (!Array.isArray(modelData)) {
+    recordError("Invalid model data structure", { modelData }, "Model Processing");
+    return [];
+  }
+
+  const modelIds = modelData
+    .filter((model) => model && model.id)
+    .map((model) => `${MODEL_PREFIX}${model.id}`);
+
+  return sortModels(removeDuplicateModels(modelIds));
+}
+
+/**
+ * Fetches model names from the configured server
+ * @returns {Array} List of available model names
+ */
+async function fetchCompatibleModels() {
+  const settings = getSettings();
+  const baseUrl = getBaseUrl(settings);
+
+  // The provider is disabled until a base URL is configured
+  if (!baseUrl) {
+    return [];
+  }
+
+  try {
+    const tempSession = createCancellableSession();
+    const data = await tempSession.get(`${baseUrl}/models`, createAuthHeaders());
+
+    if (data && data.data) {
+      return processCompatibleModels(data.data);
+    }
+
+    recordError(
+      "Invalid data format when fetching models",
+      { received: data },
+      "Model Fetch"
+    );
+    return [];
+  } catch (error) {
+    recordError(
+      `Error fetching models from ${baseUrl}: ${error.message || "Unknown error"}`,
+      error,
+      "Model Fetch"
+    );
+    return [];
+  }
+}
+
+/**
+ * Creates a chat payload with the routing prefix removed from the model name
+ * @param {Object} params - Payload parameters
+ * @returns {string} JSON payload as string
+ */
+function createCompatiblePayload(params) {
+  return createChatPayload({
+    ...params,
+    modelName: params.modelName.replace(MODEL_PREFIX, "")
+  });
+}
+
+/**
+ * Builds the chat completions endpoint from the configured base URL
+ * @param {Object} params - Parameters including settings
+ * @returns {string} Endpoint URL
+ */
+function getCompatibleEndpoint(params) {
+  const baseUrl = getBaseUrl(params.settings);
+
+  if (!baseUrl) {
+    recordError("Cannot create endpoint - base URL not configured", null, "Request Setup");
+    throw new Error("OpenAI-compatible base URL not configured");
+  }
+
+  return `${baseUrl}/chat/completions`;
+}
+
+// Create the provider using the factory
+const provider = createChatProvider({
+  providerId: "openai-compatible",
+  processModels: processCompatibleModels,
+  recordError,
+  extractContent: extractCompatibleContent,
+  createPayload: createCompatiblePayload,
+  createHeaders: createCompatibleHeaders,
+  getEndpoint: getCompatibleEndpoint,
+  collectToolCalls: collectOpenAIToolCalls,
+  // Servers that report usage send it like OpenAI does
+  extractUsage: extractOpenAIUsage,
+  fetchModels: fetchCompatibleModels
+});
+
+// Export the provider interface
+export const { fetchModelNames, sendMessageToAPI, stopMessage } = provider;
+
+/**
+ * Helper function to check if a model is served by the OpenAI-compatible endpoint
+ * @param {string} modelName - The model name to check
+ * @returns {boolean} True if the model belongs to this provider
+ */
+export function checkIsCompatibleModel(modelName) {
+  return Boolean(modelName) && modelName.startsWith(MODEL_PREFIX);
+}
+
+/**
+ * Registry metadata
+ */
+export const providerInfo = {
+  id: "openai-compatible",
+  displayName: "OpenAI-Compatible Server",
+  capabilities: { chat: true, vision: false, tools: true, structuredOutput: false, streaming: true },
+  settingsKeys: ["openai-compatible-base-url", "openai-compatible-api-key"],
+  configHint: "Please check the base URL in settings.",
+  // The same provider may point at a server on this machine or a hosted service
+  isLocal: () => isLocalUrl(getBaseUrl(getSettings())),
+  ownsModel: checkIsCompatibleModel
+};
@@ -2,9 +2,13 @@
  * OpenAI provider using the updated provider factory
  */
 import { createChatProvider } from "../utils/providers/providerFactory.js";
+import { createChatPayload } from "../utils/providers/payloadUtils.js";
+import { collectOpenAIToolCalls } from "../utils/providers/toolFormats.js";
+import { extractOpenAIUsage } from "../utils/providers/usageFormats.js";
 import { processOpenAIModels } from "../utils/modelProcessing/openaiModelFilter.js";
-import { getSettings } from "../../lib/settings.js";
+import { lookupOpenAICapabilities } from "../utils/modelProcessing/modelCapabilities.js";
 import { createCancellableSession } from "../apiUtils.js";
+import { getCredential } from "../credentials.js";
 
 // API endpoints
 const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
@@ -35,12 +39,11 @@ function recordError(message, details = null, source = 'OpenAI Provider') {
 }
 
 /**
- * Gets the OpenAI API key from settings
- * @param {Object} settings - Settings object
+ * Gets the OpenAI API key from the keyring
  * @returns {string} API key
  */
-function getApiKey(settings) {
-  const apiKey = settings.get_string("openai-api-key");
+function getApiKey() {
+  const apiKey = getCredential("openai-api-key");
   if (!apiKey) {
     recordError("OpenAI API key not configured", null, "Configuration");
   }
@@ -55,6 +58,8 @@ function getApiKey(settings) {
 function extractOpenAIContent(json) {
   // Process an SSE message from OpenAI
   if (json.choices && json.choices.length > 0) {
+    // Chat Completions never stream the reasoning of OpenAI's models; their
+    // summaries are only available through the Responses API
     const { delta } = json.choices[0];
     if (delta && delta.content) {
       return delta.content;
@@ -81,8 +86,7 @@ function extractOpenAIContent(json) {
  * @returns {Array} List of available model names
  */
 async function fetchOpenAIModels() {
-  const settings = getSettings();
-  const apiKey = getApiKey(settings);
+  const apiKey = getApiKey();
   
   if (!apiKey) {
     recordError("Cannot fetch models - API key not configured", null, "Model Fetch");
@@ -117,11 +121,10 @@ async function fetchOpenAIModels() {
 
 /**
  * Creates headers for OpenAI API requests
- * @param {Object} settings - Settings object
  * @returns {Object} Headers with Authorization
  */
-function createOpenAIHeaders(settings) {
-  const apiKey = getApiKey(settings);
+function createOpenAIHeaders() {
+  const apiKey = getApiKey();
   
   if (!apiKey) {
     recordError("Cannot create headers - API key not configured", null, "Request Setup");
@@ -136,12 +139,21 @@ function createOpenAIHeaders(settings) {
 
 // Create the provider using the factory
 const provider = createChatProvider({
+  providerId: "openai",
   modelsEndpoint: OPENAI_MODELS_URL,
   apiEndpoint: OPENAI_API_URL,
   processModels: processOpenAIModels,
   recordError,
   extractContent: extractOpenAIContent,
+  createPayload: (params) => createChatPayload({
+    ...params,
+    includeUsage: true,
+    includeImages: true,
+    reasoningModel: Boolean(lookupOpenAICapabilities(params.modelName)?.thinking),
+  }),
   createHeaders: createOpenAIHeaders,
+  collectToolCalls: collectOpenAIToolCalls,
+  extractUsage: extractOpenAIUsage,
   fetchModels: fetchOpenAIModels
 });
 
@@ -149,3 +161,17 @@ const provider = createChatProvider({
 const { fetchModelNames, sendMessageToAPI, stopMessage, isModelSupported } = provider;
 export { fetchModelNames, sendMessageToAPI, stopMessage };
 export const isOpenAIModel = isModelSupported;
+export { lookupOpenAICapabilities as getModelCapabilities };
+
+/**
+ * Registry metadata
+ */
+export const providerInfo = {
+  id: "openai",
+  displayName: "OpenAI",
+  capabilities: { chat: true, vision: true, tools: true, structuredOutput: true, streaming: true },
+  settingsKeys: ["openai-api-key"],
+  configHint: "Please check your API key in settings.",
+  isLocal: () => false,
+  ownsModel: isOpenAIModel
+};
@@ -3,7 +3,8 @@
  */
 import Gio from "gi://Gio";
 import GLib from "gi://GLib";
-import Soup from "gi://Soup";
+import { checkResponseStatus } from "./httpUtils.js";
+import { createWatchdog } from "./requestTimeouts.js";
 
 /**
  * Processes the stream data
@@ -18,9 +19,15 @@ async function processRequestStream({
   cleanupCallback,
   resolve,
   accumulatedResponse,
+  watchdog,
 }) {
   try {
-    await streamProcessor.readStreamLines(dataInputStream, processChunk);
+    // Every line received restarts the idle timeout
+    await streamProcessor.readStreamLines(dataInputStream, (chunk) => {
+      watchdog.arm("idle");
+      return processChunk(chunk);
+    });
+    watchdog.check();
     cleanupCallback({ inputStream, dataInputStream });
     resolve({ response: accumulatedResponse() });
   } catch (error) {
@@ -41,6 +48,7 @@ async function prepareInputStream({
   isCancelled,
   resolve,
   accumulatedResponse,
+  watchdog,
 }) {
   const inputStream = await initializeRequestStream({
     message,
@@ -49,6 +57,7 @@ async function prepareInputStream({
     isCancelled,
   });
 
+  watchdog.check();
   if (isCancelled() || !inputStream) {
     resolve({ response: accumulatedResponse() });
     return null;
@@ -85,7 +94,22 @@ function handleRequestError(
 }
 
 /**
- * Creates a request handler function
+ * Starts the timeouts of a request
+ * @param {Soup.Message} message - Message being sent
+ * @param {Object} options - Timeouts and the cancellable stopped when one runs out
+ * @returns {Object} Watchdog of the request
+ */
+function startWatchdog(message, { timeouts, cancellable }) {
+  const watchdog = createWatchdog(timeouts, () => cancellable.cancel());
+  watchdog.arm("connect");
+  message.connect("wrote-headers", () => watchdog.arm("firstToken"));
+  return watchdog;
+}
+
+/**
+ * Creates a request handler function. The watchdog cancels the request when
+ * one of its timeouts runs out, and the request then fails with the timeout
+ * error instead of the cancellation.
  * @param {Object} options - Handler options
  * @returns {Function} Async function to handle the request
  */
@@ -101,9 +125,12 @@ function createRequestHandler(options) {
     accumulatedResponse,
     streamProcessor,
     cleanupCallback,
+    timeouts,
   } = options;
 
   return async function handleRequest() {
+    const watchdog = startWatchdog(message, { timeouts, cancellable });
+
     try {
       const streams = await prepareInputStream({
         message,
@@ -112,6 +139,7 @@ function createRequestHandler(options) {
         isCancelled,
         resolve,
         accumulatedResponse,
+        watchdog,
       });
 
       if (!streams) return;
@@ -123,6 +151,7 @@ function createRequestHandler(options) {
         cleanupCallback,
         resolve,
         accumulatedResponse,
+        watchdog,
       });
     } catch (error) {
       handleRequestError(error, {
@@ -132,6 +161,8 @@ function createRequestHandler(options) {
         resolve,
         reject,
       });
+    } finally {
+      watchdog.stop();
     }
   };
 }
@@ -156,15 +187,18 @@ function initializeRequestStream(options) {
             return;
           }
 
-          if (message.get_status() !== Soup.Status.OK) {
-            throw new Error(`HTTP error: ${message.get_status()}`);
-          }
-
           const stream = httpSession.send_finish(result);
           if (!stream) {
             throw new Error("No response stream available");
           }
 
+          try {
+            checkResponseStatus(message);
+          } catch (error) {
+            stream.close(null);
+            throw error;
+          }
+
           streamResolve(stream);
         } catch (error) {
           streamReject(error);
@@ -189,6 +223,7 @@ export function createRequestPromise(options) {
     accumulatedResponse,
     streamProcessor,
     cleanupCallback,
+    timeouts,
   } = options;
 
   return new Promise((resolve, reject) => {
@@ -203,6 +238,7 @@ export function createRequestPromise(options) {
       accumulatedResponse,
       streamProcessor,
       cleanupCallback,
+      timeouts,
     });
     handleRequest().catch(reject);
   });
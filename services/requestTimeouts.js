@@ -0,0 +1,100 @@
+/**
+ * Timeouts for streamed requests
+ *
+ * A request goes through three phases, each with its own limit: connecting
+ * until the request is written, waiting for the first line of the reply, and
+ * the pauses between later lines. A limit of 0 turns that timeout off.
+ */
+import GLib from "gi://GLib";
+import { getSettings } from "../lib/settings.js";
+
+const TIMEOUT_MESSAGES = {
+  connect: (seconds) =>
+    `Could not reach the server within ${seconds} seconds. Check that it is running and the address is correct.`,
+  firstToken: (seconds) =>
+    `The model did not start answering within ${seconds} seconds. It may still be loading; try again or raise the first token timeout in settings.`,
+  idle: (seconds) =>
+    `The reply stalled for ${seconds} seconds and was stopped. The text received so far was kept.`,
+};
+
+/**
+ * Error for a request that ran into one of its timeouts
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {string} phase - Phase that timed out: connect, firstToken or idle
+   * @param {number} seconds - Timeout that was reached
+   */
+  constructor(phase, seconds) {
+    super(TIMEOUT_MESSAGES[phase](seconds));
+    this.name = "RequestTimeoutError";
+    this.phase = phase;
+    this.seconds = seconds;
+  }
+}
+
+/**
+ * Reads the configured timeouts
+ * @param {Object} [settings] - Settings object
+ * @returns {Object} Seconds for the connect, firstToken and idle phases
+ */
+export function getRequestTimeouts(settings = getSettings()) {
+  return {
+    connect: settings.get_double("connect-timeout"),
+    firstToken: settings.get_double("first-token-timeout"),
+    idle: settings.get_double("idle-timeout"),
+  };
+}
+
+// Timers on the GLib main loop
+const GLIB_TIMERS = {
+  add: (milliseconds, callback) =>
+    GLib.timeout_add(GLib.PRIORITY_DEFAULT, milliseconds, () => {
+      callback();
+      return GLib.SOURCE_REMOVE;
+    }),
+  remove: (timerId) => GLib.Source.remove(timerId),
+};
+
+/**
+ * Creates a watchdog that runs one phase timer at a time
+ * @param {Object} timeouts - Seconds for the connect, firstToken and idle phases
+ * @param {Function} onTimeout - Called with the RequestTimeoutError when a timer runs out
+ * @param {Object} [timers] - add(milliseconds, callback), returning a timer id
+ *   other than 0, and remove(timerId); GLib timeouts unless tests pass their own
+ * @returns {Object} Watchdog with arm(phase), stop() and check(), which throws
+ *   the timeout error once a timer ran out
+ */
+export function createWatchdog(timeouts, onTimeout, timers = GLIB_TIMERS) {
+  let timerId = 0;
+  let timeoutError = null;
+
+  const stop = () => {
+    if (timerId) {
+      timers.remove(timerId);
+      timerId = 0;
+    }
+  };
+
+  return {
+    arm(phase) {
+      stop();
+      const seconds = timeouts ? timeouts[phase] : 0;
+      if (!seconds || seconds <= 0 || timeoutError) {
+        return;
+      }
+
+      timerId = timers.add(Math.round(seconds * 1000), () => {
+        timerId = 0;
+        timeoutError = new RequestTimeoutError(phase, seconds);
+        onTimeout(timeoutError);
+      });
+    },
+    stop,
+    check() {
+      if (timeoutError) {
+        throw timeoutError;
+      }
+    },
+  };
+}
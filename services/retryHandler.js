@@ -0,0 +1,113 @@
+/**
+ * Retries of requests that failed with a temporary HTTP error
+ *
+ * Rate limits (429) and server errors (500, 502, 503, 504) are retried with
+ * exponential backoff, or after the delay the server gave in Retry-After.
+ * Only requests that failed before streaming any text are retried, so a reply
+ * is never sent twice.
+ */
+import GLib from "gi://GLib";
+import { HttpError } from "./httpUtils.js";
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Retries after the first attempt
+const MAX_RETRIES = 3;
+
+// Delay before the first retry, doubled for each further retry
+const BASE_DELAY_SECONDS = 2;
+
+// Longest wait; a longer Retry-After fails the request instead
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Works out how long to wait before retrying a failed request
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of retries made so far
+ * @returns {number|null} Seconds to wait, or null when it should not be retried
+ */
+function getRetryDelay(error, attempt) {
+  if (!(error instanceof HttpError) || !RETRYABLE_STATUSES.has(error.status) || attempt >= MAX_RETRIES) {
+    return null;
+  }
+
+  if (error.retryAfter !== null) {
+    return error.retryAfter <= MAX_DELAY_SECONDS ? error.retryAfter : null;
+  }
+
+  return Math.min(BASE_DELAY_SECONDS * 2 ** attempt, MAX_DELAY_SECONDS);
+}
+
+/**
+ * Waits before a retry, counting down once per second
+ * @param {number} seconds - Seconds to wait
+ * @param {Object} options - Cancellation check and countdown callback
+ * @returns {Promise<boolean>} False when the request was cancelled while waiting
+ */
+function waitForRetry(seconds, { isCancelled, onTick }) {
+  return new Promise((resolve) => {
+    let remaining = seconds;
+    onTick(remaining);
+
+    if (remaining <= 0) {
+      resolve(!isCancelled());
+      return;
+    }
+
+    GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+      remaining -= 1;
+      if (isCancelled()) {
+        resolve(false);
+        return GLib.SOURCE_REMOVE;
+      }
+
+      onTick(remaining);
+      if (remaining > 0) {
+        return GLib.SOURCE_CONTINUE;
+      }
+
+      resolve(true);
+      return GLib.SOURCE_REMOVE;
+    });
+  });
+}
+
+/**
+ * Waits for a request and resends it while it fails with a temporary error
+ * @param {Promise} firstAttempt - Result promise of the first attempt
+ * @param {Object} options - Retry options
+ * @param {Function} options.send - Sends the request again and returns its result promise
+ * @param {Function} options.isCancelled - Whether the request was stopped
+ * @param {Function} options.hasResponse - Whether any text was already received
+ * @param {Function} [options.onRetry] - Receives { status, attempt, seconds } while waiting
+ * @param {number} [options.attempt] - Number of retries made so far
+ * @returns {Promise<Object>} Result of the last attempt; { response: "" } when
+ *   stopped while waiting
+ */
+export async function withRetries(firstAttempt, options) {
+  const { send, isCancelled, hasResponse, onRetry = null, attempt = 0 } = options;
+
+  try {
+    return await firstAttempt;
+  } catch (error) {
+    const delay = hasResponse() || isCancelled() ? null : getRetryDelay(error, attempt);
+    if (delay === null) {
+      throw error;
+    }
+
+    const resume = await waitForRetry(delay, {
+      isCancelled,
+      onTick: (seconds) => {
+        if (onRetry) {
+          onRetry({ status: error.status, attempt: attempt + 1, seconds });
+        }
+      },
+    });
+
+    if (!resume) {
+      return { response: "" };
+    }
+
+    return withRetries(send(), { ...options, attempt: attempt + 1 });
+  }
+}
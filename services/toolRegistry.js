@@ -0,0 +1,131 @@
+/**
+ * Registry of tools the model can call
+ *
+ * Tools are defined in services/tools. executeToolCall runs a single call
+ * made by the model and reports its progress through onUpdate, which is also
+ * how the panel lets the user allow or deny tools that need approval.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import { getSettings } from "../lib/settings.js";
+import { builtinTools } from "./tools/builtinTools.js";
+
+const tools = [...builtinTools];
+
+// Resolvers of approval requests the user has not answered yet
+const pendingApprovals = new Set();
+
+// Cancellables of the tool calls that are running
+const runningCalls = new Set();
+
+/**
+ * @returns {Array} All registered tools
+ */
+export function getTools() {
+  return tools;
+}
+
+/**
+ * @param {string} name - Tool name
+ * @returns {Object|null} Tool with that name
+ */
+export function getToolByName(name) {
+  return tools.find((tool) => tool.name === name) || null;
+}
+
+/**
+ * Asks the user to allow a tool call
+ * @param {Object} call - Tool call with id, name and arguments
+ * @param {Function} onUpdate - Receives the call with status "approval" and a respond(approved) function
+ * @returns {Promise<boolean>} Whether the user allowed the call
+ */
+function requestApproval(call, onUpdate) {
+  return new Promise((resolve) => {
+    const respond = (approved) => {
+      pendingApprovals.delete(respond);
+      resolve(approved);
+    };
+    pendingApprovals.add(respond);
+    onUpdate({ ...call, status: "approval", respond });
+  });
+}
+
+/**
+ * Runs a tool call made by the model. Errors are returned as text so the model
+ * can react to them.
+ * @param {Object} call - Tool call with id, name and arguments
+ * @param {Function} [onUpdate] - Receives the call with its status
+ *   (approval, running, done, denied or error) and result; without it, tools
+ *   that need approval are denied
+ * @returns {Promise<string>} Result for the model
+ */
+export async function executeToolCall(call, onUpdate = null) {
+  const update = (status, result = null) => {
+    if (onUpdate) {
+      onUpdate({ ...call, status, result });
+    }
+  };
+
+  const tool = getToolByName(call.name);
+  if (!tool) {
+    const message = `Unknown tool: ${call.name}`;
+    update("error", message);
+    return message;
+  }
+
+  if (tool.requiresApproval) {
+    const approved = onUpdate ? await requestApproval(call, onUpdate) : false;
+    if (!approved) {
+      update("denied");
+      return "The user did not allow this tool call.";
+    }
+  }
+
+  update("running");
+  const cancellable = new Gio.Cancellable();
+  runningCalls.add(cancellable);
+  try {
+    const result = String(await tool.execute(call.arguments || {}, cancellable));
+    update("done", result);
+    return result;
+  } catch (error) {
+    const message = `Error: ${error.message || "Unknown error"}`;
+    update("error", message);
+    return message;
+  } finally {
+    runningCalls.delete(cancellable);
+  }
+}
+
+/**
+ * Builds the tool runner for a request, or null when tools are off or the
+ * provider cannot call them
+ * @param {Object} provider - Provider module
+ * @param {Function} [onToolEvent] - Receives tool call progress for the panel
+ * @returns {Function|null} Tool runner
+ */
+export function createToolRunner(provider, onToolEvent) {
+  if (!getSettings().get_boolean("enable-tools") || !provider.providerInfo.capabilities.tools) {
+    return null;
+  }
+
+  const onUpdate = onToolEvent ?
+    (event) => {
+      GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+        onToolEvent(event);
+        return GLib.SOURCE_REMOVE;
+      });
+    } :
+    null;
+
+  return (call) => executeToolCall(call, onUpdate);
+}
+
+/**
+ * Denies every approval request still waiting for the user and stops the
+ * tool calls that are running, e.g. when the message is stopped
+ */
+export function stopPendingToolCalls() {
+  [...pendingApprovals].forEach((respond) => respond(false));
+  runningCalls.forEach((cancellable) => cancellable.cancel());
+}
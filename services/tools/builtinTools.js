@@ -0,0 +1,240 @@
+/**
+ * Built-in desktop tools the model can call
+ *
+ * Each tool has a name, a description and JSON Schema parameters as sent to
+ * the providers, plus execute(args, cancellable), which returns the text given
+ * back to the model and stops early once the cancellable is cancelled. Tools
+ * marked requiresApproval only run once the user allows them in the panel.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import St from "gi://St";
+
+// Longest tool output sent back to the model
+const MAX_OUTPUT_CHARS = 20000;
+
+// Most entries listed for one directory
+const MAX_DIRECTORY_ENTRIES = 500;
+
+// Commands still running after this are stopped
+const COMMAND_TIMEOUT_SECONDS = 30;
+
+/**
+ * Resolves a path argument, expanding a leading ~ to the home directory
+ * @param {string} path - Path from the model
+ * @returns {string} Absolute path
+ */
+function expandPath(path) {
+  if (!path || typeof path !== "string") {
+    throw new Error("A path is required");
+  }
+  return path.startsWith("~") ? `${GLib.get_home_dir()}${path.slice(1)}` : path;
+}
+
+/**
+ * Shortens tool output that would flood the model's context
+ * @param {string} text - Tool output
+ * @returns {string} Output, truncated with a note when too long
+ */
+function limitOutput(text) {
+  if (text.length <= MAX_OUTPUT_CHARS) {
+    return text;
+  }
+  return `${text.slice(0, MAX_OUTPUT_CHARS)}\n[output truncated after ${MAX_OUTPUT_CHARS} characters]`;
+}
+
+/**
+ * Reads a text file
+ * @param {Object} args - Tool arguments
+ * @param {string} args.path - File path
+ * @param {Gio.Cancellable} [cancellable] - Stops reading
+ * @returns {Promise<string>} File content
+ */
+function readFile({ path }, cancellable = null) {
+  const file = Gio.File.new_for_path(expandPath(path));
+
+  return new Promise((resolve, reject) => {
+    file.load_contents_async(cancellable, (source, result) => {
+      try {
+        const [, contents] = source.load_contents_finish(result);
+        resolve(limitOutput(imports.byteArray.toString(contents)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Lists the entries of a directory, marking subdirectories with a trailing slash
+ * @param {Object} args - Tool arguments
+ * @param {string} args.path - Directory path
+ * @returns {string} One entry per line
+ */
+function listDirectory({ path }) {
+  const directory = Gio.File.new_for_path(expandPath(path));
+  const enumerator = directory.enumerate_children(
+    "standard::name,standard::type",
+    Gio.FileQueryInfoFlags.NONE,
+    null
+  );
+
+  const entries = [];
+  let info = enumerator.next_file(null);
+  while (info && entries.length < MAX_DIRECTORY_ENTRIES) {
+    const isDirectory = info.get_file_type() === Gio.FileType.DIRECTORY;
+    entries.push(`${info.get_name()}${isDirectory ? "/" : ""}`);
+    info = enumerator.next_file(null);
+  }
+  enumerator.close(null);
+
+  entries.sort();
+  return entries.length > 0 ? entries.join("\n") : "(empty directory)";
+}
+
+/**
+ * Kills a command together with every process it started. Commands run in
+ * their own process group, whose id is the command's process id.
+ * @param {Gio.Subprocess} subprocess - Command started by runCommand
+ */
+function stopProcessGroup(subprocess) {
+  const pid = subprocess.get_identifier();
+  if (!pid) return;
+
+  try {
+    Gio.Subprocess.new(["kill", "-KILL", "--", `-${pid}`], Gio.SubprocessFlags.STDERR_SILENCE);
+  } catch {
+    subprocess.force_exit();
+  }
+}
+
+/**
+ * Runs a shell command in the home directory and returns its output. The
+ * command and the processes it starts are killed once it runs too long or
+ * the cancellable is cancelled; otherwise pipelines and background jobs
+ * would keep the output open.
+ * @param {Object} args - Tool arguments
+ * @param {string} args.command - Command line for bash
+ * @param {Gio.Cancellable} [cancellable] - Stops the command
+ * @returns {Promise<string>} Combined stdout and stderr with the exit status
+ */
+function runCommand({ command }, cancellable = null) {
+  if (!command || typeof command !== "string") {
+    throw new Error("A command is required");
+  }
+
+  const launcher = new Gio.SubprocessLauncher({
+    flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_MERGE,
+  });
+  launcher.set_cwd(GLib.get_home_dir());
+  // setsid starts bash in a new process group so all of it can be killed
+  const subprocess = launcher.spawnv(["setsid", "bash", "-c", command]);
+
+  return new Promise((resolve, reject) => {
+    let stopReason = null;
+    const stop = (reason) => {
+      stopReason = stopReason || reason;
+      stopProcessGroup(subprocess);
+    };
+
+    let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, COMMAND_TIMEOUT_SECONDS, () => {
+      timeoutId = 0;
+      stop(`stopped after ${COMMAND_TIMEOUT_SECONDS} seconds`);
+      return GLib.SOURCE_REMOVE;
+    });
+    const cancelledId = cancellable ? cancellable.connect("cancelled", () => stop("stopped")) : 0;
+    if (cancellable?.is_cancelled()) {
+      stop("stopped");
+    }
+
+    subprocess.communicate_utf8_async(null, null, (proc, result) => {
+      if (timeoutId) {
+        GLib.Source.remove(timeoutId);
+      }
+      if (cancelledId) {
+        cancellable.disconnect(cancelledId);
+      }
+
+      try {
+        const [, stdout] = proc.communicate_utf8_finish(result);
+        const status = stopReason || (proc.get_if_exited() ?
+          `exit status ${proc.get_exit_status()}` :
+          `killed by signal ${proc.get_term_sig()}`);
+        resolve(limitOutput(`${stdout || ""}\n[${status}]`));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Reads the text on the clipboard
+ * @returns {Promise<string>} Clipboard text
+ */
+function getClipboard() {
+  return new Promise((resolve) => {
+    St.Clipboard.get_default().get_text(St.ClipboardType.CLIPBOARD, (_clipboard, text) => {
+      resolve(text ? limitOutput(text) : "(the clipboard is empty)");
+    });
+  });
+}
+
+/**
+ * @returns {string} Local date, time and time zone
+ */
+function getCurrentDate() {
+  return GLib.DateTime.new_now_local().format("%A %Y-%m-%d %H:%M:%S %Z (UTC%:z)");
+}
+
+export const builtinTools = [
+  {
+    name: "read_file",
+    description: "Read a text file on the user's computer.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Absolute path to the file, or a path starting with ~" },
+      },
+      required: ["path"],
+    },
+    execute: readFile,
+  },
+  {
+    name: "list_directory",
+    description: "List the files and subdirectories of a directory on the user's computer.",
+    parameters: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Absolute path to the directory, or a path starting with ~" },
+      },
+      required: ["path"],
+    },
+    execute: listDirectory,
+  },
+  {
+    name: "run_command",
+    description: "Run a bash command in the user's home directory and return its output. The user must approve every command.",
+    parameters: {
+      type: "object",
+      properties: {
+        command: { type: "string", description: "Command line to run with bash" },
+      },
+      required: ["command"],
+    },
+    requiresApproval: true,
+    execute: runCommand,
+  },
+  {
+    name: "get_clipboard",
+    description: "Get the text currently on the user's clipboard.",
+    parameters: { type: "object", properties: {} },
+    execute: getClipboard,
+  },
+  {
+    name: "get_current_date",
+    description: "Get the current local date, time and time zone.",
+    parameters: { type: "object", properties: {} },
+    execute: getCurrentDate,
+  },
+];
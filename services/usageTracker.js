@@ -0,0 +1,73 @@
+/**
+ * Usage of single replies
+ *
+ * Tracks how long a reply streamed and turns the token counts reported by
+ * the provider into the summary shown under the reply, adding it to the
+ * stored daily totals on the way.
+ */
+import GLib from "gi://GLib";
+import { getSettings } from "../lib/settings.js";
+import { estimateCost, findModelPricing, parsePricing } from "../lib/pricing.js";
+import { recordUsage } from "../lib/usageStore.js";
+
+// Tokens and cost of the replies in the current conversation
+let conversationUsage = { tokens: 0, cost: 0 };
+
+/**
+ * Starts counting the usage of a new conversation
+ */
+export function resetConversationUsage() {
+  conversationUsage = { tokens: 0, cost: 0 };
+}
+
+/**
+ * Creates a tracker for one reply
+ * @param {Function} [onUsage] - Receives the summary of the finished reply
+ * @returns {Object} Tracker with onText(), called for every streamed chunk, and
+ *   finish({ providerId, modelName, usage }), which stores the usage and
+ *   reports its summary unless the provider reported none
+ */
+export function createUsageTracker(onUsage = null) {
+  let firstTextTime = 0;
+  let lastTextTime = 0;
+
+  return {
+    onText() {
+      lastTextTime = GLib.get_monotonic_time();
+      firstTextTime = firstTextTime || lastTextTime;
+    },
+
+    finish({ providerId, modelName, usage }) {
+      if (!usage || (!usage.inputTokens && !usage.outputTokens)) {
+        return;
+      }
+
+      const { inputTokens, outputTokens } = usage;
+      // Servers that time the generation themselves are more exact than the stream
+      const seconds = usage.generationSeconds || (lastTextTime - firstTextTime) / 1000000;
+      const pricing = parsePricing(getSettings().get_string("model-pricing"));
+      const cost = estimateCost(findModelPricing(pricing, modelName), inputTokens, outputTokens);
+
+      recordUsage({ providerId, modelName, inputTokens, outputTokens, cost: cost || 0 });
+      conversationUsage.tokens += inputTokens + outputTokens;
+      conversationUsage.cost += cost || 0;
+      if (!onUsage) {
+        return;
+      }
+
+      const summary = {
+        modelName,
+        inputTokens,
+        outputTokens,
+        tokensPerSecond: seconds > 0 && outputTokens > 0 ? outputTokens / seconds : null,
+        cost,
+        conversation: { ...conversationUsage },
+      };
+      // Queued behind the streamed text so the reply is shown before its usage
+      GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+        onUsage(summary);
+        return GLib.SOURCE_REMOVE;
+      });
+    },
+  };
+}
@@ -141,4 +141,41 @@ export function processGenericResult(result, contextCallback = null) {
   }
   
   return result || "";
-} 
\ No newline at end of file
+} 
+
+/**
+ * Process the response from the AI provider
+ * @param {Object|string} response - Response from the provider
+ * @returns {string} Processed response text
+ */
+export function processProviderResponse(response) {
+  // Handle string responses directly
+  if (typeof response === "string") {
+    return response.replace(/^Prompt:\s*/iu, '');
+  }
+
+  // Handle object responses
+  if (response && typeof response === "object") {
+    // Handle OpenAI-style response
+    if (response.choices && response.choices[0]?.message?.content) {
+      return response.choices[0].message.content.replace(/^Prompt:\s*/iu, '');
+    }
+    
+    // Handle Ollama-style response
+    if (response.response) {
+      return response.response.replace(/^Prompt:\s*/iu, '');
+    }
+
+    // Handle direct response property
+    if (response.content) {
+      return response.content.replace(/^Prompt:\s*/iu, '');
+    }
+    
+    // Handle text property from parsed responses
+    if (response.text) {
+      return response.text.replace(/^Prompt:\s*/iu, '');
+    }
+  }
+
+  return "No valid response received";
+}
@@ -0,0 +1,26 @@
+/**
+ * Utilities for filtering and processing Anthropic model lists
+ */
+import {
+  filterModels,
+  removeDuplicateModels,
+  sortModels
+} from "./modelUtils.js";
+
+/**
+ * Filters and processes model data from the Anthropic API response
+ * @param {Array} modelData - Raw model data from the API
+ * @returns {Array} Filtered and processed model names
+ */
+export function processAnthropicModels(modelData) {
+  // Only keep Claude chat models
+  const filteredModels = filterModels(modelData, (model) => {
+    const id = (model.id || "").toLowerCase();
+    return id.startsWith("claude");
+  });
+
+  // Prefix the ids so they can be routed back to the Anthropic provider
+  const modelIds = filteredModels.map((model) => `anthropic:${model.id}`);
+
+  return sortModels(removeDuplicateModels(modelIds));
+}
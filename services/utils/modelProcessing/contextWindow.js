@@ -0,0 +1,131 @@
+/**
+ * Token estimation and context window trimming for chat messages
+ */
+
+// Rough average for English text and code across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and separators the providers add around every message
+const TOKENS_PER_MESSAGE = 4;
+
+// Room left for the model's reply when no max_tokens is configured
+const DEFAULT_OUTPUT_RESERVE = 1024;
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text || typeof text !== "string") {
+    return 0;
+  }
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the number of tokens a message list uses
+ * @param {Array} messages - Messages with role and content
+ * @returns {number} Estimated token count
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce(
+    (total, msg) => total + TOKENS_PER_MESSAGE + estimateTokens(msg.content),
+    0
+  );
+}
+
+/**
+ * Checks whether a message carries attached files
+ * @param {string} content - Message content
+ * @returns {boolean} True if the message has file attachments
+ */
+export function hasFileAttachments(content) {
+  if (!content || typeof content !== "string") {
+    return false;
+  }
+
+  if (content.includes("Context files for reference:") || content.includes("Images for reference:")) {
+    return true;
+  }
+
+  try {
+    const data = JSON.parse(content);
+    return Array.isArray(data.files) && data.files.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Splits messages into the system prompt and conversation turns. A turn starts
+ * at a user message and includes the replies that follow it.
+ * @param {Array} messages - Messages with role and content
+ * @returns {Object} System messages and an array of turns
+ */
+function splitIntoTurns(messages) {
+  const system = [];
+  const turns = [];
+
+  messages.forEach((msg) => {
+    if (msg.role === "system") {
+      system.push(msg);
+    } else if (msg.role === "user" || turns.length === 0) {
+      turns.push([msg]);
+    } else {
+      turns[turns.length - 1].push(msg);
+    }
+  });
+
+  return { system, turns };
+}
+
+/**
+ * Drops the oldest turns until the messages fit the context window. The system
+ * prompt, the latest turn with file attachments and the current turn are kept.
+ * @param {Array} messages - Messages with role and content
+ * @param {Object} options - Trimming options
+ * @param {number|null} options.contextLimit - Context window of the model in tokens
+ * @param {number} [options.outputReserve] - Tokens to leave free for the reply
+ * @returns {Object} Messages to send and the number of turns that were dropped
+ */
+export function fitMessagesToContext(messages, { contextLimit, outputReserve = DEFAULT_OUTPUT_RESERVE }) {
+  if (!contextLimit || contextLimit <= 0) {
+    return { messages, trimmedTurns: 0 };
+  }
+
+  const budget = Math.max(contextLimit - outputReserve, 0);
+  if (estimateMessagesTokens(messages) <= budget) {
+    return { messages, trimmedTurns: 0 };
+  }
+
+  const { system, turns } = splitIntoTurns(messages);
+
+  // Pin the current turn and the most recent turn with attachments
+  const lastIndex = turns.length - 1;
+  let attachmentIndex = -1;
+  turns.forEach((turn, index) => {
+    if (turn.some((msg) => msg.role === "user" && hasFileAttachments(msg.content))) {
+      attachmentIndex = index;
+    }
+  });
+
+  const kept = turns.map(() => true);
+  const assemble = () => [
+    ...system,
+    ...turns.filter((_turn, index) => kept[index]).flat(),
+  ];
+
+  let trimmedTurns = 0;
+  for (let index = 0; index < lastIndex; index++) {
+    if (estimateMessagesTokens(assemble()) <= budget) {
+      break;
+    }
+    if (index !== attachmentIndex) {
+      kept[index] = false;
+      trimmedTurns++;
+    }
+  }
+
+  return { messages: assemble(), trimmedTurns };
+}
@@ -16,42 +16,55 @@ settings.connect("changed::model-prompt", () => {
   currentModelPrompt = settings.get_string("model-prompt") || "";
 });
 
+/**
+ * Adds the model prompt to the current user message. Ollama receives the
+ * prompt separately, and providers with a native system instruction get it
+ * as a system message instead.
+ * @param {string} messageText - User's message text
+ * @param {Object} options - isOllama and systemPromptMessage flags
+ * @returns {string} Message text to send
+ */
+function withInlinePrompt(messageText, { isOllama, systemPromptMessage }) {
+  if (isOllama || systemPromptMessage || !currentModelPrompt || currentModelPrompt.trim() === "") {
+    return messageText;
+  }
+  return `${currentModelPrompt}\n\n${messageText}`;
+}
+
 /**
  * Prepares message context for API call
  * @param {string} messageText - User's message text
  * @param {Array} context - Previous conversation context
  * @param {Object} options - Optional parameters
+ * @param {Function} [options.roleMapping] - Maps history types to roles
+ * @param {boolean} [options.isOllama] - Whether the prompt is sent separately
+ * @param {boolean} [options.systemPromptMessage] - Whether the prompt is sent
+ *   as a leading system message rather than with the user message
  * @returns {Array} Formatted messages
  */
 export function prepareBasicMessages(messageText, context = [], options = {}) {
   const { 
-    roleMapping = (type) => type === "user" ? "user" : type === "system" ? "system" : "assistant",
-    isOllama = false
+    roleMapping = (type) => type === "user" ? "user" : type === "system" || type === "summary" ? "system" : "assistant",
+    isOllama = false,
+    systemPromptMessage = false
   } = options;
   
+  const userContent = withInlinePrompt(messageText, { isOllama, systemPromptMessage });
+  
   if (!Array.isArray(context)) {
     console.error("Context is not an array:", context);
-    
-    // If this is the first message and we have a model prompt, inject it
-    // But only for non-Ollama models as Ollama handles system prompt separately
-    let firstMessage = messageText;
-    if (!isOllama && currentModelPrompt && currentModelPrompt.trim() !== "") {
-      firstMessage = `${currentModelPrompt}\n\n${messageText}`;
-    }
-    
     return [{
       role: "user",
-      content: firstMessage
+      content: userContent
     }];
   }
   
   const messages = [];
   
-  // Add current user message
-  // ONLY prepend system prompt for non-Ollama models
-  let userContent = messageText;
-  if (!isOllama && currentModelPrompt && currentModelPrompt.trim() !== "") {
-    userContent = `${currentModelPrompt}\n\n${messageText}`;
+  // The history keeps the prompt shown when the conversation started; the
+  // current prompt replaces it
+  if (systemPromptMessage && currentModelPrompt.trim() !== "") {
+    messages.push({ role: "system", content: currentModelPrompt });
   }
   
   // Add context messages
@@ -59,10 +72,13 @@ export function prepareBasicMessages(messageText, context = [], options = {}) {
     if (!msg || !msg.text || typeof msg.text !== "string") {
       return;
     }
+    if (systemPromptMessage && msg.type === "system") {
+      return;
+    }
     
     messages.push({
       role: roleMapping(msg.type),
-      content: msg.text,
+      content: msg.type === "summary" ? `Summary of the earlier conversation:\n${msg.text}` : msg.text,
     });
   });
 
@@ -75,6 +91,20 @@ export function prepareBasicMessages(messageText, context = [], options = {}) {
   return messages;
 }
 
+/**
+ * Returns the history without the user message that is being sent. The
+ * history already ends with it, and the raw message text is appended again
+ * by prepareBasicMessages.
+ * @param {Array} context - Conversation history
+ * @returns {Array} History up to the previous turn
+ */
+export function excludeCurrentMessage(context) {
+  if (Array.isArray(context) && context.length > 0 && context[context.length - 1]?.type === "user") {
+    return context.slice(0, -1);
+  }
+  return context;
+}
+
 /**
  * Validates the message array for chat models
  * @param {Array} messages - Array of message objects to validate
@@ -95,11 +125,16 @@ export function validateMessages(messages) {
 
   // Check each message
   for (const [index, msg] of messages.entries()) {
-    if (!msg.role || !["user", "assistant", "system"].includes(msg.role)) {
+    if (!msg.role || !["user", "assistant", "system", "tool"].includes(msg.role)) {
       errors.push(`Message at index ${index} has invalid role: ${msg.role}`);
     }
 
-    if (!msg.content || typeof msg.content !== "string") {
+    // Assistant turns that only call tools have no text
+    if (msg.toolCalls) {
+      continue;
+    }
+
+    if (typeof msg.content !== "string" || (!msg.content && msg.role !== "tool")) {
       errors.push(`Message at index ${index} has invalid content`);
     }
   }
@@ -0,0 +1,106 @@
+/**
+ * Rolling summarization of long conversation histories
+ *
+ * Older turns are replaced by a single { type: "summary" } history entry that
+ * sits after the system prompt. The system prompt, the most recent turns and
+ * the latest turn with file attachments stay verbatim.
+ */
+import { estimateTokens, hasFileAttachments } from "./contextWindow.js";
+
+// Turns at the end of the history that are never summarized
+const KEEP_RECENT_TURNS = 2;
+
+const SUMMARY_INSTRUCTIONS =
+  "Summarize the conversation below so the summary can replace it as the memory of an ongoing chat. " +
+  "Keep facts, decisions, names, file names, code identifiers and open questions. " +
+  "Reply with the summary only, in plain prose.";
+
+/**
+ * Estimates the number of tokens in a conversation history
+ * @param {Array} history - Conversation history entries
+ * @returns {number} Estimated token count
+ */
+export function estimateHistoryTokens(history) {
+  return history.reduce((total, entry) => total + estimateTokens(entry?.text), 0);
+}
+
+/**
+ * Splits a history into system entries, the current summary and turns. A turn
+ * starts at a user entry and includes the replies that follow it.
+ * @param {Array} history - Conversation history entries
+ * @returns {Object} System entries, summary text (or null) and turns
+ */
+function splitHistory(history) {
+  const system = [];
+  const turns = [];
+  let summary = null;
+
+  history.forEach((entry) => {
+    if (entry.type === "system") {
+      system.push(entry);
+    } else if (entry.type === "summary") {
+      summary = entry.text;
+    } else if (entry.type === "user" || turns.length === 0) {
+      turns.push([entry]);
+    } else {
+      turns[turns.length - 1].push(entry);
+    }
+  });
+
+  return { system, summary, turns };
+}
+
+/**
+ * Formats turns as a plain transcript for the summarization prompt
+ * @param {Array} turns - Turns to include
+ * @returns {string} Transcript text
+ */
+function formatTranscript(turns) {
+  return turns
+    .flat()
+    .map((entry) => `${entry.type === "user" ? "User" : "Assistant"}: ${entry.text}`)
+    .join("\n\n");
+}
+
+/**
+ * Works out which turns to summarize
+ * @param {Array} history - Conversation history entries
+ * @returns {Object|null} Summarization prompt plus the entries kept around the
+ *   summary, or null when there is nothing old enough to summarize
+ */
+export function planHistorySummary(history) {
+  const { system, summary, turns } = splitHistory(history);
+  const cutoff = turns.length - KEEP_RECENT_TURNS;
+  if (cutoff <= 0) {
+    return null;
+  }
+
+  const attachmentIndex = turns.findLastIndex((turn) =>
+    turn.some((entry) => entry.type === "user" && hasFileAttachments(entry.text))
+  );
+
+  const older = turns.slice(0, cutoff).filter((_turn, index) => index !== attachmentIndex);
+  if (older.length === 0) {
+    return null;
+  }
+
+  const recent = turns.filter((_turn, index) => index >= cutoff || index === attachmentIndex);
+  const earlier = summary ? `Summary of the conversation so far:\n${summary}\n\n` : "";
+
+  return {
+    prompt: `${SUMMARY_INSTRUCTIONS}\n\n${earlier}Conversation:\n${formatTranscript(older)}`,
+    system,
+    recent: recent.flat(),
+    summarizedTurns: older.length,
+  };
+}
+
+/**
+ * Builds the history that replaces the summarized turns
+ * @param {Object} plan - Result of planHistorySummary
+ * @param {string} summaryText - Summary written by the model
+ * @returns {Array} New conversation history
+ */
+export function applyHistorySummary(plan, summaryText) {
+  return [...plan.system, { text: summaryText, type: "summary" }, ...plan.recent];
+}
@@ -0,0 +1,147 @@
+/**
+ * Branching conversation histories
+ *
+ * History entries are the nodes of a tree: every entry keeps the entries that
+ * followed it in "children" and the index of the one in use in "selected".
+ * Editing a message adds a sibling to it, so both versions and the replies
+ * each received stay in the tree. The history sent to the model is the
+ * active path, which follows the selected child from the root down.
+ */
+
+/**
+ * Makes an entry a node of the tree
+ * @param {Object} entry - History entry
+ * @param {Object} [replaced] - Node the entry takes the place of, whose
+ *   children it keeps unless it has its own
+ * @returns {Object} The entry
+ */
+function toNode(entry, replaced = null) {
+  if (!entry.children) {
+    // A copy, so changes below the entry leave the replaced node's subtree as it was
+    entry.children = replaced ? [...replaced.children] : [];
+    entry.selected = replaced?.selected || 0;
+  }
+  return entry;
+}
+
+/**
+ * Links the entries of a history into the tree as its active path. Entries
+ * that are not in the tree yet, like a new summary, take the place of the
+ * selected child where the path leaves the tree; other branches stay.
+ * @param {Object} root - Root of the tree
+ * @param {Array} history - History entries in order
+ */
+export function followHistory(root, history) {
+  history.reduce((parent, entry) => {
+    const index = parent.children.indexOf(entry);
+    if (index >= 0) {
+      parent.selected = index;
+      return entry;
+    }
+
+    const replaced = parent.children[parent.selected] || null;
+    toNode(entry, replaced);
+    if (replaced) {
+      parent.children[parent.selected] = entry;
+    } else {
+      parent.children.push(entry);
+      parent.selected = parent.children.length - 1;
+    }
+    return entry;
+  }, root);
+}
+
+/**
+ * Creates a tree holding a history as its only branch
+ * @param {Array} [history] - History entries in order
+ * @returns {Object} Root of the tree
+ */
+export function createHistoryTree(history = []) {
+  const root = { children: [], selected: 0 };
+  followHistory(root, history);
+  return root;
+}
+
+/**
+ * @param {Object} root - Root of the tree
+ * @returns {Array} Entries of the active path
+ */
+export function getActivePath(root) {
+  const path = [];
+  let node = root.children[root.selected];
+  while (node) {
+    path.push(node);
+    node = node.children[node.selected];
+  }
+  return path;
+}
+
+/**
+ * Adds an entry below another one and selects it
+ * @param {Object} parent - Entry, or the root for the first entry
+ * @param {Object} entry - New history entry
+ * @returns {Object} The entry
+ */
+export function addChild(parent, entry) {
+  parent.children.push(toNode(entry));
+  parent.selected = parent.children.length - 1;
+  return entry;
+}
+
+/**
+ * Takes the last added entry out of the tree again, selecting the version
+ * that was selected before it was added
+ * @param {Object} parent - Entry, or the root, the entry was added below
+ * @param {Object} entry - Entry added with addChild
+ */
+export function removeChild(parent, entry) {
+  const index = parent.children.indexOf(entry);
+  if (index < 0) return;
+
+  parent.children.splice(index, 1);
+  parent.selected = Math.max(0, Math.min(parent.selected, parent.children.length - 1));
+}
+
+/**
+ * Finds the versions of an entry on the active path
+ * @param {Object} root - Root of the tree
+ * @param {Array} history - Active path
+ * @param {Object} entry - Entry on the active path
+ * @returns {Object|null} The entry's parent, or the root, and its versions
+ *   as { parent, versions }; null when the entry is not on the path
+ */
+function findVersions(root, history, entry) {
+  const index = history.indexOf(entry);
+  if (index < 0) return null;
+
+  const parent = index > 0 ? history[index - 1] : root;
+  return { parent, versions: parent.children };
+}
+
+/**
+ * @param {Object} root - Root of the tree
+ * @param {Array} history - Active path
+ * @param {Object} entry - Entry on the active path
+ * @returns {Object|null} { position, count } with the 1-based position of the
+ *   entry among its versions; null when the entry is not on the path
+ */
+export function getBranchPosition(root, history, entry) {
+  const found = findVersions(root, history, entry);
+  return found ? { position: found.versions.indexOf(entry) + 1, count: found.versions.length } : null;
+}
+
+/**
+ * Selects another version of an entry on the active path
+ * @param {Object} root - Root of the tree
+ * @param {Array} history - Active path
+ * @param {Object} options - Entry and step, -1 for the previous version and 1 for the next
+ * @returns {Object|null} The selected version, null when there is none in that direction
+ */
+export function selectBranch(root, history, { entry, step }) {
+  const found = findVersions(root, history, entry);
+  const version = found?.versions[found.versions.indexOf(entry) + step];
+  if (!version) return null;
+
+  found.parent.selected = found.versions.indexOf(version);
+  return version;
+}
@@ -0,0 +1,72 @@
+/**
+ * Capabilities of individual models
+ *
+ * Capabilities are { vision, tools, thinking, contextLength }, each null when
+ * unknown. Ollama and Gemini report them with their models; OpenAI and
+ * Anthropic models are looked up in the tables below, where the longest
+ * matching name prefix wins.
+ */
+
+// Chat models kept by the OpenAI model filter
+const OPENAI_MODELS = {
+  "gpt-3.5": { vision: false, tools: true, thinking: false, contextLength: 16385 },
+  "gpt-4": { vision: false, tools: true, thinking: false, contextLength: 8192 },
+  "gpt-4-turbo": { vision: true, tools: true, thinking: false, contextLength: 128000 },
+  "gpt-4o": { vision: true, tools: true, thinking: false, contextLength: 128000 },
+  "gpt-4.1": { vision: true, tools: true, thinking: false, contextLength: 1047576 },
+  "gpt-4.5": { vision: true, tools: true, thinking: false, contextLength: 128000 },
+  "gpt-5": { vision: true, tools: true, thinking: true, contextLength: 400000 },
+  "gpt-5-chat": { vision: true, tools: false, thinking: false, contextLength: 128000 },
+  "chatgpt-4o": { vision: true, tools: false, thinking: false, contextLength: 128000 },
+};
+
+const ANTHROPIC_MODELS = {
+  "claude-2": { vision: false, tools: false, thinking: false, contextLength: 100000 },
+  "claude-3": { vision: true, tools: true, thinking: false, contextLength: 200000 },
+  "claude-3-7-sonnet": { vision: true, tools: true, thinking: true, contextLength: 200000 },
+  "claude-sonnet-4": { vision: true, tools: true, thinking: true, contextLength: 200000 },
+  "claude-opus-4": { vision: true, tools: true, thinking: true, contextLength: 200000 },
+  "claude-haiku-4": { vision: true, tools: true, thinking: true, contextLength: 200000 },
+};
+
+/**
+ * Finds a model in a capability table
+ * @param {Object} table - Capabilities keyed by model name prefix
+ * @param {string} modelName - Model name without routing prefix
+ * @returns {Object|null} Capabilities, or null for unknown models
+ */
+function findInTable(table, modelName) {
+  const key = Object.keys(table)
+    .filter((prefix) => modelName.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? { ...table[key] } : null;
+}
+
+/**
+ * @param {string} modelName - OpenAI model name
+ * @returns {Object|null} Capabilities of the model
+ */
+export function lookupOpenAICapabilities(modelName) {
+  return findInTable(OPENAI_MODELS, modelName || "");
+}
+
+/**
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Object|null} Capabilities of the model
+ */
+export function lookupAnthropicCapabilities(modelName) {
+  return findInTable(ANTHROPIC_MODELS, (modelName || "").replace(/^anthropic:/u, ""));
+}
+
+/**
+ * Reads the capabilities Ollama lists in an /api/show response
+ * @param {Array|null} capabilities - Capability names such as "vision"
+ *   or "tools"; missing on servers older than 0.6.4
+ * @param {number|null} contextLength - Context length from the model info
+ * @returns {Object} Capabilities of the model
+ */
+export function fromOllamaCapabilities(capabilities, contextLength) {
+  const has = (name) => (Array.isArray(capabilities) ? capabilities.includes(name) : null);
+  return { vision: has("vision"), tools: has("tools"), thinking: has("thinking"), contextLength };
+}
@@ -0,0 +1,88 @@
+/**
+ * Gemini safety filters
+ *
+ * Each harm category has its own blocking threshold setting; an empty value
+ * leaves the category at Gemini's default. Replies or prompts stopped by the
+ * filters come back without text, so the reason is described instead.
+ */
+
+// Harm categories with the settings key holding their threshold
+export const SAFETY_CATEGORIES = [
+  { category: "HARM_CATEGORY_HARASSMENT", key: "gemini-safety-harassment", label: "harassment" },
+  { category: "HARM_CATEGORY_HATE_SPEECH", key: "gemini-safety-hate-speech", label: "hate speech" },
+  { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", key: "gemini-safety-sexually-explicit", label: "sexually explicit" },
+  { category: "HARM_CATEGORY_DANGEROUS_CONTENT", key: "gemini-safety-dangerous-content", label: "dangerous content" },
+];
+
+// Finish and block reasons caused by content policies other than the filters
+const POLICY_REASONS = {
+  BLOCKLIST: "it contains blocked terms",
+  PROHIBITED_CONTENT: "it may contain prohibited content",
+  SPII: "it may contain sensitive personal information",
+  IMAGE_SAFETY: "a generated image was flagged",
+};
+
+/**
+ * Builds the "safetySettings" request field from the configured thresholds
+ * @param {Gio.Settings} settings - Extension settings
+ * @returns {Array|null} Safety settings, or null when all use the defaults
+ */
+export function toGeminiSafetySettings(settings) {
+  const safetySettings = SAFETY_CATEGORIES
+    .map(({ category, key }) => ({ category, threshold: settings.get_string(key) }))
+    .filter(({ threshold }) => threshold);
+
+  return safetySettings.length > 0 ? safetySettings : null;
+}
+
+/**
+ * Names the categories a reply or prompt was flagged for
+ * @param {Array} [safetyRatings] - Ratings from the response
+ * @returns {string} Category labels, such as "harassment and hate speech"
+ */
+function describeFlaggedCategories(safetyRatings = []) {
+  const flagged = safetyRatings.filter((rating) => rating.blocked || ["MEDIUM", "HIGH"].includes(rating.probability));
+  const labels = flagged.map((rating) =>
+    SAFETY_CATEGORIES.find(({ category }) => category === rating.category)?.label ||
+    rating.category.replace(/^HARM_CATEGORY_/u, "").toLowerCase().replace(/_/gu, " "));
+
+  return labels.length > 1 ?
+    `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}` :
+    labels[0] || "";
+}
+
+/**
+ * Explains why a safety filter or content policy stopped a reply or prompt
+ * @param {string} reason - finishReason or blockReason from the response
+ * @param {Array} [safetyRatings] - Ratings from the response
+ * @returns {string|null} Explanation, or null for other reasons
+ */
+function describeBlockReason(reason, safetyRatings) {
+  if (reason === "SAFETY") {
+    const categories = describeFlaggedCategories(safetyRatings);
+    return `it was flagged by the safety filters${categories ? ` as ${categories}` : ""}. ` +
+      "The thresholds can be changed in the Gemini settings";
+  }
+  if (reason === "RECITATION") {
+    return "it closely repeats existing material";
+  }
+  return POLICY_REASONS[reason] || null;
+}
+
+/**
+ * Explains a prompt or reply that Gemini blocked
+ * @param {Object} json - Gemini response JSON
+ * @returns {string|null} Explanation for the panel, or null when nothing was blocked
+ */
+export function describeGeminiBlock(json) {
+  const blockReason = json.promptFeedback?.blockReason;
+  if (blockReason) {
+    const reason = describeBlockReason(blockReason, json.promptFeedback.safetyRatings) ||
+      `it was blocked (${blockReason.toLowerCase()})`;
+    return `Gemini did not answer the message because ${reason}.`;
+  }
+
+  const candidate = json.candidates?.[0];
+  const reason = candidate?.finishReason && describeBlockReason(candidate.finishReason, candidate.safetyRatings);
+  return reason ? `Gemini stopped the reply because ${reason}.` : null;
+}
@@ -0,0 +1,174 @@
+/**
+ * Generation parameter profiles and their provider-specific field names
+ *
+ * Profiles are stored as JSON in the "generation-profiles" setting, keyed by
+ * profile name. Each profile uses OpenAI/Ollama style names (top_p, top_k,
+ * max_tokens, num_ctx, seed, repeat_penalty, stop) plus an optional
+ * context_limit override for history trimming and an applies_to list of
+ * model names or provider ids. The reasoning option chosen for the model is
+ * added as "reasoning".
+ */
+import { getSettings } from "../../../lib/settings.js";
+import { getRequestReasoningOption } from "./reasoningOptions.js";
+
+const PROFILE_PARAMETERS = [
+  "top_p",
+  "top_k",
+  "max_tokens",
+  "num_ctx",
+  "seed",
+  "repeat_penalty",
+  "stop",
+  "context_limit",
+];
+
+/**
+ * Drops unset values so providers keep their own defaults
+ * @param {Object} params - Parameter object
+ * @returns {Object} Object without undefined, null or empty values
+ */
+function compact(params) {
+  return Object.fromEntries(
+    Object.entries(params).filter(([, value]) =>
+      value !== null && typeof value !== "undefined" && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+}
+
+/**
+ * Reads all profiles from settings
+ * @param {Object} [settings] - Settings object
+ * @returns {Object} Profiles keyed by name
+ */
+export function getProfiles(settings = getSettings()) {
+  try {
+    const profiles = JSON.parse(settings.get_string("generation-profiles") || "{}");
+    return profiles && typeof profiles === "object" && !Array.isArray(profiles) ? profiles : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Finds the profile to use for a request. An explicitly selected profile
+ * wins; otherwise the first profile listing the model, then the provider.
+ * @param {Object} settings - Settings object
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string} providerId - Registry id of the provider
+ * @returns {Object|null} The profile, or null when none applies
+ */
+function findProfile(settings, modelName, providerId) {
+  const profiles = getProfiles(settings);
+  const activeName = settings.get_string("active-generation-profile");
+
+  let profile = activeName ? profiles[activeName] : null;
+
+  if (!profile) {
+    const candidates = Object.values(profiles);
+    const appliesTo = (candidate, target) =>
+      Array.isArray(candidate.applies_to) && candidate.applies_to.includes(target);
+
+    profile = candidates.find((candidate) => appliesTo(candidate, modelName)) ||
+      candidates.find((candidate) => appliesTo(candidate, providerId)) ||
+      null;
+  }
+
+  return profile;
+}
+
+/**
+ * Finds the parameters to use for a request: those of the applying profile
+ * and the model's reasoning option
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string} providerId - Registry id of the provider
+ * @returns {Object} Parameters, empty when no profile or option applies
+ */
+export function getGenerationParams(modelName, providerId) {
+  const settings = getSettings();
+  const profile = findProfile(settings, modelName, providerId);
+
+  return compact({
+    ...(profile ? Object.fromEntries(PROFILE_PARAMETERS.map((key) => [key, profile[key]])) : {}),
+    reasoning: getRequestReasoningOption(modelName, providerId, settings),
+  });
+}
+
+/**
+ * Maps profile parameters to OpenAI chat completion fields (top-level)
+ * @param {Object} params - Profile parameters
+ * @param {boolean} [reasoningModel=false] - Whether the model reasons first;
+ *   those models reject max_tokens and take max_completion_tokens instead
+ * @returns {Object} Request fields
+ */
+export function toOpenAIParams(params = {}, reasoningModel = false) {
+  return compact({
+    top_p: params.top_p,
+    [reasoningModel ? "max_completion_tokens" : "max_tokens"]: params.max_tokens,
+    seed: params.seed,
+    stop: params.stop,
+    reasoning_effort: typeof params.reasoning === "string" ? params.reasoning : null,
+  });
+}
+
+/**
+ * Maps the reasoning option to Ollama's top-level "think" field
+ * @param {Object} [params] - Profile parameters
+ * @returns {Object} think field, empty for the model's default
+ */
+export function toOllamaThink(params) {
+  const reasoning = params ? params.reasoning : null;
+  return typeof reasoning === "boolean" ? { think: reasoning } : {};
+}
+
+/**
+ * Maps profile parameters to an Ollama "options" object
+ * @param {Object} [params] - Profile parameters
+ * @param {number} temperature - Temperature setting
+ * @returns {Object} Ollama options
+ */
+export function toOllamaOptions(params, temperature) {
+  const profile = params || {};
+  return compact({
+    temperature,
+    top_p: profile.top_p,
+    top_k: profile.top_k,
+    num_predict: profile.max_tokens,
+    num_ctx: profile.num_ctx,
+    seed: profile.seed,
+    repeat_penalty: profile.repeat_penalty,
+    stop: profile.stop,
+  });
+}
+
+/**
+ * Maps profile parameters to a Gemini "generationConfig" object
+ * @param {Object} [params] - Profile parameters
+ * @param {number} temperature - Temperature setting
+ * @returns {Object} Gemini generation config
+ */
+export function toGeminiGenerationConfig(params, temperature) {
+  const profile = params || {};
+  return compact({
+    temperature,
+    topP: profile.top_p,
+    topK: profile.top_k,
+    maxOutputTokens: profile.max_tokens,
+    seed: profile.seed,
+    stopSequences: profile.stop,
+    thinkingConfig: typeof profile.reasoning === "number" ? { thinkingBudget: profile.reasoning } : null,
+  });
+}
+
+/**
+ * Maps profile parameters to Anthropic Messages API fields (top-level)
+ * @param {Object} params - Profile parameters
+ * @returns {Object} Request fields
+ */
+export function toAnthropicParams(params = {}) {
+  return compact({
+    top_p: params.top_p,
+    top_k: params.top_k,
+    max_tokens: params.max_tokens,
+    stop_sequences: params.stop,
+  });
+}
@@ -0,0 +1,140 @@
+/**
+ * Images attached to messages
+ *
+ * Attached images travel in the message text as [IMAGE:path] markers. Before
+ * a request they are read from disk, converted when the API may not accept
+ * their format and scaled down when very large, then sent the way each API
+ * expects them.
+ */
+import GdkPixbuf from "gi://GdkPixbuf";
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+
+// Longest side sent to the APIs; larger images are scaled down
+const MAX_IMAGE_SIDE = 2048;
+
+// Files above this size are re-encoded even when their size in pixels is fine
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Formats the OpenAI, Gemini and Ollama APIs all accept as they are
+const SUPPORTED_MIME_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+// Every request resends the images of the whole conversation
+const MAX_CACHED_IMAGES = 16;
+const imageCache = new Map();
+
+/**
+ * Finds the image paths in a message
+ * @param {string} text - Message text with [IMAGE:path] markers
+ * @returns {Array<string>} Image paths in order of appearance
+ */
+function extractImagePaths(text) {
+  if (typeof text !== "string") {
+    return [];
+  }
+
+  return [...text.matchAll(/\[IMAGE:([^\]]+)\]/gu)].map((match) => match[1]);
+}
+
+/**
+ * Decodes an image and encodes it again, scaled to fit MAX_IMAGE_SIDE
+ * @param {string} filePath - Path of the image
+ * @returns {Object} Image as { mimeType, data } with base64 data
+ */
+function reencodeImage(filePath) {
+  const [, width, height] = GdkPixbuf.Pixbuf.get_file_info(filePath);
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(width, height, 1));
+  const pixbuf = GdkPixbuf.Pixbuf.new_from_file_at_scale(
+    filePath,
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale)),
+    true
+  );
+
+  // Transparency needs PNG, anything else is much smaller as JPEG
+  const [, buffer] = pixbuf.get_has_alpha() ?
+    pixbuf.save_to_bufferv("png", [], []) :
+    pixbuf.save_to_bufferv("jpeg", ["quality"], ["85"]);
+  return { mimeType: pixbuf.get_has_alpha() ? "image/png" : "image/jpeg", data: GLib.base64_encode(buffer) };
+}
+
+/**
+ * Reads an image for a request
+ * @param {string} filePath - Path of the image
+ * @returns {Object} Image as { mimeType, data } with base64 data
+ */
+function readImage(filePath) {
+  const [, contents] = Gio.File.new_for_path(filePath).load_contents(null);
+  const [contentType] = Gio.content_type_guess(filePath, contents);
+  const mimeType = Gio.content_type_get_mime_type(contentType);
+  const [, width, height] = GdkPixbuf.Pixbuf.get_file_info(filePath);
+
+  const fitsAsIs = SUPPORTED_MIME_TYPES.includes(mimeType) &&
+    contents.length <= MAX_IMAGE_BYTES &&
+    Math.max(width, height) <= MAX_IMAGE_SIDE;
+  return fitsAsIs ? { mimeType, data: GLib.base64_encode(contents) } : reencodeImage(filePath);
+}
+
+/**
+ * Loads an image, reusing the encoding of an unchanged file
+ * @param {string} filePath - Path of the image
+ * @returns {Object|null} Image as { mimeType, data }, or null when it cannot be read
+ */
+function loadImage(filePath) {
+  try {
+    const info = Gio.File.new_for_path(filePath).query_info("time::modified", Gio.FileQueryInfoFlags.NONE, null);
+    const key = `${filePath}:${info.get_attribute_uint64("time::modified")}`;
+
+    if (!imageCache.has(key)) {
+      if (imageCache.size >= MAX_CACHED_IMAGES) {
+        imageCache.delete(imageCache.keys().next().value);
+      }
+      imageCache.set(key, readImage(filePath));
+    }
+    return imageCache.get(key);
+  } catch {
+    // Moved or unreadable images are left out of the request
+    return null;
+  }
+}
+
+/**
+ * Loads the images attached to a message
+ * @param {string} text - Message text with [IMAGE:path] markers
+ * @returns {Array} Images as { mimeType, data } with base64 data
+ */
+export function loadMessageImages(text) {
+  return extractImagePaths(text).map(loadImage).filter(Boolean);
+}
+
+/**
+ * Converts a user message's text to OpenAI content, with the attached images
+ * as data URI parts
+ * @param {string} text - Message text with [IMAGE:path] markers
+ * @returns {string|Array} The text alone, or text and image_url parts
+ */
+export function toOpenAIContent(text) {
+  const images = loadMessageImages(text);
+  if (images.length === 0) {
+    return text;
+  }
+
+  return [
+    { type: "text", text },
+    ...images.map(({ mimeType, data }) => ({
+      type: "image_url",
+      image_url: { url: `data:${mimeType};base64,${data}` },
+    })),
+  ];
+}
+
+/**
+ * Converts the images attached to a message to Gemini parts
+ * @param {string} text - Message text with [IMAGE:path] markers
+ * @returns {Array} inline_data parts
+ */
+export function toGeminiImageParts(text) {
+  return loadMessageImages(text).map(({ mimeType, data }) => ({
+    inline_data: { mime_type: mimeType, data },
+  }));
+}
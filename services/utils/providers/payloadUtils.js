@@ -2,79 +2,59 @@
  * Generic utilities for creating API payloads
  */
 import { getSettings } from "../../../lib/settings.js";
-import Gio from "gi://Gio";
-import GLib from "gi://GLib";
+import { toOllamaOptions, toOllamaThink, toOpenAIParams } from "./generationParams.js";
+import { toFunctionTools, toOllamaMessage, toOpenAIMessage } from "./toolFormats.js";
+import { toOpenAIResponseFormat } from "./responseFormats.js";
+import { loadMessageImages, toOpenAIContent } from "./imageParts.js";
 
 /**
- * Converts an image file to base64 string
- * @param {string} filePath - Path to the image file
- * @returns {string|null} Base64 string or null if conversion fails
+ * Extracts the images attached to a message as base64 strings
+ * @param {string} messageContent - The message content that may contain files
+ * @returns {Array} Array of base64 image strings
  */
-function convertImageToBase64(filePath) {
-  try {
-    const file = Gio.File.new_for_path(filePath);
-    const [success, contents] = file.load_contents(null);
-    
-    if (!success) {
-      return null;
-    }
-    
-    // Convert bytes to base64
-    const base64 = GLib.base64_encode(contents);
-    return base64;
-  } catch (error) {
-    console.error(`Error converting image to base64: ${error.message}`);
+function extractImagesFromMessage(messageContent) {
+  return loadMessageImages(messageContent).map((image) => image.data);
+}
+
+/**
+ * Sends the images attached to a user message as OpenAI content parts
+ * @param {Object} msg - Message with role and content
+ * @returns {Object} Message with its images attached
+ */
+function attachOpenAIImages(msg) {
+  return msg.role === "user" ? { ...msg, content: toOpenAIContent(msg.content) } : msg;
+}
+
+/**
+ * Reads how long Ollama should keep a model loaded after a request
+ * @param {Object} [settings] - Settings object
+ * @returns {string|number|null} Duration string, seconds, or null for the server's default
+ */
+export function getOllamaKeepAlive(settings = getSettings()) {
+  const value = settings.get_string("ollama-keep-alive").trim();
+  if (!value) {
     return null;
   }
+
+  // Plain numbers are seconds, anything else a duration such as "10m"
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? seconds : value;
 }
 
 /**
- * Extracts image data from message content and converts to base64
- * @param {string} messageContent - The message content that may contain files
- * @returns {Array} Array of base64 image strings
+ * Adds the configured keep_alive to Ollama request parameters
+ * @returns {Object} keep_alive parameter, empty for the server's default
  */
-function extractImagesFromMessage(messageContent) {
-  const images = [];
-  
-  try {
-    // Try to parse as JSON first (structured file content)
-    const jsonData = JSON.parse(messageContent);
-    
-    if (jsonData.files && Array.isArray(jsonData.files)) {
-      for (const file of jsonData.files) {
-        if (file.content && typeof file.content === 'string' && 
-            file.content.startsWith('[IMAGE:') && file.content.endsWith(']')) {
-          // Extract file path from [IMAGE:path] format
-          const imagePath = file.content.slice(7, -1); // Remove '[IMAGE:' and ']'
-          const base64 = convertImageToBase64(imagePath);
-          if (base64) {
-            images.push(base64);
-          }
-        }
-      }
-    }
-  } catch {
-    // If not JSON, check for direct image content in the message
-    const imageRegex = /\[IMAGE:([^\]]+)\]/g;
-    let match;
-    
-    while ((match = imageRegex.exec(messageContent)) !== null) {
-      const imagePath = match[1];
-      const base64 = convertImageToBase64(imagePath);
-      if (base64) {
-        images.push(base64);
-      }
-    }
-  }
-  
-  return images;
+function keepAliveParams() {
+  const keepAlive = getOllamaKeepAlive();
+  return keepAlive === null ? {} : { keep_alive: keepAlive };
 }
 
 /**
  * Creates a generic API payload
  * @param {Object} options - Payload options
  * @param {string} options.modelName - Model name to use
- * @param {number} options.temperature - Temperature setting
+ * @param {number} [options.temperature] - Temperature setting, omitted when undefined
  * @param {boolean} [options.stream=true] - Whether to stream responses
  * @param {Object} [options.extraParams={}] - Additional provider-specific params
  * @returns {string} JSON payload string
@@ -101,6 +81,13 @@ function createGenericPayload(options) {
  * @param {string} options.modelName - Model name to use
  * @param {Array} options.messages - Array of message objects
  * @param {number} options.temperature - Temperature setting
+ * @param {Object} [options.generationParams] - Parameters from the active profile
+ * @param {Array} [options.tools] - Tools the model may call
+ * @param {Object} [options.responseSchema] - JSON Schema the reply must follow
+ * @param {boolean} [options.includeUsage] - Whether to ask for token usage at the end of the stream
+ * @param {boolean} [options.includeImages] - Whether to send attached images as content parts
+ * @param {boolean} [options.reasoningModel] - Whether the model reasons first (OpenAI's
+ *   gpt-5 family), which only accepts the default temperature and max_completion_tokens
  * @param {Function} [options.validateFn] - Optional validation function
  * @param {Function} [options.recordError] - Optional error recording function
  * @returns {string} JSON payload string
@@ -110,6 +97,12 @@ export function createChatPayload(options) {
     modelName,
     messages,
     temperature,
+    generationParams,
+    tools,
+    responseSchema,
+    includeUsage = false,
+    includeImages = false,
+    reasoningModel = false,
     validateFn,
     recordError
   } = options;
@@ -124,8 +117,66 @@ export function createChatPayload(options) {
   
   return createGenericPayload({
     modelName,
+    extraParams: {
+      ...(reasoningModel ? {} : { temperature }),
+      messages: messages.map((msg) => toOpenAIMessage(includeImages ? attachOpenAIImages(msg) : msg)),
+      ...toOpenAIParams(generationParams, reasoningModel),
+      ...(tools ? { tools: toFunctionTools(tools) } : {}),
+      ...(responseSchema ? { response_format: toOpenAIResponseFormat(responseSchema) } : {}),
+      ...(includeUsage ? { stream_options: { include_usage: true } } : {})
+    }
+  });
+}
+
+/**
+ * Creates a payload for Ollama's /api/chat endpoint
+ * @param {Object} options - Payload options
+ * @param {string} options.modelName - Model name to use
+ * @param {Array} options.messages - Array of message objects
+ * @param {number} options.temperature - Temperature setting
+ * @param {Object} [options.generationParams] - Parameters from the active profile
+ * @param {Array} [options.tools] - Tools the model may call
+ * @param {Object} [options.responseSchema] - JSON Schema the reply must follow
+ * @param {Function} [options.validateFn] - Optional validation function
+ * @param {Function} [options.recordError] - Optional error recording function
+ * @returns {string} JSON payload string
+ */
+export function createOllamaChatPayload(options) {
+  const {
+    modelName,
+    messages,
     temperature,
-    extraParams: { messages }
+    generationParams,
+    tools,
+    responseSchema,
+    validateFn,
+    recordError
+  } = options;
+  
+  if (validateFn) {
+    const validation = validateFn(messages);
+    if (!validation.isValid && recordError) {
+      recordError(`Invalid messages for API payload: ${validation.errors.join(", ")}`);
+    }
+  }
+  
+  // Ollama takes images per message rather than per request
+  const chatMessages = messages.map((msg) => {
+    const images = msg.role === "user" ? extractImagesFromMessage(msg.content) : [];
+    return images.length > 0 ? { ...msg, images } : toOllamaMessage(msg);
+  });
+  
+  // Ollama reads sampling parameters from "options" only
+  return createGenericPayload({
+    modelName,
+    extraParams: {
+      messages: chatMessages,
+      options: toOllamaOptions(generationParams, temperature),
+      ...(tools ? { tools: toFunctionTools(tools) } : {}),
+      ...(responseSchema ? { format: responseSchema } : {}),
+      ...toOllamaThink(generationParams),
+      ...keepAliveParams()
+    }
   });
 }
 
@@ -137,6 +188,8 @@ export function createChatPayload(options) {
  * @param {number} options.temperature - Temperature setting
  * @param {string} [options.context] - Optional context from previous interactions
  * @param {string} [options.messageContent] - Full message content to extract images from
+ * @param {Object} [options.generationParams] - Parameters from the active profile
+ * @param {Object} [options.responseSchema] - JSON Schema the reply must follow
  * @returns {string} JSON payload string
  */
 export function createCompletionPayload(options) {
@@ -145,7 +198,9 @@ export function createCompletionPayload(options) {
     prompt,
     temperature,
     context,
-    messageContent
+    messageContent,
+    generationParams,
+    responseSchema
   } = options;
   
   // Get system prompt from settings
@@ -163,12 +218,15 @@ export function createCompletionPayload(options) {
   
   return createGenericPayload({
     modelName,
-    temperature,
     extraParams: {
       prompt,
       system: systemPrompt || undefined,
       context: context || null,
-      images
+      images,
+      options: toOllamaOptions(generationParams, temperature),
+      ...(responseSchema ? { format: responseSchema } : {}),
+      ...toOllamaThink(generationParams),
+      ...keepAliveParams()
     }
   });
 } 
\ No newline at end of file
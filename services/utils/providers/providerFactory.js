@@ -3,17 +3,42 @@
  */
 import { getSettings } from "../../../lib/settings.js";
 import { createCancellableSession } from "../../apiUtils.js";
+import { HttpError } from "../../httpUtils.js";
 import { SessionManager, ContextManager } from "../api/sessionUtils.js";
 import { 
   createChatPayload, 
-  createCompletionPayload 
+  createCompletionPayload,
+  createOllamaChatPayload
 } from "./payloadUtils.js";
 import { 
   createBasicChunkProcessor,
   createSSEProcessor,
   processGenericResult
 } from "../api/responseProcessors.js";
-import { validateMessages, prepareBasicMessages } from "../modelProcessing/formatters.js";
+import {
+  excludeCurrentMessage,
+  validateMessages,
+  prepareBasicMessages
+} from "../modelProcessing/formatters.js";
+import { fitMessagesToContext } from "../modelProcessing/contextWindow.js";
+import { getGenerationParams } from "./generationParams.js";
+import { getActiveTools, runToolRounds, sendRound } from "./toolRounds.js";
+import { createUsage } from "./usageFormats.js";
+
+/**
+ * Builds the messages for a request from the history, dropping the oldest
+ * turns when they would not fit the model's context window
+ * @param {Object} options - Message text, history, generation parameters, context limit
+ *   and how the model prompt is sent
+ * @returns {Object} Messages to send and the number of trimmed turns
+ */
+function prepareContextMessages({ messageText, context, generationParams, contextLimit, isOllama = false, systemPromptMessage = false }) {
+  const messages = prepareBasicMessages(messageText, excludeCurrentMessage(context), { isOllama, systemPromptMessage });
+  return fitMessagesToContext(messages, {
+    contextLimit,
+    outputReserve: generationParams.max_tokens
+  });
+}
 
 /**
  * Creates a standard provider interface for chat-based models like OpenAI
@@ -22,6 +47,7 @@ import { validateMessages, prepareBasicMessages } from "../modelProcessing/forma
  */
 export function createChatProvider(options) {
   const {
+    providerId,
     modelsEndpoint,
     apiEndpoint,
     processModels,
@@ -30,6 +56,10 @@ export function createChatProvider(options) {
     createPayload = createChatPayload,
     createHeaders = () => ({ "Content-Type": "application/json" }),
     getEndpoint = () => apiEndpoint,
+    getContextLimit = () => null,
+    collectToolCalls = null,
+    extractUsage = () => null,
+    systemPromptMessage = false,
     fetchModels
   } = options;
   
@@ -63,55 +93,51 @@ export function createChatProvider(options) {
       return availableModels.includes(modelName);
     },
     
-    sendMessageToAPI: async ({ messageText, modelName, context = [], onData }) => {
+    sendMessageToAPI: async ({ messageText, modelName, context = [], onData, onRetry = null, tools = null, runTool = null, responseSchema = null }) => {
       const settings = getSettings();
       const temperature = settings.get_double("temperature");
       
       // Create session
-      const session = createCancellableSession();
+      const session = createCancellableSession({ onRetry });
       sessionManager.setSession(session);
       
-      // Prepare the messages from the context
-      const messages = prepareBasicMessages(messageText, context);
-      
-      // Create the payload
-      const payload = createPayload({
-        modelName,
-        messages,
-        temperature,
-        validateFn: validateMessages,
-        recordError
-      });
-      
-      // Get endpoint and headers
-      const endpoint = getEndpoint({ modelName, settings });
-      const headers = createHeaders(settings);
-      
-      // Create the chunk processor
-      const processChunk = createSSEProcessor({
-        onData,
-        extractContent
+      // Prepare the messages from the context, trimmed to the context window
+      const generationParams = getGenerationParams(modelName, providerId);
+      const { messages, trimmedTurns } = prepareContextMessages({
+        messageText,
+        context,
+        generationParams,
+        contextLimit: generationParams.context_limit || await getContextLimit(modelName),
+        systemPromptMessage
       });
+      const usage = createUsage();
       
       try {
-        const requestHandler = await session.sendRequest(
-          "POST",
-          endpoint,
-          headers,
-          payload,
-          processChunk
-        );
+        const round = sendRound({
+          session,
+          endpoint: getEndpoint({ modelName, settings }),
+          headers: createHeaders(settings),
+          buildPayload: (roundMessages, roundTools) =>
+            createPayload({ modelName, messages: roundMessages, temperature, generationParams, tools: roundTools, responseSchema, validateFn: validateMessages, recordError }),
+          createProcessor: createSSEProcessor,
+          collectToolCalls,
+          extractContent,
+          extractUsage,
+          onData,
+          messages,
+          tools: getActiveTools(tools, runTool, collectToolCalls)
+        });
         
         return {
-          result: requestHandler.result.then((result) => {
-            const processed = processGenericResult(result);
-            
+          result: runToolRounds(round, { runTool, isCancelled: () => sessionManager.isTerminated, usage }).then((text) => {
             // Reset the session when done
             sessionManager.terminateSession();
             
-            return processed;
+            return text;
           }),
-          cancel: () => sessionManager.terminateSession()
+          cancel: () => sessionManager.terminateSession(),
+          trimmedTurns,
+          usage
         };
       } catch (error) {
         const accumulatedResponse = sessionManager.getAccumulatedResponse();
@@ -135,23 +161,150 @@ export function createChatProvider(options) {
 }
 
 /**
- * Creates a standard provider interface for completion-based models like Ollama
+ * Checks whether a request failed because the endpoint does not exist
+ * @param {Error} error - Request error
+ * @returns {boolean} True for HTTP 404 errors
+ */
+function isNotFoundError(error) {
+  return error instanceof HttpError && error.status === 404;
+}
+
+/**
+ * Sends a message with the history to an Ollama-style /api/chat endpoint
+ * @param {Object} options - Request options including session, endpoint, history, context limit and tools
+ * @returns {Object} The first request round and the number of trimmed turns
+ */
+function sendChatMessage(options) {
+  const { session, endpoint, messageText, modelName, context, contextLimit, temperature, generationParams, tools, responseSchema, onData, extractContent, extractUsage, collectToolCalls, recordError } = options;
+  
+  const { messages, trimmedTurns } = prepareContextMessages({
+    messageText,
+    context,
+    generationParams,
+    contextLimit,
+    isOllama: true
+  });
+  
+  const round = sendRound({
+    session,
+    endpoint,
+    headers: { "Content-Type": "application/json" },
+    buildPayload: (roundMessages, roundTools) => createOllamaChatPayload({
+      modelName,
+      messages: roundMessages,
+      temperature,
+      generationParams,
+      tools: roundTools,
+      responseSchema,
+      validateFn: validateMessages,
+      recordError
+    }),
+    createProcessor: createBasicChunkProcessor,
+    collectToolCalls,
+    extractContent,
+    extractUsage,
+    onData,
+    messages,
+    tools
+  });
+  
+  return { round, trimmedTurns };
+}
+
+/**
+ * Sends a single prompt with context tokens to an Ollama-style /api/generate endpoint
+ * @param {Object} options - Request options including session, endpoint, usage total
+ *   and context manager (null for requests outside the conversation)
+ * @returns {Object} Request handler with result promise
+ */
+function sendGenerateMessage(options) {
+  const { session, endpoint, messageText, modelName, temperature, generationParams, responseSchema, onData, extractContent, extractUsage, usage, contextManager } = options;
+  
+  const payload = createCompletionPayload({
+    modelName,
+    prompt: messageText,
+    temperature,
+    context: contextManager ? contextManager.getCurrentContext() : null,
+    messageContent: messageText,
+    generationParams,
+    responseSchema
+  });
+  
+  // Create chunk processor with context update callback
+  const contextUpdateCallback = contextManager ? (newContext) => contextManager.setContext(newContext) : null;
+  const processChunk = createBasicChunkProcessor({
+    onData,
+    extractContent: (json) => {
+      // A generate request never follows a chat round that streamed, so its usage is the total
+      Object.assign(usage, extractUsage(json));
+      return extractContent(json, contextUpdateCallback);
+    }
+  });
+  return session.sendRequest("POST", endpoint, { "Content-Type": "application/json" }, payload, processChunk);
+}
+
+/**
+ * Retries a failed chat request against the generate endpoint when the chat
+ * endpoint is missing. The fallback is only reported through onFallback once it
+ * succeeds, since Ollama also answers 404 for unknown models.
+ * @param {Promise} chatResult - Result promise of the chat request
+ * @param {Object} options - Session, generate request sender and fallback callback
+ * @returns {Promise} Result of the chat request or of the fallback request
+ */
+async function withGenerateFallback(chatResult, { session, sendGenerateRequest, onFallback }) {
+  try {
+    return await chatResult;
+  } catch (error) {
+    if (!isNotFoundError(error) || session.getAccumulatedResponse()) {
+      throw error;
+    }
+    
+    let fallbackResult;
+    try {
+      fallbackResult = await sendGenerateRequest().result;
+    } catch {
+      throw error;
+    }
+    
+    onFallback();
+    return fallbackResult;
+  }
+}
+
+/**
+ * Creates a standard provider interface for completion-based models like Ollama.
+ * When the provider resolves a chat endpoint, requests are sent there with the
+ * full message history; servers without it fall back to the completion endpoint
+ * and its opaque context tokens. Standalone requests, such as history
+ * summaries, neither read nor update those tokens.
  * @param {Object} options - Provider options 
  * @returns {Object} Provider interface
  */
 export function createCompletionProvider(options) {
   const {
+    providerId,
     modelsEndpoint,
     apiEndpoint,
     processModels,
     recordError,
     extractContent,
-    fetchModels
+    fetchModels,
+    resolveModel = (modelName, settings) => ({
+      modelName,
+      endpoint: apiEndpoint || settings.get_string("api-endpoint")
+    }),
+    resolveEndpoints = (endpoint) => ({ chatEndpoint: null, generateEndpoint: endpoint }),
+    getContextLimit = () => null,
+    collectToolCalls = null,
+    extractUsage = () => null
   } = options;
   
   const contextManager = new ContextManager();
   const sessionManager = new SessionManager();
   
+  // Chat endpoints that turned out to be missing on the server
+  const unsupportedChatEndpoints = new Set();
+  
   return {
     resetContext: () => contextManager.resetContext(),
     
@@ -178,53 +331,51 @@ export function createCompletionProvider(options) {
       }
     },
     
-    sendMessageToAPI: async ({ messageText, modelName, context, onData }) => {
+    sendMessageToAPI: async ({ messageText, modelName: requestedModel, context, onData, onRetry = null, tools = null, runTool = null, responseSchema = null, standalone = false }) => {
       const settings = getSettings();
-      const endpoint = apiEndpoint || settings.get_string("api-endpoint");
+      const { modelName, endpoint } = resolveModel(requestedModel, settings);
       const temperature = settings.get_double("temperature");
+      const { chatEndpoint, generateEndpoint } = resolveEndpoints(endpoint);
       
       // Create session
-      const session = createCancellableSession();
+      const session = createCancellableSession({ onRetry });
       sessionManager.setSession(session);
       
-      // Get current context
-      const currentContext = context || contextManager.getCurrentContext();
-      
-      // Create payload
-      const payload = createCompletionPayload({
-        modelName,
-        prompt: messageText,
-        temperature,
-        context: currentContext,
-        messageContent: messageText
-      });
-      
-      // Create chunk processor with context update callback
-      const contextUpdateCallback = (newContext) => contextManager.setContext(newContext);
-      const processChunk = createBasicChunkProcessor({
-        onData,
-        extractContent: (json) => extractContent(json, contextUpdateCallback)
-      });
+      const generationParams = getGenerationParams(requestedModel, providerId);
+      const request = { session, messageText, modelName, temperature, generationParams, responseSchema, onData, extractContent, extractUsage, usage: createUsage(), recordError };
+      const requestContext = standalone ? null : contextManager;
+      const sendGenerateRequest = () => sendGenerateMessage({ ...request, endpoint: generateEndpoint, contextManager: requestContext });
       
       try {
-        const requestHandler = await session.sendRequest(
-          "POST",
-          endpoint,
-          { "Content-Type": "application/json" },
-          payload,
-          processChunk
-        );
+        const useChat = Boolean(chatEndpoint) && !unsupportedChatEndpoints.has(chatEndpoint);
+        // Ollama's window is num_ctx when a profile sets it, otherwise the one the model is loaded with
+        const contextLimit = useChat ?
+          generationParams.context_limit || generationParams.num_ctx || await getContextLimit(requestedModel) :
+          null;
+        const chat = useChat ?
+          sendChatMessage({ ...request, endpoint: chatEndpoint, context, contextLimit, collectToolCalls, tools: getActiveTools(tools, runTool, collectToolCalls) }) :
+          null;
+        const result = chat ?
+          withGenerateFallback(runToolRounds(chat.round, { runTool, isCancelled: () => sessionManager.isTerminated, usage: request.usage }), {
+            session,
+            sendGenerateRequest,
+            onFallback: () => unsupportedChatEndpoints.add(chatEndpoint)
+          }) :
+          sendGenerateRequest().result;
         
         return {
-          result: requestHandler.result.then((result) => {
-            const processed = processGenericResult(result, contextUpdateCallback);
+          result: result.then((response) => {
+            const contextCallback = requestContext ? (newContext) => requestContext.setContext(newContext) : null;
+            const processed = processGenericResult(response, contextCallback);
             
             // Reset the session when done
             sessionManager.terminateSession();
             
             return processed;
           }),
-          cancel: () => sessionManager.terminateSession()
+          cancel: () => sessionManager.terminateSession(),
+          trimmedTurns: chat ? chat.trimmedTurns : 0,
+          usage: request.usage
         };
       } catch (error) {
         const accumulatedResponse = sessionManager.getAccumulatedResponse();
@@ -245,4 +396,4 @@ export function createCompletionProvider(options) {
       return sessionManager.terminateSession(() => contextManager.resetContext());
     }
   };
-} 
\ No newline at end of file
+}
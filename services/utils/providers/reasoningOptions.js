@@ -0,0 +1,116 @@
+/**
+ * Per-model reasoning options
+ *
+ * Reasoning models can trade latency for quality: OpenAI takes a
+ * "reasoning_effort", Gemini a thinking budget in tokens and Ollama turns
+ * thinking on or off. The choice is stored per model name as JSON in the
+ * "reasoning-options" setting; models without an entry use the API default.
+ */
+import { getSettings } from "../../../lib/settings.js";
+
+// Values offered for each provider; null stands for the API default
+const REASONING_CHOICES = {
+  openai: [
+    { value: null, title: "Default" },
+    { value: "minimal", title: "Minimal" },
+    { value: "low", title: "Low" },
+    { value: "medium", title: "Medium" },
+    { value: "high", title: "High" },
+  ],
+  gemini: [
+    { value: null, title: "Default" },
+    { value: 0, title: "Off" },
+    { value: -1, title: "Dynamic" },
+    { value: 1024, title: "1K tokens" },
+    { value: 8192, title: "8K tokens" },
+    { value: 24576, title: "24K tokens" },
+  ],
+  ollama: [
+    { value: null, title: "Default" },
+    { value: true, title: "On" },
+    { value: false, title: "Off" },
+  ],
+};
+
+// Values only some model families accept: "minimal" effort is new with
+// gpt-5 (o-series models reject it) and Gemini Pro models cannot turn
+// thinking off
+const FAMILY_VALUES = {
+  openai: { minimal: (modelName) => /(^|:)gpt-5/u.test(modelName) },
+  gemini: { 0: (modelName) => !/-pro\b/u.test(modelName) },
+};
+
+/**
+ * @param {string} providerId - Registry id of the provider
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string|number|boolean|null} value - Reasoning option
+ * @returns {boolean} Whether the model accepts the option
+ */
+function acceptsValue(providerId, modelName, value) {
+  const accepts = FAMILY_VALUES[providerId]?.[value];
+  return !accepts || accepts(modelName);
+}
+
+/**
+ * @param {string} providerId - Registry id of the provider
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Array|null} Choices the model accepts as { value, title }, or
+ *   null when the provider has no reasoning controls
+ */
+export function getModelReasoningChoices(providerId, modelName) {
+  const choices = REASONING_CHOICES[providerId];
+  return choices ? choices.filter(({ value }) => value === null || acceptsValue(providerId, modelName, value)) : null;
+}
+
+/**
+ * Reads the stored options of all models
+ * @param {Object} settings - Settings object
+ * @returns {Object} Options keyed by model name
+ */
+function readOptions(settings) {
+  try {
+    const options = JSON.parse(settings.get_string("reasoning-options") || "{}");
+    return options && typeof options === "object" && !Array.isArray(options) ? options : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {Object} [settings] - Settings object
+ * @returns {string|number|boolean|null} The model's reasoning option, null for the default
+ */
+export function getReasoningOption(modelName, settings = getSettings()) {
+  const value = readOptions(settings)[modelName];
+  return typeof value === "undefined" ? null : value;
+}
+
+/**
+ * Finds the reasoning option to send for a model, dropping an option stored
+ * before the model's family was known not to accept it
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string} providerId - Registry id of the provider
+ * @param {Object} [settings] - Settings object
+ * @returns {string|number|boolean|null} The option, null for the API default
+ */
+export function getRequestReasoningOption(modelName, providerId, settings = getSettings()) {
+  const value = getReasoningOption(modelName, settings);
+  return value !== null && acceptsValue(providerId, modelName, value) ? value : null;
+}
+
+/**
+ * Stores the reasoning option of a model
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string|number|boolean|null} value - Option, null for the default
+ * @param {Object} [settings] - Settings object
+ */
+export function setReasoningOption(modelName, value, settings = getSettings()) {
+  const options = readOptions(settings);
+  if (value === null) {
+    delete options[modelName];
+  } else {
+    options[modelName] = value;
+  }
+  settings.set_string("reasoning-options", JSON.stringify(options));
+}
@@ -0,0 +1,65 @@
+/**
+ * Structured output schemas and their provider-specific request fields
+ *
+ * Schemas are written as JSON Schema, which Ollama's "format" takes as is.
+ * OpenAI wraps it in a "json_schema" response format and Gemini takes an
+ * OpenAPI-style subset with upper-case type names.
+ */
+
+// Reply to a prompt with modifiable files attached, as rendered by the panel
+export const FILE_EDIT_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "What was changed, or why no file was changed",
+    },
+    files: {
+      type: "array",
+      description: "Modified files only, each with its complete new content",
+      items: {
+        type: "object",
+        properties: {
+          filename: { type: "string" },
+          content: { type: "string" },
+        },
+        required: ["filename", "content"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["summary", "files"],
+  additionalProperties: false,
+};
+
+/**
+ * Builds the OpenAI chat completion "response_format" field
+ * @param {Object} schema - JSON Schema of the reply
+ * @returns {Object} Response format
+ */
+export function toOpenAIResponseFormat(schema) {
+  return {
+    type: "json_schema",
+    json_schema: { name: "response", strict: true, schema },
+  };
+}
+
+/**
+ * Converts a JSON Schema to the subset Gemini accepts as "responseSchema"
+ * @param {Object} schema - JSON Schema of the reply
+ * @returns {Object} Gemini response schema
+ */
+export function toGeminiResponseSchema(schema) {
+  const { type, properties, items, additionalProperties: _unsupported, ...rest } = schema;
+
+  return {
+    ...rest,
+    type: type.toUpperCase(),
+    ...(properties ? {
+      properties: Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [key, toGeminiResponseSchema(value)])
+      ),
+    } : {}),
+    ...(items ? { items: toGeminiResponseSchema(items) } : {}),
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Tool definitions and tool messages in the OpenAI and Ollama formats
+ *
+ * Within the providers a tool call is { id, name, arguments }, an assistant
+ * message that called tools carries them in toolCalls, and each result is a
+ * { role: "tool", toolCallId, name, content } message. Collectors gather the
+ * calls streamed in a response; normalizeToolCalls turns them into that shape.
+ */
+
+/**
+ * Parses the JSON arguments of a tool call
+ * @param {string} text - Arguments as streamed by the provider
+ * @returns {Object} Arguments, empty when missing or invalid
+ */
+export function parseToolArguments(text) {
+  if (!text) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Turns collected tool calls into { id, name, arguments } objects
+ * @param {Array} calls - Calls gathered by a collector
+ * @returns {Array} Complete tool calls
+ */
+export function normalizeToolCalls(calls) {
+  return calls
+    .filter((call) => call && call.name)
+    .map(({ argumentsText, ...call }, index) => ({
+      ...call,
+      id: call.id || `call_${index}`,
+      arguments: call.arguments || parseToolArguments(argumentsText),
+    }));
+}
+
+/**
+ * Describes tools as "function" tools, the format shared by OpenAI and Ollama
+ * @param {Array} tools - Tools from the tool registry
+ * @returns {Array} Tool definitions for the request
+ */
+export function toFunctionTools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+}
+
+/**
+ * Gathers tool calls from an OpenAI chat completion chunk. The arguments
+ * arrive as JSON text split across chunks.
+ * @param {Object} json - Response chunk JSON
+ * @param {Array} calls - Calls gathered so far, updated in place
+ */
+export function collectOpenAIToolCalls(json, calls) {
+  const deltas = json.choices?.[0]?.delta?.tool_calls;
+  if (!Array.isArray(deltas)) {
+    return;
+  }
+
+  deltas.forEach((delta) => {
+    const index = typeof delta.index === "number" ? delta.index : calls.length;
+    if (!calls[index]) {
+      calls[index] = { id: "", name: "", argumentsText: "" };
+    }
+
+    const call = calls[index];
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.name += delta.function.name;
+    if (delta.function?.arguments) call.argumentsText += delta.function.arguments;
+  });
+}
+
+/**
+ * Gathers tool calls from an Ollama /api/chat chunk
+ * @param {Object} json - Response chunk JSON
+ * @param {Array} calls - Calls gathered so far, updated in place
+ */
+export function collectOllamaToolCalls(json, calls) {
+  const toolCalls = json.message?.tool_calls;
+  if (!Array.isArray(toolCalls)) {
+    return;
+  }
+
+  toolCalls.forEach((toolCall) => {
+    calls.push({
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments || {},
+    });
+  });
+}
+
+/**
+ * Converts a message to the OpenAI chat format
+ * @param {Object} msg - Message with role and content, and toolCalls or toolCallId for tool turns
+ * @returns {Object} OpenAI message
+ */
+export function toOpenAIMessage(msg) {
+  if (msg.role === "tool") {
+    return { role: "tool", tool_call_id: msg.toolCallId, content: msg.content };
+  }
+
+  if (msg.toolCalls) {
+    return {
+      role: "assistant",
+      content: msg.content || null,
+      tool_calls: msg.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+      })),
+    };
+  }
+
+  return msg;
+}
+
+/**
+ * Converts a message to the Ollama /api/chat format
+ * @param {Object} msg - Message with role and content, and toolCalls or toolCallId for tool turns
+ * @returns {Object} Ollama message
+ */
+export function toOllamaMessage(msg) {
+  if (msg.role === "tool") {
+    return { role: "tool", content: msg.content, tool_name: msg.name };
+  }
+
+  if (msg.toolCalls) {
+    return {
+      role: "assistant",
+      content: msg.content || "",
+      tool_calls: msg.toolCalls.map((call) => ({
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    };
+  }
+
+  return msg;
+}
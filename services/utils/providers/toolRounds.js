@@ -0,0 +1,104 @@
+/**
+ * Request rounds for tool calling
+ *
+ * A message is sent as a series of rounds: while the model answers with tool
+ * calls, the calls are run and their results sent back in the next round.
+ */
+import { stripThinking } from "../../../lib/thinking.js";
+import { normalizeToolCalls } from "./toolFormats.js";
+import { addUsage } from "./usageFormats.js";
+
+// Most request rounds a single message may spend on tool calls
+const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Picks the tools to offer the model
+ * @param {Array|null} tools - Tools requested by the caller
+ * @param {Function|null} runTool - Caller's tool runner
+ * @param {Function|null} collectToolCalls - Provider's tool call collector
+ * @returns {Array|null} Tools, or null when they cannot be used
+ */
+export function getActiveTools(tools, runTool, collectToolCalls) {
+  return collectToolCalls && runTool && Array.isArray(tools) && tools.length > 0 ? tools : null;
+}
+
+/**
+ * Sends one request round and gathers the tool calls streamed back
+ * @param {Object} options - Session, endpoint, headers, payload builder, chunk
+ *   processor factory, tool call collector, usage extractor, messages, tools and round number
+ * @returns {Object} Result promise, gathered tool calls, the round's usage,
+ *   messages, tools and number, and next(messages, tools) to send the following round
+ */
+export function sendRound(options) {
+  const { session, endpoint, headers, buildPayload, createProcessor, collectToolCalls, extractContent, extractUsage, onData, messages, tools, number = 0 } = options;
+  const toolCalls = [];
+  const usage = {};
+  
+  const processChunk = createProcessor({
+    onData,
+    extractContent: (json) => {
+      if (tools) {
+        collectToolCalls(json, toolCalls);
+      }
+      Object.assign(usage, extractUsage(json));
+      return extractContent(json);
+    }
+  });
+  
+  const { result } = session.sendRequest("POST", endpoint, headers, buildPayload(messages, tools), processChunk);
+  return {
+    result,
+    toolCalls,
+    usage,
+    messages,
+    tools,
+    number,
+    next: (nextMessages, nextTools) =>
+      sendRound({ ...options, messages: nextMessages, tools: nextTools, number: number + 1 })
+  };
+}
+
+/**
+ * Runs tool calls one after another
+ * @param {Array} toolCalls - Calls made by the model
+ * @param {Function} runTool - Runs a call and resolves to its result text
+ * @param {Function} isCancelled - Whether the request was stopped
+ * @returns {Promise<Array>} One tool result message per call
+ */
+function runToolCalls(toolCalls, runTool, isCancelled) {
+  return toolCalls.reduce(async (previous, call) => {
+    const results = await previous;
+    const content = isCancelled() ? "The request was stopped." : await runTool(call);
+    return [...results, { role: "tool", toolCallId: call.id, name: call.name, content }];
+  }, Promise.resolve([]));
+}
+
+/**
+ * Waits for a round and, while the model keeps calling tools, runs them and
+ * sends the results back in a new round. The last round offers no tools so
+ * the model has to answer.
+ * @param {Object} round - Round from sendRound
+ * @param {Object} options - Tool runner, cancellation check, usage total to add
+ *   each round to and text of earlier rounds
+ * @returns {Promise<string>} Text streamed over all rounds
+ */
+export async function runToolRounds(round, { runTool, isCancelled, usage, text = "" }) {
+  const roundResult = await round.result;
+  addUsage(usage, round.usage);
+  const content = roundResult?.response || "";
+  const fullText = text + content;
+  const toolCalls = normalizeToolCalls(round.toolCalls);
+  
+  if (toolCalls.length === 0 || isCancelled()) {
+    return fullText;
+  }
+  
+  const results = await runToolCalls(toolCalls, runTool, isCancelled);
+  if (isCancelled()) {
+    return fullText;
+  }
+  
+  const messages = [...round.messages, { role: "assistant", content: stripThinking(content), toolCalls }, ...results];
+  const nextTools = round.number + 1 < MAX_TOOL_ROUNDS ? round.tools : null;
+  return runToolRounds(round.next(messages, nextTools), { runTool, isCancelled, usage, text: fullText });
+}
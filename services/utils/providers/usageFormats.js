@@ -0,0 +1,61 @@
+/**
+ * Token usage reported in streamed responses
+ *
+ * Usage extractors read a response chunk and return the counts it carries as
+ * { inputTokens, outputTokens }, plus generationSeconds when the server times
+ * the generation itself, or null. Within one response, counts from a later
+ * chunk replace earlier ones; the responses of a tool calling exchange add up.
+ */
+
+/**
+ * @returns {Object} Usage with no tokens counted
+ */
+export function createUsage() {
+  return { inputTokens: 0, outputTokens: 0, generationSeconds: 0 };
+}
+
+/**
+ * Adds the usage of one response to a running total
+ * @param {Object} total - Usage updated in place
+ * @param {Object} usage - Usage of a single response
+ */
+export function addUsage(total, usage) {
+  total.inputTokens += usage.inputTokens || 0;
+  total.outputTokens += usage.outputTokens || 0;
+  total.generationSeconds += usage.generationSeconds || 0;
+}
+
+/**
+ * Reads usage from an OpenAI chat completion chunk. It arrives in a final
+ * chunk without choices when the request sets stream_options.include_usage.
+ * @param {Object} json - Response chunk JSON
+ * @returns {Object|null} Usage
+ */
+export function extractOpenAIUsage(json) {
+  if (!json.usage) {
+    return null;
+  }
+
+  return {
+    inputTokens: json.usage.prompt_tokens || 0,
+    outputTokens: json.usage.completion_tokens || 0,
+  };
+}
+
+/**
+ * Reads usage from the final chunk of an Ollama /api/chat or /api/generate response
+ * @param {Object} json - Response chunk JSON
+ * @returns {Object|null} Usage
+ */
+export function extractOllamaUsage(json) {
+  if (!json.done || typeof json.eval_count !== "number") {
+    return null;
+  }
+
+  return {
+    inputTokens: json.prompt_eval_count || 0,
+    outputTokens: json.eval_count,
+    // Durations are reported in nanoseconds
+    generationSeconds: (json.eval_duration || 0) / 1e9,
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Minimal test runner for the service modules, run with gjs from the
+ * repository root: gjs -m tests/<name>.test.js (or tests/run.sh for all)
+ */
+/* global print, printerr */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import System from "system";
+import * as ExtensionManager from "../lib/extensionManager.js";
+
+const tests = [];
+
+/**
+ * Registers a test
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body, may be async
+ */
+export function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * @param {*} condition - Value that must be truthy
+ * @param {string} message - Failure message
+ */
+export function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Compares two values through their JSON form
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Expected value
+ * @param {string} [message] - Failure message
+ */
+export function assertEqual(actual, expected, message = "Values differ") {
+  const actualJson = JSON.stringify(actual);
+  const expectedJson = JSON.stringify(expected);
+  assert(actualJson === expectedJson, `${message}: expected ${expectedJson}, got ${actualJson}`);
+}
+
+/**
+ * @param {Promise} promise - Promise that must reject
+ * @returns {Promise<Error>} The rejection reason
+ */
+export async function rejects(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the promise to reject");
+}
+
+/**
+ * @param {Function} fn - Function that must throw
+ * @returns {Error} The thrown error
+ */
+export function throws(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the function to throw");
+}
+
+/**
+ * Gives the modules settings from the repository's schema, kept in memory
+ * @param {Object} values - String, double or boolean values by key
+ * @returns {Gio.Settings} Settings object sharing the values
+ */
+export function useSettings(values = {}) {
+  const schemaSource = Gio.SettingsSchemaSource.new_from_directory(
+    GLib.build_filenamev([GLib.get_current_dir(), "schemas"]),
+    Gio.SettingsSchemaSource.get_default(),
+    false
+  );
+  const schema = schemaSource.lookup("org.gnome.shell.extensions.gnomelama", false);
+  const backend = Gio.memory_settings_backend_new();
+  // lib/settings.js adds properties to what it gets, so every call needs its own object
+  const createSettings = () => new Gio.Settings({ settings_schema: schema, backend });
+
+  const settings = createSettings();
+  Object.entries(values).forEach(([key, value]) => {
+    settings.set_value(key, new GLib.Variant(schema.get_key(key).get_value_type().dup_string(), value));
+  });
+  ExtensionManager.init({ getSettings: createSettings });
+  return settings;
+}
+
+/**
+ * Runs the registered tests in order on a main loop and exits with status 1
+ * when one of them failed
+ * @param {Function} [cleanup] - Called after the last test, e.g. to stop stub servers
+ */
+export function run(cleanup = null) {
+  const loop = new GLib.MainLoop(null, false);
+  let failed = 0;
+
+  (async () => {
+    for (const { name, fn } of tests) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await fn();
+        print(`ok - ${name}`);
+      } catch (error) {
+        failed++;
+        printerr(`not ok - ${name}\n  ${error.message}`);
+      }
+    }
+    cleanup?.();
+    loop.quit();
+  })();
+
+  loop.run();
+  System.exit(failed > 0 ? 1 : 0);
+}
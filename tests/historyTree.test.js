@@ -0,0 +1,112 @@
+/**
+ * Branching conversation histories: versions of edited messages and the
+ * active path after summaries
+ */
+import { assert, assertEqual, run, test } from "./harness.js";
+import {
+  addChild,
+  createHistoryTree,
+  followHistory,
+  getActivePath,
+  getBranchPosition,
+  selectBranch,
+} from "../services/utils/modelProcessing/historyTree.js";
+
+/**
+ * @param {Array} history - History entries
+ * @returns {Array<string>} Texts of the entries
+ */
+function texts(history) {
+  return history.map((entry) => entry.text);
+}
+
+/**
+ * Builds a tree holding a system prompt and three turns
+ * @returns {Object} Root of the tree and its entries by text
+ */
+function createConversation() {
+  const root = createHistoryTree();
+  const entries = {};
+  ["system", "q1", "a1", "q2", "a2", "q3", "a3"].reduce((parent, text) => {
+    entries[text] = addChild(parent, { text, type: text === "system" ? "system" : "user" });
+    return entries[text];
+  }, root);
+  return { root, entries };
+}
+
+test("addChild appends an entry and selects it", () => {
+  const { root, entries } = createConversation();
+  assertEqual(texts(getActivePath(root)), ["system", "q1", "a1", "q2", "a2", "q3", "a3"]);
+
+  const edited = addChild(entries.a1, { text: "q2 edited", type: "user" });
+  assertEqual(entries.a1.children.length, 2);
+  assertEqual(entries.a1.selected, 1);
+  assertEqual(edited.children, []);
+  assertEqual(texts(getActivePath(root)), ["system", "q1", "a1", "q2 edited"]);
+});
+
+test("getBranchPosition counts the versions of an entry", () => {
+  const { root, entries } = createConversation();
+  const edited = addChild(entries.a1, { text: "q2 edited", type: "user" });
+  const history = getActivePath(root);
+
+  assertEqual(getBranchPosition(root, history, edited), { position: 2, count: 2 });
+  assertEqual(getBranchPosition(root, history, entries.q1), { position: 1, count: 1 });
+  assertEqual(getBranchPosition(root, history, entries.q2), null);
+});
+
+test("selectBranch steps between versions and keeps each version's replies", () => {
+  const { root, entries } = createConversation();
+  const edited = addChild(entries.a1, { text: "q2 edited", type: "user" });
+  addChild(edited, { text: "a2 edited", type: "assistant" });
+
+  const previous = selectBranch(root, getActivePath(root), { entry: edited, step: -1 });
+  assert(previous === entries.q2, "The previous version is the original message");
+  assertEqual(texts(getActivePath(root)), ["system", "q1", "a1", "q2", "a2", "q3", "a3"]);
+
+  assertEqual(selectBranch(root, getActivePath(root), { entry: entries.q2, step: -1 }), null);
+  selectBranch(root, getActivePath(root), { entry: entries.q2, step: 1 });
+  assertEqual(texts(getActivePath(root)), ["system", "q1", "a1", "q2 edited", "a2 edited"]);
+});
+
+test("a summary takes the place of the turns it replaces", () => {
+  const { root, entries } = createConversation();
+  const summary = { text: "summary", type: "summary" };
+  const history = [entries.system, summary, entries.q3, entries.a3];
+
+  followHistory(root, history);
+  assertEqual(texts(getActivePath(root)), ["system", "summary", "q3", "a3"]);
+  assertEqual(texts(entries.system.children), ["summary"]);
+  assertEqual(texts(entries.q1.children), ["a1"], "The replaced turn keeps its own children");
+  assertEqual(texts(summary.children), ["q3"]);
+});
+
+test("editing below a summary leaves the replaced turns unchanged", () => {
+  const { root, entries } = createConversation();
+  const summary = { text: "summary", type: "summary" };
+  followHistory(root, [entries.system, summary, entries.q3, entries.a3]);
+
+  addChild(summary, { text: "q3 edited", type: "user" });
+  assertEqual(texts(summary.children), ["q3", "q3 edited"]);
+  assertEqual(texts(entries.q1.children), ["a1"]);
+});
+
+test("clearing the summary keeps the recent turns on the active path", () => {
+  const { root, entries } = createConversation();
+  const summary = { text: "summary", type: "summary" };
+  followHistory(root, [entries.system, summary, entries.q3, entries.a3]);
+
+  followHistory(root, [entries.system, entries.q3, entries.a3]);
+  assertEqual(texts(getActivePath(root)), ["system", "q3", "a3"]);
+  assertEqual(texts(entries.system.children), ["q3"]);
+  assertEqual(texts(summary.children), ["q3"]);
+});
+
+test("a history tree of a flat list keeps it as the only branch", () => {
+  const history = [{ text: "q", type: "user" }, { text: "a", type: "assistant" }];
+  const root = createHistoryTree(history);
+  assertEqual(texts(getActivePath(root)), ["q", "a"]);
+  assert(getActivePath(root)[0] === history[0], "The entries become the nodes");
+});
+
+run();
@@ -0,0 +1,26 @@
+/**
+ * Ollama provider: which models count as local
+ */
+import { assert, run, test, useSettings } from "./harness.js";
+import { providerInfo } from "../services/providers/ollamaProvider.js";
+
+test("models of the default host on this machine are local", () => {
+  useSettings();
+  assert(providerInfo.isLocal("llama3:8b"), "The default localhost host is local");
+});
+
+test("models of a shared server elsewhere are not local", () => {
+  useSettings({
+    "ollama-hosts": [["lab", "https://ollama.example.com"], ["nas", "http://192.168.1.20:11434"]],
+  });
+  assert(!providerInfo.isLocal("llama3:8b@lab"), "A model of a remote host is not local");
+  assert(providerInfo.isLocal("llama3:8b@nas"), "A model of a host on the local network is local");
+  assert(providerInfo.isLocal("llama3:8b"), "The default host stays local");
+});
+
+test("a remote default host is not local", () => {
+  useSettings({ "api-endpoint": "https://ollama.example.com/api/generate" });
+  assert(!providerInfo.isLocal("llama3:8b"), "A remote default host is not local");
+});
+
+run();
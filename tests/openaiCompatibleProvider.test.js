@@ -0,0 +1,78 @@
+/**
+ * OpenAI-compatible provider against a local stub server
+ */
+import { assert, assertEqual, run, test, useSettings } from "./harness.js";
+import { openAIEvents, startStubServer } from "./stubServer.js";
+import { isLocalUrl } from "../services/httpUtils.js";
+import {
+  fetchModelNames,
+  providerInfo,
+  sendMessageToAPI,
+} from "../services/providers/openaiCompatibleProvider.js";
+
+const server = startStubServer({
+  "/v1/models": { steps: [JSON.stringify({ data: [{ id: "qwen-coder" }, { id: "llama-3-8b" }, {}] })] },
+  "/v1/chat/completions": {
+    contentType: "text/event-stream",
+    steps: [...openAIEvents(["Hel", "lo"]), "data: [DONE]\n\n"],
+  },
+});
+
+test("lists every model of the server, prefixed and sorted", async () => {
+  useSettings({ "openai-compatible-base-url": `${server.url}/v1/` });
+  assertEqual(await fetchModelNames(), ["compat:llama-3-8b", "compat:qwen-coder"]);
+});
+
+test("lists no models until a base URL is set", async () => {
+  useSettings();
+  assertEqual(await fetchModelNames(), []);
+});
+
+test("streams a reply and sends the model name without its prefix", async () => {
+  useSettings({ "openai-compatible-base-url": `${server.url}/v1` });
+  const parts = [];
+  const { result } = await sendMessageToAPI({
+    messageText: "Hi",
+    modelName: "compat:llama-3-8b",
+    onData: (text) => parts.push(text),
+  });
+
+  assertEqual(await result, "Hello");
+  assertEqual(parts.join(""), "Hello");
+  const request = server.requests.find(({ path }) => path === "/v1/chat/completions");
+  const payload = JSON.parse(request.body);
+  assertEqual(payload.model, "llama-3-8b");
+  assert(payload.stream, "The request should be streamed");
+  assertEqual(payload.messages.at(-1), { role: "user", content: "Hi" });
+});
+
+test("is local only for servers on this machine or the local network", () => {
+  useSettings({ "openai-compatible-base-url": server.url });
+  assert(providerInfo.isLocal("compat:model"), "A localhost server is local");
+
+  useSettings({ "openai-compatible-base-url": "https://openrouter.ai/api/v1" });
+  assert(!providerInfo.isLocal("compat:model"), "A hosted server is not local");
+});
+
+test("recognizes loopback and private addresses", () => {
+  [
+    "http://localhost:1234/v1",
+    "http://127.0.0.1:8080",
+    "http://10.0.0.5:8000/v1",
+    "http://172.20.1.2/v1",
+    "http://192.168.1.20:1234/v1",
+    "http://gpu-box.local:8000/v1",
+    "http://[::1]:8080/v1",
+    "http://[fd12:3456::1]/v1",
+  ].forEach((url) => assert(isLocalUrl(url), `${url} is local`));
+
+  [
+    "https://api.together.xyz/v1",
+    "http://172.32.0.1/v1",
+    "http://8.8.8.8/v1",
+    "http://[2001:db8::1]/v1",
+    "not a url",
+  ].forEach((url) => assert(!isLocalUrl(url), `${url} is not local`));
+});
+
+run(() => server.close());
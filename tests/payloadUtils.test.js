@@ -0,0 +1,112 @@
+/**
+ * Request payloads and the reasoning options each model family accepts
+ */
+import { assert, assertEqual, run, test, useSettings } from "./harness.js";
+import { createChatPayload, createOllamaChatPayload } from "../services/utils/providers/payloadUtils.js";
+import { getGenerationParams, toGeminiGenerationConfig } from "../services/utils/providers/generationParams.js";
+import { getModelReasoningChoices } from "../services/utils/providers/reasoningOptions.js";
+
+const messages = [{ role: "user", content: "Hi" }];
+
+test("sends the temperature and max_tokens to chat models", () => {
+  useSettings();
+  const payload = JSON.parse(createChatPayload({
+    modelName: "gpt-4o",
+    messages,
+    temperature: 0.7,
+    generationParams: { max_tokens: 512 },
+  }));
+
+  assertEqual(payload.temperature, 0.7);
+  assertEqual(payload.max_tokens, 512);
+  assert(!("max_completion_tokens" in payload), "Chat models take max_tokens");
+});
+
+test("sends max_completion_tokens and no temperature to reasoning models", () => {
+  useSettings();
+  const payload = JSON.parse(createChatPayload({
+    modelName: "gpt-5",
+    messages,
+    temperature: 0.7,
+    generationParams: { max_tokens: 512, reasoning: "low" },
+    reasoningModel: true,
+  }));
+
+  assert(!("temperature" in payload), "Reasoning models only accept the default temperature");
+  assert(!("max_tokens" in payload), "Reasoning models reject max_tokens");
+  assertEqual(payload.max_completion_tokens, 512);
+  assertEqual(payload.reasoning_effort, "low");
+});
+
+/**
+ * @param {string} providerId - Registry id of the provider
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {Array} Values of the reasoning choices offered for the model
+ */
+function choiceValues(providerId, modelName) {
+  return getModelReasoningChoices(providerId, modelName).map(({ value }) => value);
+}
+
+/**
+ * Stores a reasoning option and builds the generation parameters of a request
+ * @param {string} modelName - Model name as shown in the model menu
+ * @param {string} providerId - Registry id of the provider
+ * @param {*} value - Stored reasoning option
+ * @returns {Object} Generation parameters
+ */
+function paramsWithOption(modelName, providerId, value) {
+  useSettings({ "reasoning-options": JSON.stringify({ [modelName]: value }) });
+  return getGenerationParams(modelName, providerId);
+}
+
+/**
+ * @param {string} modelName - OpenAI model name
+ * @param {Object} generationParams - Generation parameters
+ * @returns {Object} Parsed chat payload
+ */
+function openAIPayload(modelName, generationParams) {
+  return JSON.parse(createChatPayload({ modelName, messages, temperature: 0.7, generationParams }));
+}
+
+test("offers minimal reasoning effort for gpt-5 models only", () => {
+  assertEqual(choiceValues("openai", "gpt-5-mini"), [null, "minimal", "low", "medium", "high"]);
+  assertEqual(choiceValues("openai", "o4-mini"), [null, "low", "medium", "high"]);
+});
+
+test("sends the reasoning effort each OpenAI family accepts", () => {
+  assertEqual(openAIPayload("gpt-5", paramsWithOption("gpt-5", "openai", "minimal")).reasoning_effort, "minimal");
+  assertEqual(openAIPayload("o3", paramsWithOption("o3", "openai", "high")).reasoning_effort, "high");
+  assert(
+    !("reasoning_effort" in openAIPayload("o3", paramsWithOption("o3", "openai", "minimal"))),
+    "A stored minimal effort is not sent to o-series models"
+  );
+});
+
+test("offers turning thinking off for Gemini Flash models only", () => {
+  assert(choiceValues("gemini", "gemini:gemini-2.5-flash").includes(0), "Flash can turn thinking off");
+  assert(!choiceValues("gemini", "gemini:gemini-2.5-pro").includes(0), "Pro cannot turn thinking off");
+});
+
+test("sends the thinking budget each Gemini family accepts", () => {
+  const flash = toGeminiGenerationConfig(paramsWithOption("gemini:gemini-2.5-flash", "gemini", 0), 0.7);
+  assertEqual(flash.thinkingConfig, { thinkingBudget: 0 });
+
+  const pro = toGeminiGenerationConfig(paramsWithOption("gemini:gemini-2.5-pro", "gemini", 8192), 0.7);
+  assertEqual(pro.thinkingConfig, { thinkingBudget: 8192 });
+
+  const storedOff = toGeminiGenerationConfig(paramsWithOption("gemini:gemini-2.5-pro", "gemini", 0), 0.7);
+  assert(!("thinkingConfig" in storedOff), "A stored budget of 0 is not sent to Pro models");
+});
+
+test("turns thinking on and off for Ollama models", () => {
+  assertEqual(choiceValues("ollama", "qwen3:8b"), [null, true, false]);
+  const payload = JSON.parse(createOllamaChatPayload({
+    modelName: "qwen3:8b",
+    messages,
+    temperature: 0.7,
+    generationParams: paramsWithOption("qwen3:8b", "ollama", false),
+  }));
+  assertEqual(payload.think, false);
+});
+
+run();
@@ -0,0 +1,161 @@
+/**
+ * Request timeouts: the watchdog with fake timers, and streamed requests
+ * against a listener that never accepts and a stub server that stalls
+ */
+import { assert, assertEqual, rejects, run, test, throws, useSettings } from "./harness.js";
+import { STALL, openAIEvents, startStubServer, startUnacceptedListener } from "./stubServer.js";
+import { createCancellableSession } from "../services/apiUtils.js";
+import { RequestTimeoutError, createWatchdog } from "../services/requestTimeouts.js";
+import { sendMessageToAPI } from "../services/providers/openaiCompatibleProvider.js";
+
+const TIMEOUTS = { connect: 15, firstToken: 120, idle: 60 };
+
+/**
+ * @returns {Object} Timers that only run when a test fires them
+ */
+function createFakeTimers() {
+  const pending = new Map();
+  let nextId = 1;
+  return {
+    pending,
+    add: (milliseconds, callback) => {
+      pending.set(nextId, { milliseconds, callback });
+      return nextId++;
+    },
+    remove: (timerId) => pending.delete(timerId),
+    fire: () => {
+      const [[timerId, { callback }]] = pending;
+      pending.delete(timerId);
+      callback();
+    },
+  };
+}
+
+["connect", "firstToken", "idle"].forEach((phase) => {
+  test(`the ${phase} timeout fails the request with its own error`, () => {
+    const timers = createFakeTimers();
+    const errors = [];
+    const watchdog = createWatchdog(TIMEOUTS, (error) => errors.push(error), timers);
+
+    watchdog.arm(phase);
+    assertEqual([...timers.pending.values()].map(({ milliseconds }) => milliseconds), [TIMEOUTS[phase] * 1000]);
+    watchdog.check();
+
+    timers.fire();
+    assertEqual(errors.length, 1);
+    assert(errors[0] instanceof RequestTimeoutError, "The error is a RequestTimeoutError");
+    assertEqual(errors[0].phase, phase);
+    assertEqual(errors[0].seconds, TIMEOUTS[phase]);
+    assert(throws(() => watchdog.check()) === errors[0], "check() throws the timeout error");
+  });
+});
+
+test("each phase explains itself differently", () => {
+  const messages = ["connect", "firstToken", "idle"].map((phase) => new RequestTimeoutError(phase, 5).message);
+  assertEqual(new Set(messages).size, 3);
+  assert(messages[2].includes("kept"), "The idle error says the partial text was kept");
+});
+
+test("arming the next phase replaces the running timer", () => {
+  const timers = createFakeTimers();
+  const watchdog = createWatchdog(TIMEOUTS, () => null, timers);
+
+  watchdog.arm("connect");
+  watchdog.arm("firstToken");
+  watchdog.arm("idle");
+  assertEqual([...timers.pending.values()].map(({ milliseconds }) => milliseconds), [60000]);
+
+  watchdog.stop();
+  assertEqual(timers.pending.size, 0);
+});
+
+test("a timeout of 0 waits indefinitely", () => {
+  const timers = createFakeTimers();
+  const watchdog = createWatchdog({ ...TIMEOUTS, idle: 0 }, () => null, timers);
+
+  watchdog.arm("idle");
+  assertEqual(timers.pending.size, 0);
+});
+
+test("no timer runs after a timeout", () => {
+  const timers = createFakeTimers();
+  const watchdog = createWatchdog(TIMEOUTS, () => null, timers);
+
+  watchdog.arm("connect");
+  timers.fire();
+  watchdog.arm("firstToken");
+  assertEqual(timers.pending.size, 0);
+});
+
+const server = startStubServer({
+  "/silent": { contentType: "text/event-stream", steps: [STALL] },
+  "/stalls": { contentType: "text/event-stream", steps: ["data: first\n", 50, "data: second\n", STALL] },
+  "/v1/chat/completions": { contentType: "text/event-stream", steps: [...openAIEvents(["Partial ", "answer"]), STALL] },
+});
+const listener = startUnacceptedListener();
+
+/**
+ * Streams a request from a server
+ * @param {string} url - URL to request
+ * @param {Object} timeouts - Seconds for the connect, firstToken and idle phases
+ * @returns {Promise<Object>} The request's error, the lines received and the
+ *   response the session kept
+ */
+async function streamFrom(url, timeouts) {
+  const session = createCancellableSession({ timeouts });
+  const lines = [];
+  const { result } = session.sendRequest({
+    method: "POST",
+    url,
+    headers: { "Content-Type": "application/json" },
+    body: "{}",
+    processChunk: (line) => {
+      lines.push(line);
+      return line;
+    },
+  });
+
+  const error = await rejects(result);
+  return { error, lines, response: session.getAccumulatedResponse() };
+}
+
+test("a server that never accepts the connection runs into the connect timeout", async () => {
+  const { error, lines } = await streamFrom(`${listener.url}/v1/chat/completions`, { connect: 0.3, firstToken: 5, idle: 5 });
+  assert(error instanceof RequestTimeoutError, `Expected a timeout, got ${error.message}`);
+  assertEqual(error.phase, "connect");
+  assertEqual(lines, []);
+});
+
+test("a server that never answers runs into the first token timeout", async () => {
+  const { error, lines } = await streamFrom(`${server.url}/silent`, { connect: 5, firstToken: 0.3, idle: 5 });
+  assert(error instanceof RequestTimeoutError, `Expected a timeout, got ${error.message}`);
+  assertEqual(error.phase, "firstToken");
+  assertEqual(lines, []);
+});
+
+test("a reply that stalls runs into the idle timeout and keeps the text received", async () => {
+  const { error, lines, response } = await streamFrom(`${server.url}/stalls`, { connect: 5, firstToken: 5, idle: 0.3 });
+  assert(error instanceof RequestTimeoutError, `Expected a timeout, got ${error.message}`);
+  assertEqual(error.phase, "idle");
+  assertEqual(lines, ["data: first", "data: second"]);
+  assertEqual(response, "data: firstdata: second");
+});
+
+test("a provider reply that stalls keeps the streamed text for the conversation", async () => {
+  useSettings({ "openai-compatible-base-url": `${server.url}/v1`, "idle-timeout": 0.3 });
+  const parts = [];
+  const { result } = await sendMessageToAPI({
+    messageText: "Hi",
+    modelName: "compat:model",
+    onData: (text) => parts.push(text),
+  });
+
+  const error = await rejects(result);
+  assertEqual(error.phase, "idle");
+  assertEqual(parts.join(""), "Partial answer");
+});
+
+run(() => {
+  server.close();
+  listener.close();
+});
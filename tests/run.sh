@@ -0,0 +1,12 @@
+#!/bin/sh
+# Runs every test file with gjs from the repository root. The tests start
+# their own stub servers on localhost and read settings from schemas/.
+cd "$(dirname "$0")/.." || exit 1
+glib-compile-schemas schemas/ || exit 1
+
+status=0
+for file in tests/*.test.js; do
+  echo "# $file"
+  gjs -m "$file" || status=1
+done
+exit $status
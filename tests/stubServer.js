@@ -0,0 +1,144 @@
+/**
+ * Local HTTP server standing in for model servers in tests
+ *
+ * Every route answers with a list of steps: strings are sent as they are,
+ * numbers wait that many milliseconds and STALL keeps the connection open
+ * without sending anything more. A STALL before the first string holds back
+ * the response headers too.
+ */
+import Gio from "gi://Gio";
+import GLib from "gi://GLib";
+import Soup from "gi://Soup";
+
+export const STALL = Symbol("stall");
+
+/**
+ * Streams the steps of a route as a chunked response
+ * @param {Soup.ServerMessage} message - Request being answered
+ * @param {Object} route - Response status, content type and steps
+ */
+function answer(message, { status = 200, contentType = "application/json", steps }) {
+  const body = message.get_response_body();
+  message.set_status(status, null);
+  message.get_response_headers().set_encoding(Soup.Encoding.CHUNKED);
+  message.get_response_headers().set_content_type(contentType, null);
+  message.pause();
+
+  const next = (index) => {
+    if (index >= steps.length) {
+      body.complete();
+      message.unpause();
+      return;
+    }
+
+    const step = steps[index];
+    if (step === STALL) return;
+
+    if (typeof step === "number") {
+      GLib.timeout_add(GLib.PRIORITY_DEFAULT, step, () => {
+        next(index + 1);
+        return GLib.SOURCE_REMOVE;
+      });
+      return;
+    }
+
+    body.append_bytes(new GLib.Bytes(imports.byteArray.fromString(step)));
+    message.unpause();
+    next(index + 1);
+  };
+
+  GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+    next(0);
+    return GLib.SOURCE_REMOVE;
+  });
+}
+
+/**
+ * Starts a server on a free localhost port
+ * @param {Object} routes - Routes by path, each as { status, contentType, steps }
+ * @returns {Object} { url, requests, close() } with the server's base URL and
+ *   the requests received as { method, path, body }
+ */
+export function startStubServer(routes) {
+  const server = new Soup.Server();
+  const requests = [];
+
+  server.add_handler(null, (_server, message, path) => {
+    const requestBody = message.get_request_body().flatten().get_data();
+    requests.push({
+      method: message.get_method(),
+      path,
+      body: requestBody ? imports.byteArray.toString(requestBody) : "",
+    });
+
+    const route = routes[path];
+    if (route) {
+      answer(message, route);
+    } else {
+      message.set_status(404, null);
+    }
+  });
+
+  server.listen_local(0, Soup.ServerListenOptions.IPV4_ONLY);
+  const port = server.get_uris()[0].get_port();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => server.disconnect(),
+  };
+}
+
+/**
+ * @returns {Gio.Socket} A new IPv4 TCP socket
+ */
+function createTcpSocket() {
+  const socket = new Gio.Socket({
+    family: Gio.SocketFamily.IPV4,
+    type: Gio.SocketType.STREAM,
+    protocol: Gio.SocketProtocol.TCP,
+  });
+  socket.init(null);
+  return socket;
+}
+
+/**
+ * Starts a localhost listener that never accepts. Its accept queue is filled
+ * right away, so the kernel drops later connection attempts and they never
+ * complete.
+ * @returns {Object} { url, close() } with the listener's base URL
+ */
+export function startUnacceptedListener() {
+  const listener = createTcpSocket();
+  listener.bind(new Gio.InetSocketAddress({
+    address: Gio.InetAddress.new_loopback(Gio.SocketFamily.IPV4),
+    port: 0,
+  }), true);
+  listener.set_listen_backlog(0);
+  listener.listen();
+  const address = listener.get_local_address();
+
+  const fillers = [0, 1, 2].map(() => {
+    const socket = createTcpSocket();
+    socket.set_blocking(false);
+    try {
+      socket.connect(address, null);
+    } catch {
+      // Still connecting, which is all a filler has to do
+    }
+    return socket;
+  });
+
+  return {
+    url: `http://127.0.0.1:${address.get_port()}`,
+    close: () => [...fillers, listener].forEach((socket) => socket.close()),
+  };
+}
+
+/**
+ * @param {Array<string>} texts - Parts of a reply
+ * @returns {Array<string>} OpenAI-style server-sent events streaming the parts
+ */
+export function openAIEvents(texts) {
+  return texts.map((text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+}
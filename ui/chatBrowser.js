@@ -0,0 +1,174 @@
+/**
+ * Saved chats, listed in a submenu of the settings menu
+ */
+import Clutter from "gi://Clutter";
+import GLib from "gi://GLib";
+import Pango from "gi://Pango";
+import St from "gi://St";
+import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
+
+import {
+  deleteConversation,
+  getCurrentConversationId,
+  listConversations,
+  renameConversation,
+} from "../services/messaging.js";
+
+export class ChatBrowser {
+  /**
+   * @param {Object} handlers - Panel actions
+   * @param {Function} handlers.openChat - Shows the saved chat with the given id
+   * @param {Function} handlers.newChat - Starts a new chat
+   */
+  constructor({ openChat, newChat }) {
+    this._openChat = openChat;
+    this._newChat = newChat;
+    this._refreshRequest = 0;
+
+    this.subMenu = new PopupMenu.PopupSubMenuMenuItem("Chats", false);
+    this.subMenu.actor.add_style_class_name("settings-menu-item");
+    this.refresh();
+  }
+
+  /**
+   * Lists the saved chats again
+   * @returns {Promise<void>} Resolves once the list is shown
+   */
+  async refresh() {
+    const request = ++this._refreshRequest;
+    const conversations = await listConversations().catch(() => []);
+
+    // A newer refresh or the menu's removal supersedes this one
+    if (request !== this._refreshRequest || !this.subMenu) return;
+
+    const { menu } = this.subMenu;
+    menu.removeAll();
+    this.subMenu.label.set_text(conversations.length > 0 ? `Chats: ${conversations.length} saved` : "Chats");
+
+    const newChatItem = new PopupMenu.PopupMenuItem("New Chat");
+    newChatItem.connect("activate", () => this._newChat());
+    menu.addMenuItem(newChatItem);
+
+    const currentId = getCurrentConversationId();
+    conversations.forEach((conversation) => {
+      menu.addMenuItem(this._createChatItem(conversation, conversation.id === currentId));
+    });
+  }
+
+  /**
+   * Creates the menu item of a saved chat with its title, model and date, and
+   * buttons to rename and delete it
+   * @param {Object} conversation - Saved chat from listConversations
+   * @param {boolean} isCurrent - Whether the chat is shown in the panel
+   * @returns {PopupMenu.PopupBaseMenuItem} The menu item
+   */
+  _createChatItem(conversation, isCurrent) {
+    const item = new PopupMenu.PopupBaseMenuItem({ style_class: "chat-list-item" });
+    item.setOrnament(isCurrent ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+
+    const textBox = new St.BoxLayout({ vertical: true, x_expand: true, y_align: Clutter.ActorAlign.CENTER });
+    const titleLabel = new St.Label({ text: conversation.title || "Untitled chat", style_class: "chat-list-title" });
+    const detailLabel = new St.Label({ text: ChatBrowser._describe(conversation), style_class: "chat-list-detail" });
+    titleLabel.clutter_text.set_ellipsize(Pango.EllipsizeMode.END);
+    textBox.add_child(titleLabel);
+    textBox.add_child(detailLabel);
+    item.actor.add_child(textBox);
+
+    // Deleting takes a second click, so a chat is not lost to a stray one
+    let confirmingDelete = false;
+    const onDelete = () => {
+      if (!confirmingDelete) {
+        confirmingDelete = true;
+        detailLabel.set_text("Click again to delete this chat");
+        return;
+      }
+      deleteConversation(conversation.id);
+      if (isCurrent) {
+        this._newChat();
+      }
+      this.refresh();
+    };
+
+    item.actor.add_child(ChatBrowser._createActionButtons([
+      { icon: "document-edit-symbolic", onClick: () => this._startRename(textBox, titleLabel, conversation) },
+      { icon: "user-trash-symbolic", onClick: onDelete },
+    ]));
+
+    item.connect("activate", () => this._openChat(conversation.id));
+    return item;
+  }
+
+  /**
+   * Replaces the title of a chat item with an entry; Enter or leaving the
+   * entry saves the new title and Escape keeps the old one
+   * @param {St.BoxLayout} textBox - Box holding the title label
+   * @param {St.Label} titleLabel - The title label
+   * @param {Object} conversation - Saved chat
+   */
+  _startRename(textBox, titleLabel, conversation) {
+    const entry = new St.Entry({
+      text: titleLabel.get_text(),
+      can_focus: true,
+      x_expand: true,
+      style: "font-size: inherit; background-color: #3a3a3a;",
+    });
+    let finished = false;
+
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      const renamed = save ? renameConversation(conversation.id, entry.get_text()) : Promise.resolve();
+      renamed.then(() => this.refresh());
+    };
+
+    entry.clutter_text.connect("key-press-event", (actor, event) => {
+      const key = event.get_key_symbol();
+      if (key === Clutter.KEY_Return || key === Clutter.KEY_KP_Enter || key === Clutter.KEY_Escape) {
+        finish(key !== Clutter.KEY_Escape);
+        return Clutter.EVENT_STOP;
+      }
+      return Clutter.EVENT_PROPAGATE;
+    });
+    entry.connect("key-focus-out", () => finish(true));
+
+    titleLabel.hide();
+    textBox.insert_child_at_index(entry, 0);
+    entry.grab_key_focus();
+    entry.clutter_text.set_selection(0, -1);
+  }
+
+  /**
+   * @param {Array} actions - Buttons as { icon, onClick }
+   * @returns {St.BoxLayout} Box with an icon button per action
+   */
+  static _createActionButtons(actions) {
+    const box = new St.BoxLayout({ style_class: "model-menu-actions", y_align: Clutter.ActorAlign.CENTER });
+    actions.forEach(({ icon, onClick }) => {
+      const button = new St.Button({
+        style_class: "model-menu-action-button",
+        child: new St.Icon({ icon_name: icon, style_class: "popup-menu-icon" }),
+      });
+      button.connect("clicked", onClick);
+      box.add_child(button);
+    });
+    return box;
+  }
+
+  /**
+   * @param {Object} conversation - Saved chat
+   * @returns {string} The chat's model and when it was last updated
+   */
+  static _describe({ model, updated }) {
+    const date = updated ? GLib.DateTime.new_from_unix_local(updated).format("%e %b %Y, %H:%M").trim() : "";
+    return [model, date].filter(Boolean).join(" · ");
+  }
+
+  /**
+   * Stops list refreshes still reading the saved chats; the submenu is
+   * destroyed with the settings menu
+   */
+  destroy() {
+    this._refreshRequest += 1;
+    this.subMenu = null;
+  }
+}
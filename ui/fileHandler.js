@@ -2,6 +2,7 @@
  * File handling functionality for the panel UI
  */
 import { getSettings } from "../lib/settings.js";
+import { getModelCapabilities } from "../services/messaging.js";
 import * as LayoutManager from "./layoutManager.js";
 import { DialogSystem } from "./alertManager.js";
 import { getPopupManager } from "./popupManager.js";
@@ -147,6 +148,9 @@ export class FileHandler {
     // Check if this is an image file - images get their own usage type
     let usage;
     if (this._isImageContent(content)) {
+      if (!(await this._confirmImageForModel(fileName))) {
+        return;
+      }
       usage = "image";
     } else {
       // Ask user how they want to use this file
@@ -176,6 +180,28 @@ export class FileHandler {
     this._fileUsageTypes.set(fileName, usage);
   }
 
+  /**
+   * Warns when an image is attached while the selected model cannot see images
+   * @returns {Promise<boolean>} Whether to attach the image
+   */
+  async _confirmImageForModel(fileName) {
+    const modelName = getSettings().get_string("default-model");
+    const capabilities = await getModelCapabilities(modelName).catch(() => null);
+    if (!capabilities || capabilities.vision !== false) {
+      return true;
+    }
+
+    const action = await this._dialogSystem.showDialog({
+      title: "Model Without Vision",
+      message: `${modelName} cannot see images, so it only receives the path of "${fileName}". Models that can see images carry a vision badge in the model menu.`,
+      buttons: [
+        { label: "Cancel", action: "cancel" },
+        { label: "Attach Anyway", action: "attach" }
+      ]
+    });
+    return action === "attach";
+  }
+
   /**
    * Callback when a file is removed
    */
@@ -341,7 +367,7 @@ export class FileHandler {
     if (modifiableFiles.length > 0) {
       const jsonData = {
         instructions:
-          "When modifiable files are provided, you MUST modify at least one of them and respond in JSON format. If you cannot or will not modify any files, respond in plain text explaining why. The JSON response must start with a 'summary' key describing the changes. Only include actually modified files under 'files'.",
+          "When modifiable files are provided, you MUST modify at least one of them and respond in JSON format. The JSON response must start with a 'summary' key describing the changes. Only include actually modified files under 'files', each with 'filename' and its complete new 'content'. If you cannot or will not modify any files, explain why in 'summary' and leave 'files' empty.",
         prompt: "",
         files: modifiableFiles,
       };
@@ -361,6 +387,39 @@ export class FileHandler {
     }
   }
 
+  /**
+   * Get the attached files, so they can be kept with the conversation
+   * @returns {Array} Files as { fileName, content, path, usage }
+   */
+  getAttachedFiles() {
+    return [...this._loadedFiles.entries()].map(([fileName, content]) => ({
+      fileName,
+      content,
+      path: this._filePaths.get(fileName) || null,
+      usage: this._fileUsageTypes?.get(fileName) || "modifiable",
+    }));
+  }
+
+  /**
+   * Replaces the attached files with those kept with a conversation
+   * @param {Array} files - Files as returned by getAttachedFiles
+   */
+  restoreAttachedFiles(files) {
+    this.cleanupFileContentBox();
+    if (!this._fileUsageTypes) {
+      this._fileUsageTypes = new Map();
+    }
+
+    files.forEach(({ fileName, content, path, usage }) => {
+      this._fileBoxRenderer.displayFileContentBox(content, fileName, usage);
+      this._loadedFiles.set(fileName, content);
+      this._fileUsageTypes.set(fileName, usage);
+      if (path) {
+        this._filePaths.set(fileName, path);
+      }
+    });
+  }
+
   /**
    * Check if any files are loaded
    */
@@ -368,6 +427,15 @@ export class FileHandler {
     return this._loadedFiles.size > 0;
   }
 
+  /**
+   * Check if any loaded file may be modified by the AI
+   */
+  hasModifiableFiles() {
+    return [...this._loadedFiles.keys()].some(
+      (fileName) => (this._fileUsageTypes?.get(fileName) || "modifiable") === "modifiable"
+    );
+  }
+
   /**
    * Refreshes the formatting of all file boxes
    */
@@ -21,6 +21,9 @@ import Gio from "gi://Gio";
 import {
   clearConversationHistory,
   getConversationHistory,
+  getShownConversationId,
+  openConversation,
+  saveConversationFiles,
 } from "../services/messaging.js";
 
 import * as UIComponents from "./uiComponents.js";
@@ -38,6 +41,7 @@ export const Indicator = GObject.registerClass(
         "org.gnome.shell.extensions.gnomelama"
       );
       this._context = null;
+      this._openChatRequest = 0;
       
       // Recursion protection for layout updates
       this._isUpdatingLayout = false;
@@ -152,6 +156,12 @@ export const Indicator = GObject.registerClass(
       // Finalize UI setup
       this._finalizeUISetup();
       this._updateLayout();
+
+      // Show the chat that was open before the shell restarted or the extension was disabled
+      const shownConversationId = getShownConversationId();
+      if (shownConversationId) {
+        this._openChat(shownConversationId);
+      }
     }
 
     _initializeComponents() {
@@ -204,6 +214,10 @@ export const Indicator = GObject.registerClass(
 
       // Provide the conversation history getter to the settings manager
       this._settingsManager.setConversationHistoryGetter(() => getConversationHistory());
+      this._settingsManager.setChatHandlers({
+        openChat: (id) => this._openChat(id),
+        newChat: () => this._clearHistory(),
+      });
 
       // Connect the paste handler to input field key press events
       this._inputField.clutter_text.connect("key-press-event", (actor, event) => {
@@ -228,6 +242,9 @@ export const Indicator = GObject.registerClass(
         pasteHandler: this._pasteHandler,
         visualContainerManager: this._visualContainerManager,
       });
+      MessageProcessor.setEditHandler((entry, text, userContainer) =>
+        this._messageSender.sendEditedMessage(entry, text, userContainer)
+      );
 
       // Initialize model manager with clear callback
       this._modelManager = new ModelManager(
@@ -440,6 +457,8 @@ export const Indicator = GObject.registerClass(
     }
 
     _clearHistory() {
+      this._openChatRequest += 1;
+
       // Remove temporary messages and clear output
       MessageProcessor.removeTemporaryMessages(this._outputContainer);
       MessageProcessor.clearOutput(this._outputContainer);
@@ -454,6 +473,45 @@ export const Indicator = GObject.registerClass(
       }
     }
 
+    /**
+     * Shows a saved chat in place of the current one
+     * @param {string} id - Conversation id
+     * @returns {Promise<void>} Resolves once the chat is shown
+     * @private
+     */
+    async _openChat(id) {
+      if (this._messageSender.isProcessingMessage()) {
+        this._messageSender.stopMessage();
+      }
+
+      // Files attached but not sent stay with the chat they were attached in
+      saveConversationFiles(this._fileHandler.getAttachedFiles());
+
+      const request = ++this._openChatRequest;
+      const conversation = await openConversation(id);
+      // Another chat, a new chat or closing the panel supersedes this one
+      if (request !== this._openChatRequest || !this._fileHandler) return;
+
+      MessageProcessor.removeTemporaryMessages(this._outputContainer);
+      if (!conversation) {
+        MessageProcessor.addTemporaryMessage(this._outputContainer, "The chat could not be opened");
+        return;
+      }
+
+      MessageProcessor.clearOutput(this._outputContainer);
+      MessageProcessor.renderConversation(this._outputContainer, conversation.messages);
+      this._fileHandler.restoreAttachedFiles(conversation.files);
+      this._context = null;
+
+      if (this._pasteHandler) {
+        this._pasteHandler.resetState();
+      }
+
+      const lastEntry = conversation.messages[conversation.messages.length - 1];
+      PanelElements.updateInputFieldHint(this._inputField, !lastEntry || lastEntry.type === "user");
+      this._updateLayout(true);
+    }
+
     _updateLayout(forceFullUpdate = false) {
       // Prevent recursion
       if (this._isUpdatingLayout) {
@@ -599,6 +657,13 @@ export const Indicator = GObject.registerClass(
         this._visualContainerManager = null;
       }
 
+      // Files attached but not sent are kept with the chat
+      if (this._fileHandler) {
+        saveConversationFiles(this._fileHandler.getAttachedFiles());
+      }
+
+      MessageProcessor.setEditHandler(null);
+
       // Destroy components in reverse order
       ['_fileHandler', '_modelManager', '_settingsManager', '_messageSender', '_pasteHandler']
         .forEach(component => {
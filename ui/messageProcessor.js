@@ -4,13 +4,24 @@ import GLib from "gi://GLib";
 import St from "gi://St";
 import { parseMessageContent } from "../lib/messageFormatter.js";
 import { getSettings } from "../lib/settings.js";
-import { sendMessage } from "../services/messaging.js";
+import { splitThinking } from "../lib/thinking.js";
+import {
+  getConversationHistory,
+  getMessageVersions,
+  isProcessingMessage,
+  sendMessage,
+  switchMessageVersion,
+  updateConversationSummary,
+} from "../services/messaging.js";
 import * as UIComponents from "./uiComponents.js";
 import * as PanelElements from "./panelWidgets.js";
 
 const temporaryMessages = new Set();
+let summaryMessage = null;
+const toolCallCards = new Map();
 let lastMessageHadFiles = false;
 const FilePathRegistry = new Map();
+let editHandler = null;
 
 /**
  * @param {object} options - Processing options
@@ -22,6 +33,7 @@ const FilePathRegistry = new Map();
  * @param {Function} options.onResponseStart - Called when response starts
  * @param {Function} options.onResponseEnd - Called when response ends
  * @param {boolean} options.skipAppendUserMessage - Skip appending user message (when already added)
+ * @param {Object} [options.responseSchema] - JSON Schema the reply must follow
  * @returns {Promise<void>}
  */
 export async function processUserMessage({
@@ -33,6 +45,7 @@ export async function processUserMessage({
   onResponseStart,
   onResponseEnd,
   skipAppendUserMessage = false,
+  responseSchema = null,
 }) {
   // Check if this message has files attached
   const hasFilesAttached = 
@@ -56,9 +69,12 @@ export async function processUserMessage({
 
   // Prepare for response handling
   let responseContainer = null;
+  let responseStarted = false;
   let fullResponse = "";
   let errorOccurred = false;
   let userMessageAppended = skipAppendUserMessage;
+  let fallbackModel = null;
+  let thinkingView = createThinkingView(outputContainer);
 
   try {
     // If message contains raw JSON with files, we'll use the displayMessage for UI
@@ -68,7 +84,9 @@ export async function processUserMessage({
 
     await sendMessage({
       message: messageToSend,
+      displayText: displayMessage,
       context,
+      responseSchema,
       onData: (chunk) => {
         if (!chunk) return;
 
@@ -82,26 +100,72 @@ export async function processUserMessage({
 
         fullResponse += chunk;
 
-        if (!responseContainer) {
+        if (!responseStarted) {
+          // Drops a "retrying" notice once the reply arrives
+          removeTemporaryMessages(outputContainer);
+          if (fallbackModel) {
+            outputContainer.add_child(UIComponents.createAnsweredByLabel(fallbackModel));
+            fallbackModel = null;
+          }
           if (onResponseStart) onResponseStart();
-          responseContainer = PanelElements.createResponseContainer(bgColor);
-          outputContainer.add_child(responseContainer);
+          responseStarted = true;
         }
 
-        updateResponseContainer(responseContainer, fullResponse);
+        // Reasoning streams into its own section; the bubble waits for the answer
+        const { thinking, answer, inProgress } = splitThinking(fullResponse);
+        thinkingView.show(thinking, inProgress || !answer);
+
+        if (answer) {
+          if (!responseContainer) {
+            responseContainer = PanelElements.createResponseContainer(bgColor);
+            outputContainer.add_child(responseContainer);
+          }
+          updateResponseContainer(responseContainer, answer);
+        }
+        PanelElements.scrollToBottom(scrollView);
+      },
+      onRetry: ({ status, seconds }) => {
+        const reason = status === 429 ? "Rate limited" : `Server error (HTTP ${status})`;
+        addTemporaryMessage(
+          outputContainer,
+          seconds > 0 ? `${reason}, retrying in ${seconds}s…` : `${reason}, retrying…`
+        );
+        PanelElements.scrollToBottom(scrollView);
+      },
+      onFallback: ({ failedModel, nextModel }) => {
+        fallbackModel = nextModel;
+        addTemporaryMessage(outputContainer, `${failedModel} failed, trying ${nextModel}…`);
+        PanelElements.scrollToBottom(scrollView);
+      },
+      onToolEvent: (event) => {
+        showToolEvent(outputContainer, event);
+
+        // Text after a tool call goes into a new message below its card
+        thinkingView.finish();
+        thinkingView = createThinkingView(outputContainer);
+        responseContainer = null;
+        responseStarted = false;
+        fullResponse = "";
+        PanelElements.scrollToBottom(scrollView);
+      },
+      onUsage: (usage) => {
+        outputContainer.add_child(UIComponents.createUsageFooter(usage));
         PanelElements.scrollToBottom(scrollView);
       },
-      displayMessage: (text, type) => {
+      displayMessage: (text, type, entry) => {
         // Custom display message handler that skips system messages
         if (type === "system") {
           // System messages are now kept in history but not displayed in UI
           
+        } else if (type === "summary") {
+          appendSummaryMessage(outputContainer, text);
+          PanelElements.scrollToBottom(scrollView);
         } else if (type === "user" && !userMessageAppended) {
           // Display the clean version (displayMessage) for user messages with files
           const textToDisplay = (hasFilesAttached) ? messageToDisplay : text;
           
           // Then append user message if not already done
-          appendUserMessage(outputContainer, textToDisplay);
+          appendUserMessage(outputContainer, textToDisplay, entry);
           userMessageAppended = true;
           PanelElements.scrollToBottom(scrollView);
         }
@@ -109,6 +173,7 @@ export async function processUserMessage({
       },
     });
 
+    thinkingView.finish();
     if (!errorOccurred && onResponseEnd) onResponseEnd();
   } catch (error) {
     // Error handling without console.error
@@ -119,23 +184,173 @@ export async function processUserMessage({
     addTemporaryMessage(outputContainer, errorMessage);
     PanelElements.scrollToBottom(scrollView);
 
+    thinkingView.finish();
     if (onResponseEnd) onResponseEnd();
   } finally {
     if (errorOccurred && onResponseEnd) onResponseEnd();
   }
 }
 
+/**
+ * Shows the reasoning of a reply as set by "thinking-display", with the time
+ * spent thinking in the header
+ * @param {St.BoxLayout} outputContainer - The output container
+ * @returns {Object} show(thinking, inProgress) and finish()
+ */
+function createThinkingView(outputContainer) {
+  const mode = getSettings().get_string("thinking-display");
+  let thinkingSection = null;
+  let startTime = 0;
+  let timerId = null;
+  let done = false;
+
+  const seconds = () => Math.round((GLib.get_monotonic_time() - startTime) / 1000000);
+  const stopTimer = () => {
+    if (timerId) {
+      GLib.source_remove(timerId);
+      timerId = null;
+    }
+  };
+
+  const start = () => {
+    startTime = GLib.get_monotonic_time();
+    thinkingSection = UIComponents.createThinkingSection(mode === "expanded");
+    thinkingSection.section.connect("destroy", stopTimer);
+    outputContainer.add_child(thinkingSection.section);
+
+    // The header counts the seconds while no text arrives
+    timerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+      thinkingSection.update({ seconds: seconds(), done: false });
+      return GLib.SOURCE_CONTINUE;
+    });
+  };
+
+  const finish = () => {
+    stopTimer();
+    if (thinkingSection && !done) {
+      done = true;
+      thinkingSection.update({ seconds: seconds(), done: true });
+    }
+  };
+
+  const show = (thinking, inProgress) => {
+    if (mode === "hide" || !thinking || done) {
+      return;
+    }
+    if (!thinkingSection) {
+      start();
+    }
+    thinkingSection.update({ thinking, seconds: seconds(), done: false });
+    if (!inProgress) {
+      finish();
+    }
+  };
+
+  return { show, finish };
+}
+
+/**
+ * Shows the conversation summary, replacing the card of an earlier summary
+ * @param {St.BoxLayout} outputContainer - The output container
+ * @param {string} summary - The summary text
+ */
+function appendSummaryMessage(outputContainer, summary) {
+  if (summaryMessage && summaryMessage.get_parent() === outputContainer) {
+    summaryMessage.destroy();
+  }
+
+  summaryMessage = UIComponents.createSummaryContainer(summary, updateConversationSummary);
+  outputContainer.add_child(summaryMessage);
+}
+
+/**
+ * Shows a tool call as a card, or updates the card of a call already shown
+ * @param {St.BoxLayout} outputContainer - The output container
+ * @param {Object} event - Tool call with its status and result
+ */
+function showToolEvent(outputContainer, event) {
+  const existing = toolCallCards.get(event.id);
+  if (existing && existing.card.get_parent() === outputContainer) {
+    existing.update(event);
+    return;
+  }
+
+  const toolCard = UIComponents.createToolCallCard(event);
+  toolCallCards.set(event.id, toolCard);
+  outputContainer.add_child(toolCard.card);
+}
+
 /**
  * @param {St.BoxLayout} outputContainer - The output container
  * @param {string} message - The message to append
+ * @param {Object} [entry] - History entry of the message, which makes it editable
  */
-function appendUserMessage(outputContainer, message) {
+function appendUserMessage(outputContainer, message, entry = null) {
   const userContainer = UIComponents.createMessageContainer(
     message,
     true,
     Clutter.ActorAlign.END
   );
   outputContainer.add_child(userContainer);
+
+  if (entry) {
+    userContainer.add_child(UIComponents.createMessageActions({
+      versions: getMessageVersions(entry),
+      onEdit: () => showMessageEditor(userContainer, message, entry),
+      onSwitch: (step) => showMessageVersion({ outputContainer, userContainer, entry, step }),
+    }));
+  }
+}
+
+/**
+ * Sets what sends an edited message
+ * @param {Function} handler - Called with the history entry, the edited text
+ *   and the message container
+ */
+export function setEditHandler(handler) {
+  editHandler = handler;
+}
+
+/**
+ * Replaces the content of a user message with an editor
+ * @param {St.BoxLayout} userContainer - The message container
+ * @param {string} message - The message as displayed
+ * @param {Object} entry - History entry of the message
+ */
+function showMessageEditor(userContainer, message, entry) {
+  if (isProcessingMessage()) return;
+
+  const content = userContainer.get_children();
+  const editor = UIComponents.createMessageEditor(message.replace(" ｢files attached｣", ""), {
+    onSend: (text) => {
+      if (text.trim() && editHandler) {
+        editHandler(entry, text, userContainer);
+      }
+    },
+    onCancel: () => {
+      editor.destroy();
+      content.forEach((child) => child.show());
+    },
+  });
+
+  content.forEach((child) => child.hide());
+  userContainer.add_child(editor);
+}
+
+/**
+ * Shows another version of a user message with the replies it received
+ * @param {Object} options - The output container, the message container,
+ *   its history entry and the step, -1 or 1
+ */
+function showMessageVersion({ outputContainer, userContainer, entry, step }) {
+  if (isProcessingMessage()) return;
+
+  const version = switchMessageVersion(entry, step);
+  if (!version) return;
+
+  removeMessagesFrom(outputContainer, userContainer);
+  const history = getConversationHistory();
+  renderConversation(outputContainer, history.slice(history.indexOf(version)));
 }
 
 /**
@@ -347,7 +562,13 @@ export function clearOutput(outputContainer) {
         child.style_class.includes("user-message") ||
         child.style_class.includes("ai-message") ||
         child.style_class.includes("assistant-message") ||
-        child.style_class.includes("system-message"))
+        child.style_class.includes("system-message") ||
+        child.style_class.includes("summary-message") ||
+        child.style_class.includes("tool-call-card") ||
+        child.style_class.includes("thinking-section") ||
+        child.style_class.includes("model-action-card") ||
+        child.style_class.includes("answered-by-label") ||
+        child.style_class.includes("usage-footer"))
     ) {
       child.destroy();
     }
@@ -355,6 +576,63 @@ export function clearOutput(outputContainer) {
 
   // Clear any references to temporary messages
   temporaryMessages.clear();
+  summaryMessage = null;
+  toolCallCards.clear();
+}
+
+/**
+ * Removes a message and everything shown after it
+ * @param {St.BoxLayout} outputContainer - The output container
+ * @param {Clutter.Actor} firstMessage - The first message to remove
+ */
+export function removeMessagesFrom(outputContainer, firstMessage) {
+  const children = outputContainer.get_children();
+  const index = children.indexOf(firstMessage);
+  if (index < 0) return;
+
+  const removed = new Set(children.slice(index));
+  removed.forEach((child) => {
+    temporaryMessages.delete(child);
+    child.destroy();
+  });
+  if (removed.has(summaryMessage)) {
+    summaryMessage = null;
+  }
+  toolCallCards.forEach((toolCard, id) => {
+    if (removed.has(toolCard.card)) {
+      toolCallCards.delete(id);
+    }
+  });
+}
+
+/**
+ * Shows the messages of a saved conversation. Tool calls, reasoning and
+ * usage are not kept in the history, so only the messages come back.
+ * @param {St.BoxLayout} outputContainer - The output container
+ * @param {Array} history - History entries of the conversation
+ */
+export function renderConversation(outputContainer, history) {
+  const bgColor = getSettings().get_string("ai-message-color");
+
+  history.forEach((entry) => {
+    if (entry.type === "summary") {
+      appendSummaryMessage(outputContainer, entry.text);
+    } else if (entry.type === "user") {
+      const text = entry.display || entry.text;
+      lastMessageHadFiles = text.includes("｢files attached｣");
+      // Apply buttons of earlier replies look up the paths of the sent files
+      try {
+        registerFilePaths(entry.text);
+      } catch {
+        // A prompt without modifiable files
+      }
+      appendUserMessage(outputContainer, text, entry);
+    } else if (entry.type === "assistant") {
+      const responseContainer = PanelElements.createResponseContainer(bgColor);
+      outputContainer.add_child(responseContainer);
+      updateResponseContainer(responseContainer, entry.text);
+    }
+  });
 }
 
 /**
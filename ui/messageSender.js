@@ -14,9 +14,12 @@ import * as PanelElements from "./panelWidgets.js";
 import {
   getConversationHistory,
   getLastError,
+  getLastTrimmedTurns,
   isProcessingMessage as isServiceProcessingMessage,
+  rewindConversation,
   stopAiMessage,
 } from "../services/messaging.js";
+import { FILE_EDIT_SCHEMA } from "../services/utils/providers/responseFormats.js";
 
 import * as LayoutManager from "./layoutManager.js";
 
@@ -229,6 +232,9 @@ export class MessageSender {
       return { messageToSend: userInput, displayMessage: userInput };
     }
 
+    // Replies that may edit files follow the file edit schema where the provider supports it
+    const responseSchema = this._fileHandler.hasModifiableFiles() ? FILE_EDIT_SCHEMA : null;
+
     try {
       // Remove marker and parse JSON
       const jsonContentOnly = fileContent.replace(" ｢files attached｣", "");
@@ -240,26 +246,52 @@ export class MessageSender {
       
       return {
         messageToSend: JSON.stringify(jsonData, null, 2),
-        displayMessage: userInput + " ｢files attached｣"
+        displayMessage: userInput + " ｢files attached｣",
+        responseSchema
       };
     } catch {
       // If parsing fails, append content without marker
       return {
         messageToSend: userInput + "\n\n" + fileContent.replace(" ｢files attached｣", ""),
-        displayMessage: userInput + " ｢files attached｣"
+        displayMessage: userInput + " ｢files attached｣",
+        responseSchema
       };
     }
   }
 
   /**
-   * Handle pre-send UI updates
+   * Prepare the content of an edited message, keeping the files sent with it
+   * @param {Object} entry - History entry of the message
+   * @param {string} userInput - Edited text
+   * @returns {Object} Object containing messageToSend and displayMessage
    */
-  _handlePreSendUpdates() {
-    // Clean up file boxes if fileHandler is available
-    if (this._fileHandler) {
-      this._fileHandler.cleanupFileContentBox();
+  static _prepareEditedContent(entry, userInput) {
+    if (!entry.display) {
+      return { messageToSend: userInput, displayMessage: userInput };
     }
 
+    const displayMessage = userInput + " ｢files attached｣";
+    try {
+      // Modifiable files are sent as JSON holding the prompt
+      const jsonData = JSON.parse(entry.text);
+      jsonData.prompt = userInput;
+      return {
+        messageToSend: JSON.stringify(jsonData, null, 2),
+        displayMessage,
+        responseSchema: Array.isArray(jsonData.files) && jsonData.files.length > 0 ? FILE_EDIT_SCHEMA : null,
+      };
+    } catch {
+      // Other files follow the prompt
+      const previousInput = entry.display.replace(" ｢files attached｣", "");
+      const fileContent = entry.text.startsWith(previousInput) ? entry.text.slice(previousInput.length) : "";
+      return { messageToSend: userInput + fileContent, displayMessage };
+    }
+  }
+
+  /**
+   * Handle pre-send UI updates
+   */
+  _handlePreSendUpdates() {
     // Update input field hint to "Your response..." immediately after sending
     PanelElements.updateInputFieldHint(this._inputField, false);
 
@@ -284,6 +316,12 @@ export class MessageSender {
       const errorMessage = this._formatErrorMessage(serviceError, error);
       MessageProcessor.removeTemporaryMessages(this._outputContainer);
       MessageProcessor.addTemporaryMessage(this._outputContainer, errorMessage);
+    } else if (getLastTrimmedTurns() > 0) {
+      const trimmed = getLastTrimmedTurns();
+      MessageProcessor.addTemporaryMessage(
+        this._outputContainer,
+        `${trimmed} ${trimmed === 1 ? "turn" : "turns"} trimmed to fit the model's context window`
+      );
     }
 
     // Give focus back to input field
@@ -392,7 +430,12 @@ export class MessageSender {
     // Reset input field height after clearing text
     this._resetInputFieldHeight();
     
-    const { messageToSend, displayMessage } = this._prepareMessageContent(userInput);
+    const content = this._prepareMessageContent(userInput);
+
+    // Clean up file boxes if fileHandler is available
+    if (this._fileHandler) {
+      this._fileHandler.cleanupFileContentBox();
+    }
 
     // Update UI for sending
     this._handlePreSendUpdates();
@@ -400,6 +443,41 @@ export class MessageSender {
       this._pasteHandler.onMessageSent();
     }
 
+    await this._processMessage(content);
+  }
+
+  /**
+   * Send an edited version of an earlier message. The conversation continues
+   * from the new version; the earlier one stays available in its bubble.
+   * @param {Object} entry - History entry of the edited message
+   * @param {string} text - Edited text
+   * @param {St.BoxLayout} userContainer - Container showing the message
+   */
+  async sendEditedMessage(entry, text, userContainer) {
+    const userInput = text.trim();
+    if (!userInput || this.isProcessingMessage()) {
+      return;
+    }
+
+    if (!rewindConversation(entry)) {
+      MessageProcessor.addTemporaryMessage(
+        this._outputContainer,
+        "This message was replaced by the conversation summary and can no longer be edited"
+      );
+      return;
+    }
+
+    MessageProcessor.removeMessagesFrom(this._outputContainer, userContainer);
+    this._handlePreSendUpdates();
+    await this._processMessage(MessageSender._prepareEditedContent(entry, userInput));
+  }
+
+  /**
+   * Send prepared message content and show the reply
+   * @param {Object} content - messageToSend, displayMessage and responseSchema
+   * @private
+   */
+  async _processMessage({ messageToSend, displayMessage, responseSchema }) {
     try {
       MessageProcessor.removeTemporaryMessages(this._outputContainer);
       await MessageProcessor.processUserMessage({
@@ -411,6 +489,7 @@ export class MessageSender {
         onResponseStart: () => this._updateSendButtonState(false),
         onResponseEnd: () => this._handlePostSendUpdates(),
         skipAppendUserMessage: false,
+        responseSchema,
       });
     } catch (error) {
       this._handlePostSendUpdates(error);
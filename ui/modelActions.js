@@ -0,0 +1,341 @@
+/**
+ * Ollama model actions of the model menu: pulling, inspecting and deleting models
+ *
+ * The model menu closes as soon as an action starts, so progress, details and
+ * confirmations are shown as cards in the chat output.
+ */
+import Clutter from "gi://Clutter";
+import Pango from "gi://Pango";
+import St from "gi://St";
+import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
+import { deleteModel, pullModel, showModel } from "../services/ollamaModels.js";
+
+// Longest license text shown in a details card
+const MAX_LICENSE_LENGTH = 2000;
+
+/**
+ * Creates a wrapped, selectable label for a model action card
+ * @param {string} text - Label text
+ * @param {string} [styleClass] - Style class of the label
+ * @returns {St.Label} The label
+ */
+function createCardLabel(text, styleClass = "model-action-detail") {
+  const label = new St.Label({ text, style_class: styleClass, x_expand: true });
+  label.clutter_text.set_line_wrap(true);
+  label.clutter_text.set_line_wrap_mode(Pango.WrapMode.WORD_CHAR);
+  label.clutter_text.set_ellipsize(Pango.EllipsizeMode.NONE);
+  label.clutter_text.set_selectable(true);
+  return label;
+}
+
+/**
+ * Creates a card with a title in the chat output
+ * @param {St.BoxLayout} outputContainer - Container for output messages
+ * @param {string} title - Card title
+ * @returns {Object} The card, its title label and a destroyed() check
+ */
+function addCard(outputContainer, title) {
+  const card = new St.BoxLayout({
+    vertical: true,
+    style_class: "model-action-card",
+    x_expand: true,
+  });
+  const titleLabel = createCardLabel(title, "model-action-title");
+  card.add_child(titleLabel);
+
+  // Requests outlive the card when the chat is cleared
+  let isDestroyed = false;
+  card.connect("destroy", () => {
+    isDestroyed = true;
+  });
+
+  outputContainer.add_child(card);
+  return { card, titleLabel, destroyed: () => isDestroyed };
+}
+
+/**
+ * Creates a row of text buttons
+ * @param {Array} buttons - Buttons as { label, destructive, onClick }, where
+ *   onClick receives the row
+ * @returns {St.BoxLayout} The row
+ */
+function createButtonRow(buttons) {
+  const row = new St.BoxLayout({ style_class: "model-action-buttons" });
+  buttons.forEach(({ label, destructive = false, onClick }) => {
+    const button = new St.Button({
+      label,
+      style_class: destructive ? "model-action-button destructive" : "model-action-button",
+    });
+    button.connect("clicked", () => onClick(row));
+    row.add_child(button);
+  });
+  return row;
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in MB or GB
+ */
+function formatBytes(bytes) {
+  return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(2)} GB` : `${Math.round(bytes / 1e6)} MB`;
+}
+
+/**
+ * Creates the menu item for pulling a model by name
+ * @param {Function} onPull - Receives the entered model name
+ * @returns {PopupMenu.PopupBaseMenuItem} The menu item
+ */
+export function createPullMenuItem(onPull) {
+  const item = new PopupMenu.PopupBaseMenuItem({
+    reactive: false,
+    can_focus: false,
+    style_class: "model-menu-pull-item",
+  });
+
+  const entry = new St.Entry({
+    hint_text: "Pull an Ollama model, e.g. qwen3:8b",
+    style_class: "model-pull-entry",
+    can_focus: true,
+    x_expand: true,
+    y_align: Clutter.ActorAlign.CENTER,
+  });
+  const pullButton = new St.Button({ label: "Pull", style_class: "model-action-button" });
+
+  const pull = () => {
+    const name = entry.get_text().trim();
+    if (name) {
+      entry.set_text("");
+      onPull(name);
+    }
+  };
+  pullButton.connect("clicked", pull);
+  entry.clutter_text.connect("activate", pull);
+
+  item.actor.add_child(entry);
+  item.actor.add_child(pullButton);
+  return item;
+}
+
+/**
+ * Creates the info and delete buttons shown next to an Ollama model
+ * @param {Object} handlers - onInfo() and onDelete() click handlers
+ * @returns {St.BoxLayout} The buttons
+ */
+export function createModelActionButtons({ onInfo, onDelete }) {
+  const box = new St.BoxLayout({ style_class: "model-menu-actions", y_align: Clutter.ActorAlign.CENTER });
+
+  [
+    { icon: "dialog-information-symbolic", onClick: onInfo },
+    { icon: "user-trash-symbolic", onClick: onDelete },
+  ].forEach(({ icon, onClick }) => {
+    const button = new St.Button({
+      style_class: "model-menu-action-button",
+      child: new St.Icon({ icon_name: icon, style_class: "popup-menu-icon" }),
+    });
+    button.connect("clicked", onClick);
+    box.add_child(button);
+  });
+
+  return box;
+}
+
+/**
+ * Describes where a loaded model sits in memory
+ * @param {number} size - Size of the loaded model in bytes
+ * @param {number} sizeVram - Part of it in video memory in bytes
+ * @returns {string} Size and memory type
+ */
+function formatMemory(size, sizeVram) {
+  if (sizeVram >= size) {
+    return `${formatBytes(size)} in VRAM`;
+  }
+
+  return sizeVram > 0 ?
+    `${formatBytes(size)}, ${Math.round((sizeVram / size) * 100)}% in VRAM` :
+    `${formatBytes(size)} in RAM`;
+}
+
+/**
+ * Describes when a loaded model will be unloaded
+ * @param {number|null} expiresAt - Expiry time in milliseconds since the epoch
+ * @returns {string} Time left, empty when unknown
+ */
+function formatExpiry(expiresAt) {
+  if (!expiresAt) {
+    return "";
+  }
+
+  const minutes = Math.ceil((expiresAt - Date.now()) / 60000);
+  if (minutes > 60 * 24 * 365) {
+    // keep_alive -1 expires in the far future
+    return "stays loaded";
+  }
+  if (minutes <= 0) {
+    return "unloading";
+  }
+
+  return minutes >= 120 ? `unloads in ${Math.round(minutes / 60)} h` : `unloads in ${minutes} min`;
+}
+
+/**
+ * Creates the menu item of a model loaded into memory, with a button to unload it
+ * @param {Object} model - Loaded model from listRunningModels
+ * @param {Function} onUnload - Called when the unload button is clicked
+ * @returns {PopupMenu.PopupBaseMenuItem} The menu item
+ */
+export function createRunningModelItem({ name, size, sizeVram, expiresAt }, onUnload) {
+  const item = new PopupMenu.PopupBaseMenuItem({
+    reactive: false,
+    can_focus: false,
+    style_class: "model-menu-item model-menu-running-item",
+  });
+
+  const labels = new St.BoxLayout({ vertical: true, x_expand: true, y_align: Clutter.ActorAlign.CENTER });
+  labels.add_child(new St.Label({ text: name }));
+  labels.add_child(new St.Label({
+    text: [formatMemory(size, sizeVram), formatExpiry(expiresAt)].filter(Boolean).join(" · "),
+    style_class: "model-menu-running-details",
+  }));
+
+  const unloadButton = new St.Button({
+    style_class: "model-menu-action-button",
+    child: new St.Icon({ icon_name: "media-eject-symbolic", style_class: "popup-menu-icon" }),
+    y_align: Clutter.ActorAlign.CENTER,
+  });
+  unloadButton.connect("clicked", onUnload);
+
+  item.actor.add_child(labels);
+  item.actor.add_child(unloadButton);
+  return item;
+}
+
+/**
+ * Pulls a model, showing a card with a progress bar and a cancel button
+ * @param {St.BoxLayout} outputContainer - Container for output messages
+ * @param {string} modelName - Model to pull, optionally suffixed with @host
+ * @param {Function} onPulled - Called once the model is installed
+ */
+export function startModelPull(outputContainer, modelName, onPulled) {
+  const { card, titleLabel, destroyed } = addCard(outputContainer, `Pulling ${modelName}`);
+  const statusLabel = createCardLabel("Starting…");
+  const bar = new St.Bin({ style_class: "model-pull-bar", x_expand: true });
+  const fill = new St.Widget({ style_class: "model-pull-bar-fill", x_align: Clutter.ActorAlign.START });
+  bar.set_child(fill);
+
+  const pull = pullModel(modelName, ({ status, completed, total }) => {
+    if (destroyed()) return;
+    statusLabel.set_text(total > 0 ? `${status}: ${formatBytes(completed)} of ${formatBytes(total)}` : status);
+    // Steps without a download keep the bar where it was
+    if (total > 0) {
+      fill.set_width(Math.round(bar.get_width() * Math.min(completed / total, 1)));
+    }
+  });
+
+  const buttons = createButtonRow([{ label: "Cancel", onClick: () => pull.cancel() }]);
+  [statusLabel, bar, buttons].forEach((child) => card.add_child(child));
+  card.connect("destroy", () => pull.cancel());
+
+  pull.result
+    .then((pulled) => {
+      if (destroyed()) return;
+      titleLabel.set_text(pulled ? `Pulled ${modelName}` : `Stopped pulling ${modelName}`);
+      statusLabel.set_text(pulled ? "The model is ready in the model menu." : "The download was cancelled.");
+      bar.hide();
+      buttons.hide();
+      if (pulled) onPulled();
+    })
+    .catch((error) => {
+      if (destroyed()) return;
+      titleLabel.set_text(`Could not pull ${modelName}`);
+      statusLabel.set_text(error.message || "Unknown error");
+      bar.hide();
+      buttons.hide();
+    });
+}
+
+/**
+ * Formats the summary line of a model's details
+ * @param {Object} details - Details from showModel
+ * @returns {string} Family, size, quantization, format and context length
+ */
+function formatModelSummary(details) {
+  return [
+    details.family && `Family: ${details.family}`,
+    details.parameterSize && `${details.parameterSize} parameters`,
+    details.quantization && `Quantization: ${details.quantization}`,
+    details.format && `Format: ${details.format}`,
+    details.contextLength && `Context: ${details.contextLength} tokens`,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Shows a card with the details of an installed model
+ * @param {St.BoxLayout} outputContainer - Container for output messages
+ * @param {string} modelName - Model to inspect, optionally suffixed with @host
+ */
+export async function showModelDetails(outputContainer, modelName) {
+  const { card, destroyed } = addCard(outputContainer, modelName);
+  const loadingLabel = createCardLabel("Loading details…");
+  card.add_child(loadingLabel);
+
+  let details;
+  try {
+    details = await showModel(modelName);
+  } catch (error) {
+    if (!destroyed()) loadingLabel.set_text(`Could not read the model details: ${error.message || "Unknown error"}`);
+    return;
+  }
+  if (destroyed()) return;
+
+  loadingLabel.set_text(formatModelSummary(details));
+  const license = details.license.length > MAX_LICENSE_LENGTH ?
+    `${details.license.slice(0, MAX_LICENSE_LENGTH).trimEnd()}…` :
+    details.license;
+
+  [
+    { title: "Parameters", text: details.parameters.trim() },
+    { title: "Template", text: details.template.trim() },
+    { title: "License", text: license.trim() },
+  ]
+    .filter(({ text }) => text)
+    .forEach(({ title, text }) => {
+      card.add_child(createCardLabel(title, "model-action-heading"));
+      card.add_child(createCardLabel(text, "model-action-detail model-action-code"));
+    });
+
+  card.add_child(createButtonRow([{ label: "Close", onClick: () => card.destroy() }]));
+}
+
+/**
+ * Asks in a card whether to delete a model and deletes it when confirmed
+ * @param {St.BoxLayout} outputContainer - Container for output messages
+ * @param {string} modelName - Model to delete, optionally suffixed with @host
+ * @param {Function} onDeleted - Called once the model is deleted
+ */
+export function confirmModelDeletion(outputContainer, modelName, onDeleted) {
+  const { card, titleLabel, destroyed } = addCard(outputContainer, `Delete ${modelName}?`);
+  const statusLabel = createCardLabel("The model files are removed from the Ollama server.");
+
+  const remove = async (buttons) => {
+    buttons.hide();
+    statusLabel.set_text("Deleting…");
+    try {
+      await deleteModel(modelName);
+      onDeleted();
+      if (destroyed()) return;
+      titleLabel.set_text(`Deleted ${modelName}`);
+      statusLabel.set_text("The model was removed from the model menu.");
+    } catch (error) {
+      if (destroyed()) return;
+      titleLabel.set_text(`Could not delete ${modelName}`);
+      statusLabel.set_text(error.message || "Unknown error");
+    }
+  };
+
+  card.add_child(statusLabel);
+  card.add_child(createButtonRow([
+    { label: "Delete", destructive: true, onClick: remove },
+    { label: "Cancel", onClick: () => card.destroy() },
+  ]));
+}
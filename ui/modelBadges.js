@@ -0,0 +1,63 @@
+/**
+ * Capability badges shown next to the models in the model menu
+ */
+import Clutter from "gi://Clutter";
+import St from "gi://St";
+import { getModelCapabilities } from "../services/messaging.js";
+
+/**
+ * Formats a context length for a badge
+ * @param {number} tokens - Context length in tokens
+ * @returns {string} Length such as "128K" or "1M"
+ */
+function formatContextLength(tokens) {
+  if (tokens >= 1000000) {
+    return `${Math.round(tokens / 100000) / 10}M`;
+  }
+  return `${Math.round(tokens / 1000)}K`;
+}
+
+/**
+ * Lists the badges for a model's capabilities
+ * @param {Object} capabilities - Capabilities from getModelCapabilities
+ * @returns {Array} Badges as { text, styleClass }
+ */
+function listBadges({ vision, tools, thinking, contextLength }) {
+  return [
+    vision && { text: "vision", styleClass: "model-badge" },
+    tools && { text: "tools", styleClass: "model-badge" },
+    // Models that cannot run commands or edit files are worth pointing out
+    tools === false && { text: "no tools", styleClass: "model-badge model-badge-missing" },
+    thinking && { text: "thinking", styleClass: "model-badge" },
+    contextLength && { text: formatContextLength(contextLength), styleClass: "model-badge" },
+  ].filter(Boolean);
+}
+
+/**
+ * Creates the badge row of a model. The row starts empty and fills in once
+ * the provider has looked the model up, so the menu opens without waiting.
+ * @param {string} modelName - Model name as shown in the model menu
+ * @returns {St.BoxLayout} The badge row
+ */
+export function createCapabilityBadges(modelName) {
+  const box = new St.BoxLayout({ style_class: "model-badges", y_align: Clutter.ActorAlign.CENTER });
+
+  // The menu may be rebuilt before the lookup finishes
+  let isDestroyed = false;
+  box.connect("destroy", () => {
+    isDestroyed = true;
+  });
+
+  getModelCapabilities(modelName)
+    .then((capabilities) => {
+      if (isDestroyed || !capabilities) return;
+      listBadges(capabilities).forEach(({ text, styleClass }) => {
+        box.add_child(new St.Label({ text, style_class: styleClass, y_align: Clutter.ActorAlign.CENTER }));
+      });
+    })
+    .catch(() => {
+      // Models without known capabilities simply show no badges
+    });
+
+  return box;
+}
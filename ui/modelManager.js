@@ -9,7 +9,17 @@ import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
 
 // Import from services
 import { fetchModelNames, setModel } from "../services/messaging.js";
+import { listRunningModels, preloadModel, unloadModel } from "../services/ollamaModels.js";
 import { getPopupManager } from "./popupManager.js";
+import { createCapabilityBadges } from "./modelBadges.js";
+import {
+  confirmModelDeletion,
+  createModelActionButtons,
+  createPullMenuItem,
+  createRunningModelItem,
+  showModelDetails,
+  startModelPull,
+} from "./modelActions.js";
 
 export class ModelManager {
   constructor(
@@ -38,6 +48,7 @@ export class ModelManager {
     }
 
     this._modelMenu = null;
+    this._runningModelsSection = null;
     this._modelButton = null;
     this._modelButtonLabel = null;
     this._stageEventId = null;
@@ -114,6 +125,7 @@ export class ModelManager {
         // Notify popup manager when opening
         this._popupManager.notifyOpen('model');
         this._positionModelMenu();
+        this._refreshRunningModels();
         
         // Apply styling after positioning to ensure accurate shadow detection
         GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
@@ -321,21 +333,21 @@ export class ModelManager {
   async _populateModelMenu() {
     this._updateModelLabel("Fetching models");
 
-    const { models, error } = await fetchModelNames();
+    const { models, groups, warnings, error } = await fetchModelNames();
 
-    if (error) {
-      this._updateModelLabel("No models found");
-      this._addTemporaryMessage(error);
-      return;
-    }
+    // Servers that could not be reached, while others still provided models
+    warnings.forEach((warning) => this._addTemporaryMessage(warning));
 
-    if (models.length === 0) {
+    this._modelMenu.removeAll();
+
+    if (error || models.length === 0) {
       this._updateModelLabel("No models found");
+      if (error) this._addTemporaryMessage(error);
+      // Ollama models can still be pulled into an empty menu
+      this._addOllamaMenuItems();
       return;
     }
 
-    this._modelMenu.removeAll();
-
     const defaultModel = this._settings.get_string("default-model");
     const selectedModel = models.includes(defaultModel)
       ? defaultModel
@@ -343,49 +355,141 @@ export class ModelManager {
     this._updateModelLabel(selectedModel);
     setModel(selectedModel);
 
-    models.forEach((name) => {
-      // Create a custom menu item
-      const menuItem = new PopupMenu.PopupBaseMenuItem({
-        style_class: "model-menu-item",
+    // Only label the sections when models come from more than one provider
+    const showHeaders = groups.length > 1;
+
+    groups.forEach((group) => {
+      if (showHeaders) {
+        this._modelMenu.addMenuItem(ModelManager._createProviderHeader(group.displayName));
+      }
+
+      group.models.forEach((name) => {
+        this._modelMenu.addMenuItem(this._createModelMenuItem(name, selectedModel, group.id === "ollama"));
       });
+    });
+
+    this._addOllamaMenuItems();
+  }
+
+  _addOllamaMenuItems() {
+    this._modelMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
-      // Add a spacer for the ornament
-      const ornamentSpace = new St.Bin({
-        style_class: "popup-menu-ornament",
-        x_expand: false,
+    // Filled with the loaded models each time the menu opens
+    this._runningModelsSection = new PopupMenu.PopupMenuSection();
+    this._modelMenu.addMenuItem(this._runningModelsSection);
+
+    this._modelMenu.addMenuItem(createPullMenuItem((name) => {
+      this._modelMenu.close();
+      startModelPull(this._outputContainer, name, () => this._populateModelMenu());
+    }));
+  }
+
+  async _refreshRunningModels() {
+    const section = this._runningModelsSection;
+    if (!section) return;
+
+    const models = await listRunningModels();
+
+    // Skip sections replaced while the hosts answered
+    if (section !== this._runningModelsSection) return;
+
+    section.removeAll();
+    if (models.length > 0) {
+      section.addMenuItem(ModelManager._createProviderHeader("Loaded in memory"));
+      models.forEach((model) => {
+        section.addMenuItem(createRunningModelItem(model, () => this._unloadModel(model.name)));
       });
-      menuItem.actor.add_child(ornamentSpace);
+    }
+
+    if (this._modelMenu.isOpen) {
+      this._positionModelMenu();
+    }
+  }
+
+  async _unloadModel(name) {
+    try {
+      await unloadModel(name);
+    } catch (error) {
+      this._addTemporaryMessage(`Could not unload ${name}: ${error.message || "Unknown error"}`);
+    }
+    this._refreshRunningModels();
+  }
+
+  static _createProviderHeader(displayName) {
+    const header = new PopupMenu.PopupBaseMenuItem({
+      reactive: false,
+      can_focus: false,
+      style_class: "model-menu-section-header",
+    });
 
-      // Add the label
-      const label = new St.Label({
-        text: name,
-        y_expand: true,
+    header.actor.add_child(
+      new St.Label({
+        text: displayName,
         y_align: Clutter.ActorAlign.CENTER,
-      });
-      menuItem.actor.add_child(label);
+      })
+    );
 
-      // Store ornament bin reference for selection
-      menuItem._ornamentBin = ornamentSpace;
+    return header;
+  }
 
-      // Add the dot ornament for the selected model
-      if (name === selectedModel) {
-        const dot = new St.Icon({
-          icon_name: "media-record-symbolic",
-          style_class: "popup-menu-icon model-selection-dot",
-        });
-        ornamentSpace.set_child(dot);
-      }
+  _createModelMenuItem(name, selectedModel, isOllamaModel) {
+    // Create a custom menu item
+    const menuItem = new PopupMenu.PopupBaseMenuItem({
+      style_class: "model-menu-item",
+    });
+
+    // Add a spacer for the ornament
+    const ornamentSpace = new St.Bin({
+      style_class: "popup-menu-ornament",
+      x_expand: false,
+    });
+    menuItem.actor.add_child(ornamentSpace);
+
+    // Add the label
+    const label = new St.Label({
+      text: name,
+      x_expand: true,
+      y_expand: true,
+      y_align: Clutter.ActorAlign.CENTER,
+    });
+    menuItem.actor.add_child(label);
+    menuItem.actor.add_child(createCapabilityBadges(name));
 
-      // Connect activation handler
-      menuItem.connect("activate", () => {
-        this._selectCustomModel(name, menuItem);
+    // Installed Ollama models can be inspected and deleted from the menu
+    if (isOllamaModel) {
+      menuItem.actor.add_child(createModelActionButtons({
+        onInfo: () => {
+          this._modelMenu.close();
+          showModelDetails(this._outputContainer, name);
+        },
+        onDelete: () => {
+          this._modelMenu.close();
+          confirmModelDeletion(this._outputContainer, name, () => this._populateModelMenu());
+        },
+      }));
+    }
+
+    // Store ornament bin reference for selection
+    menuItem._ornamentBin = ornamentSpace;
+
+    // Add the dot ornament for the selected model
+    if (name === selectedModel) {
+      const dot = new St.Icon({
+        icon_name: "media-record-symbolic",
+        style_class: "popup-menu-icon model-selection-dot",
       });
+      ornamentSpace.set_child(dot);
+    }
 
-      this._modelMenu.addMenuItem(menuItem);
+    // Connect activation handler
+    menuItem.connect("activate", () => {
+      this._selectCustomModel(name, menuItem, isOllamaModel);
     });
+
+    return menuItem;
   }
 
-  _selectCustomModel(name, menuItem) {
+  _selectCustomModel(name, menuItem, isOllamaModel) {
     // Clear all ornaments
     this._modelMenu.box.get_children().forEach((child) => {
       if (child.actor && child._ornamentBin) {
@@ -407,6 +511,12 @@ export class ModelManager {
     this._modelMenu.close();
     this._stopAiMessageCallback();
 
+    if (isOllamaModel && this._settings.get_boolean("preload-selected-model")) {
+      preloadModel(name).catch(() => {
+        // The model still loads with the first message
+      });
+    }
+
     // Get the panel indicator to update the model button
     const extensionUuid = "linux-copilot@TheoThePerson";
     const extension = Main.panel.statusArea[extensionUuid];
@@ -499,6 +609,7 @@ export class ModelManager {
       this._modelMenu.destroy();
       this._modelMenu = null;
     }
+    this._runningModelsSection = null;
   }
 
   static _getFileHandler() {
@@ -3,12 +3,18 @@
  */
 import Clutter from "gi://Clutter";
 import St from "gi://St";
+import Gio from "gi://Gio";
 import GLib from "gi://GLib";
 import * as Main from "resource:///org/gnome/shell/ui/main.js";
 import * as PopupMenu from "resource:///org/gnome/shell/ui/popupMenu.js";
 import { spawnCommandLine } from 'resource:///org/gnome/shell/misc/util.js';
 import Pango from "gi://Pango";
 import { getPopupManager } from "./popupManager.js";
+import { ChatBrowser } from "./chatBrowser.js";
+import { getProfiles } from "../services/utils/providers/generationParams.js";
+import { getReasoningOption, setReasoningOption } from "../services/utils/providers/reasoningOptions.js";
+import { getReasoningChoices } from "../services/messaging.js";
+import { getIndexStatus, rebuildIndex, watchIndexStatus } from "../services/documentIndex.js";
 
 export class SettingsManager {
   constructor(settings, inputButtonsContainer, visualContainerManager = null) {
@@ -21,9 +27,16 @@ export class SettingsManager {
     this._stageEventId = null;
     this._promptEntry = null;
     this._temperatureEntry = null;
+    this._profileSubMenu = null;
+    this._reasoningSubMenu = null;
+    this._reasoningRequest = 0;
+    this._documentsSubMenu = null;
+    this._retrievalSwitch = null;
     this._currentPrompt = "";
     this._currentTemperature = 0.7;
     this._getConversationHistory = null;
+    this._chatHandlers = null;
+    this._chatBrowser = null;
     this._aboutMenu = null;
     this._aboutEventId = null;
     
@@ -41,8 +54,16 @@ export class SettingsManager {
         if (!this._isEditingTemperature) {
           this._updateTemperatureEntry();
         }
+      } else if (key === "generation-profiles" || key === "active-generation-profile") {
+        this._populateProfileSubMenu();
+      } else if (key === "default-model" || key === "reasoning-options") {
+        this._populateReasoningSubMenu();
+      } else if (["retrieval-enabled", "retrieval-folder", "embedding-model"].includes(key)) {
+        this._updateDocumentsStatus();
       }
     });
+
+    this._unwatchIndexStatus = watchIndexStatus(() => this._updateDocumentsStatus());
     
     // Initialize current values
     this._currentPrompt = settings.get_string("model-prompt") || "";
@@ -167,6 +188,14 @@ export class SettingsManager {
     this._getConversationHistory = getHistoryFunc;
   }
 
+  /**
+   * Sets the panel actions behind the chat list
+   * @param {Object} handlers - openChat(id) and newChat()
+   */
+  setChatHandlers(handlers) {
+    this._chatHandlers = handlers;
+  }
+
   async _setupSettingsMenu() {
     this._settingsMenu = new PopupMenu.PopupMenu(
       new St.Button(),
@@ -194,6 +223,8 @@ export class SettingsManager {
         // Update the UI values when the menu opens
         this._updatePromptEntry();
         this._updateTemperatureEntry();
+        this._populateReasoningSubMenu();
+        this._chatBrowser?.refresh();
         
         // Apply styling after positioning to ensure accurate shadow detection
         GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
@@ -523,9 +554,41 @@ export class SettingsManager {
     promptItem.actor.add_child(promptLabel);
     promptItem.actor.add_child(promptEntry);
     this._settingsMenu.addMenuItem(promptItem);
+
+    // Generation profile selector
+    this._profileSubMenu = new PopupMenu.PopupSubMenuMenuItem("", false);
+    this._profileSubMenu.actor.add_style_class_name('settings-menu-item');
+    this._settingsMenu.addMenuItem(this._profileSubMenu);
+    this._populateProfileSubMenu();
+
+    // Reasoning effort of the selected model, shown for reasoning models only
+    this._reasoningSubMenu = new PopupMenu.PopupSubMenuMenuItem("", false);
+    this._reasoningSubMenu.actor.add_style_class_name('settings-menu-item');
+    this._reasoningSubMenu.actor.hide();
+    this._settingsMenu.addMenuItem(this._reasoningSubMenu);
+    this._populateReasoningSubMenu();
+
+    // Document index status and controls
+    this._documentsSubMenu = new PopupMenu.PopupSubMenuMenuItem("", false);
+    this._documentsSubMenu.actor.add_style_class_name('settings-menu-item');
+    this._settingsMenu.addMenuItem(this._documentsSubMenu);
+    this._populateDocumentsSubMenu();
     
     this._settingsMenu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
+    // Saved chats
+    this._chatBrowser = new ChatBrowser({
+      openChat: (id) => {
+        this._settingsMenu.close();
+        this._chatHandlers?.openChat(id);
+      },
+      newChat: () => {
+        this._settingsMenu.close();
+        this._chatHandlers?.newChat();
+      },
+    });
+    this._settingsMenu.addMenuItem(this._chatBrowser.subMenu);
+
     // Export Chat button
     const exportMenuItem = new PopupMenu.PopupBaseMenuItem({
       style_class: 'settings-menu-item',
@@ -559,6 +622,128 @@ export class SettingsManager {
     });
   }
 
+  _populateProfileSubMenu() {
+    if (!this._profileSubMenu) return;
+
+    const activeProfile = this._settings.get_string("active-generation-profile");
+    const profileNames = Object.keys(getProfiles(this._settings));
+
+    this._profileSubMenu.label.set_text(`Profile: ${activeProfile || "Automatic"}`);
+
+    const subMenu = this._profileSubMenu.menu;
+    subMenu.removeAll();
+
+    // "Automatic" picks the profile assigned to the current model or provider
+    const choices = [{ value: "", title: "Automatic" }]
+      .concat(profileNames.map((name) => ({ value: name, title: name })));
+
+    choices.forEach(({ value, title }) => {
+      const item = new PopupMenu.PopupMenuItem(title);
+      item.setOrnament(value === activeProfile ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+      item.connect("activate", () => {
+        this._settings.set_string("active-generation-profile", value);
+      });
+      subMenu.addMenuItem(item);
+    });
+  }
+
+  async _populateReasoningSubMenu() {
+    if (!this._reasoningSubMenu) return;
+
+    const modelName = this._settings.get_string("default-model");
+    const request = ++this._reasoningRequest;
+    const choices = modelName ? await getReasoningChoices(modelName).catch(() => null) : null;
+
+    // A newer refresh or the menu's removal supersedes this one
+    if (request !== this._reasoningRequest || !this._reasoningSubMenu) return;
+
+    if (!choices) {
+      this._reasoningSubMenu.actor.hide();
+      return;
+    }
+
+    const current = getReasoningOption(modelName, this._settings);
+    const selected = choices.find(({ value }) => value === current) || choices[0];
+    this._reasoningSubMenu.label.set_text(`Reasoning: ${selected.title}`);
+
+    const subMenu = this._reasoningSubMenu.menu;
+    subMenu.removeAll();
+    choices.forEach(({ value, title }) => {
+      const item = new PopupMenu.PopupMenuItem(title);
+      item.setOrnament(value === selected.value ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+      item.connect("activate", () => {
+        setReasoningOption(modelName, value, this._settings);
+      });
+      subMenu.addMenuItem(item);
+    });
+    this._reasoningSubMenu.actor.show();
+  }
+
+  _populateDocumentsSubMenu() {
+    const subMenu = this._documentsSubMenu.menu;
+    subMenu.removeAll();
+
+    this._retrievalSwitch = new PopupMenu.PopupSwitchMenuItem(
+      "Use in Prompts",
+      this._settings.get_boolean("retrieval-enabled")
+    );
+    this._retrievalSwitch.connect("toggled", (item, state) => {
+      this._settings.set_boolean("retrieval-enabled", state);
+    });
+    subMenu.addMenuItem(this._retrievalSwitch);
+
+    const folderItem = new PopupMenu.PopupMenuItem("Choose Folder…");
+    folderItem.connect("activate", () => this._chooseDocumentsFolder());
+    subMenu.addMenuItem(folderItem);
+
+    const reindexItem = new PopupMenu.PopupMenuItem("Re-index Now");
+    reindexItem.connect("activate", () => rebuildIndex());
+    subMenu.addMenuItem(reindexItem);
+
+    this._updateDocumentsStatus();
+  }
+
+  _updateDocumentsStatus() {
+    if (!this._documentsSubMenu) return;
+
+    this._documentsSubMenu.label.set_text(`Documents: ${SettingsManager._describeIndexStatus(getIndexStatus())}`);
+    this._retrievalSwitch.setToggleState(this._settings.get_boolean("retrieval-enabled"));
+  }
+
+  static _describeIndexStatus(status) {
+    if (status.state === "indexing") {
+      return `indexing ${status.done} of ${status.total} files`;
+    }
+    if (status.state === "error") {
+      return `indexing failed, ${status.error}`;
+    }
+    if (!status.current) {
+      return "not indexed";
+    }
+    return `${status.files} files, ${status.chunks} excerpts`;
+  }
+
+  _chooseDocumentsFolder() {
+    try {
+      const subprocess = new Gio.Subprocess({
+        argv: ["zenity", "--file-selection", "--directory", "--title=Select a folder to index"],
+        flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE,
+      });
+      subprocess.init(null);
+      subprocess.communicate_utf8_async(null, null, (source, res) => {
+        const [, stdout] = source.communicate_utf8_finish(res);
+        const folder = (stdout || "").trim();
+        // Cancelling the dialog leaves the folder as it was
+        if (folder) {
+          this._settings.set_string("retrieval-folder", folder);
+          rebuildIndex();
+        }
+      });
+    } catch {
+      Main.notify("Could not open the folder selector. Set the folder in the extension preferences.");
+    }
+  }
+
   _openPromptDialog() {
     this._settingsMenu.close();
     
@@ -736,6 +921,8 @@ export class SettingsManager {
           prefix = "User: ";
         } else if (msg.type === "system") {
           prefix = "System prompt: ";
+        } else if (msg.type === "summary") {
+          prefix = "Summary of earlier messages: ";
         } else {
           prefix = "Assistant: ";
         }
@@ -833,6 +1020,11 @@ rm "${tempFilePath}"
       this._settingsChangedId = null;
     }
 
+    if (this._unwatchIndexStatus) {
+      this._unwatchIndexStatus();
+      this._unwatchIndexStatus = null;
+    }
+
     // Unregister from popup manager
     this._popupManager.unregisterPopup('settings');
     this._popupManager.unregisterPopup('about');
@@ -840,6 +1032,12 @@ rm "${tempFilePath}"
     if (this._settingsMenu) {
       this._settingsMenu.destroy();
       this._settingsMenu = null;
+      this._profileSubMenu = null;
+      this._reasoningSubMenu = null;
+      this._documentsSubMenu = null;
+      this._retrievalSwitch = null;
+      this._chatBrowser?.destroy();
+      this._chatBrowser = null;
     }
 
     if (this._aboutMenu) {
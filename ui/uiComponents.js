@@ -6,6 +6,7 @@ import Clutter from "gi://Clutter";
 import GLib from "gi://GLib";
 import Pango from "gi://Pango";
 import St from "gi://St";
+import { formatCost } from "../lib/pricing.js";
 import { getSettings } from "../lib/settings.js";
 
 /**
@@ -296,6 +297,361 @@ export function createCodeContainer(code, language = "code") {
   return codeBox;
 }
 
+/**
+ * Creates the header of the summary card with its edit button
+ * @returns {Object} Header box and edit button
+ */
+function createSummaryHeader() {
+  const headerBox = new St.BoxLayout({
+    style_class: "code-header",
+    style:
+      "background-color: #333; padding: 6px 8px; border-radius: 8px 8px 0 0;",
+    x_expand: true,
+  });
+
+  const titleLabel = new St.Label({
+    text: "Summary of earlier messages (what the model remembers)",
+    style_class: "code-language",
+    style: "color: #ddd; font-size: 12px; font-weight: bold;",
+    x_expand: true,
+  });
+  headerBox.add_child(titleLabel);
+
+  const editButton = new St.Button({
+    style_class: "code-button",
+    style:
+      "background-color: #555; color: white; border-radius: 3px; padding: 2px 8px; font-size: 10px;",
+    label: "Edit",
+  });
+  headerBox.add_child(editButton);
+
+  return { headerBox, editButton };
+}
+
+/**
+ * Creates the card showing the conversation summary the model works from
+ * @param {string} summary - The summary text
+ * @param {Function} onSave - Called with the edited text when the user saves
+ * @returns {St.BoxLayout} The created summary container
+ */
+export function createSummaryContainer(summary, onSave) {
+  const summaryBox = new St.BoxLayout({
+    vertical: true,
+    style_class: "summary-message",
+    style:
+      "background-color: #222; border: 1px dashed #666; border-radius: 8px; margin: 8px 0;",
+    x_expand: true,
+  });
+
+  const { headerBox, editButton } = createSummaryHeader();
+  summaryBox.add_child(headerBox);
+
+  const contentBox = new St.Entry({
+    style_class: "code-content file-content-full",
+    x_expand: true,
+    can_focus: true
+  });
+
+  contentBox.clutter_text.set_text(summary || "");
+  contentBox.clutter_text.set_line_wrap(true);
+  contentBox.clutter_text.set_single_line_mode(false);
+  contentBox.clutter_text.set_activatable(false);
+  contentBox.clutter_text.set_editable(false);
+  contentBox.clutter_text.set_max_length(0);
+  contentBox.clutter_text.set_ellipsize(Pango.EllipsizeMode.NONE);
+  contentBox.clutter_text.set_selectable(true);
+  summaryBox.add_child(contentBox);
+
+  // The same button switches to editing and saves the edited text
+  editButton.connect("clicked", () => {
+    const editing = contentBox.clutter_text.get_editable();
+    if (editing) {
+      onSave(contentBox.clutter_text.get_text());
+    } else {
+      contentBox.grab_key_focus();
+    }
+    contentBox.clutter_text.set_editable(!editing);
+    editButton.set_label(editing ? "Edit" : "Save");
+  });
+
+  return summaryBox;
+}
+
+/**
+ * Creates the row under a user message with an Edit button and, once the
+ * message was edited, "< 1/2 >" controls to switch between its versions
+ * @param {Object} options - Row options
+ * @param {Object|null} options.versions - { position, count } of the message
+ * @param {Function} options.onEdit - Called when Edit is clicked
+ * @param {Function} options.onSwitch - Called with -1 or 1 to show the previous or next version
+ * @returns {St.BoxLayout} The created row
+ */
+export function createMessageActions({ versions, onEdit, onSwitch }) {
+  const actionsBox = new St.BoxLayout({
+    style_class: "message-actions",
+    x_align: Clutter.ActorAlign.END,
+  });
+
+  if (versions && versions.count > 1) {
+    const previousButton = new St.Button({ style_class: "message-action-button", label: "<" });
+    const nextButton = new St.Button({ style_class: "message-action-button", label: ">" });
+    previousButton.reactive = versions.position > 1;
+    nextButton.reactive = versions.position < versions.count;
+    previousButton.connect("clicked", () => onSwitch(-1));
+    nextButton.connect("clicked", () => onSwitch(1));
+
+    actionsBox.add_child(previousButton);
+    actionsBox.add_child(new St.Label({
+      text: `${versions.position}/${versions.count}`,
+      style_class: "message-version-label",
+      y_align: Clutter.ActorAlign.CENTER,
+    }));
+    actionsBox.add_child(nextButton);
+  }
+
+  const editButton = new St.Button({ style_class: "message-action-button", label: "Edit" });
+  editButton.connect("clicked", onEdit);
+  actionsBox.add_child(editButton);
+
+  return actionsBox;
+}
+
+/**
+ * Creates an editor for a sent message
+ * @param {string} text - The message text
+ * @param {Object} handlers - Editor actions
+ * @param {Function} handlers.onSend - Called with the edited text
+ * @param {Function} handlers.onCancel - Called when editing is cancelled
+ * @returns {St.BoxLayout} The created editor
+ */
+export function createMessageEditor(text, { onSend, onCancel }) {
+  const editorBox = new St.BoxLayout({ vertical: true, style_class: "message-editor", x_expand: true });
+
+  const entry = new St.Entry({
+    style_class: "message-editor-entry",
+    x_expand: true,
+    can_focus: true,
+  });
+  entry.clutter_text.set_text(text);
+  entry.clutter_text.set_line_wrap(true);
+  entry.clutter_text.set_single_line_mode(false);
+  entry.clutter_text.set_activatable(false);
+  entry.clutter_text.set_ellipsize(Pango.EllipsizeMode.NONE);
+  editorBox.add_child(entry);
+
+  const buttonsBox = new St.BoxLayout({ style_class: "message-actions", x_align: Clutter.ActorAlign.END });
+  const cancelButton = new St.Button({ style_class: "message-action-button", label: "Cancel" });
+  const sendButton = new St.Button({ style_class: "message-action-button", label: "Send" });
+  cancelButton.connect("clicked", onCancel);
+  sendButton.connect("clicked", () => onSend(entry.clutter_text.get_text()));
+  buttonsBox.add_child(cancelButton);
+  buttonsBox.add_child(sendButton);
+  editorBox.add_child(buttonsBox);
+
+  // Enter sends like in the input field, Escape cancels
+  entry.clutter_text.connect("key-press-event", (actor, event) => {
+    const key = event.get_key_symbol();
+    const modifiers = event.get_state() & (Clutter.ModifierType.CONTROL_MASK | Clutter.ModifierType.SHIFT_MASK);
+    if (key === Clutter.KEY_Escape) {
+      onCancel();
+      return Clutter.EVENT_STOP;
+    }
+    if ((key === Clutter.KEY_Return || key === Clutter.KEY_KP_Enter) && !modifiers) {
+      onSend(entry.clutter_text.get_text());
+      return Clutter.EVENT_STOP;
+    }
+    return Clutter.EVENT_PROPAGATE;
+  });
+
+  GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+    entry.grab_key_focus();
+    return GLib.SOURCE_REMOVE;
+  });
+
+  return editorBox;
+}
+
+// Status line shown in a tool call card's header
+const TOOL_STATUS_TEXT = {
+  approval: "waiting for approval",
+  running: "running…",
+  done: "done",
+  denied: "denied",
+  error: "failed",
+};
+
+/**
+ * Creates a wrapped, selectable label for tool call details
+ * @param {string} text - Label text
+ * @returns {St.Label} The created label
+ */
+function createToolDetailLabel(text) {
+  const label = new St.Label({
+    text,
+    style_class: "tool-call-detail",
+    x_expand: true,
+  });
+  label.clutter_text.set_line_wrap(true);
+  label.clutter_text.set_line_wrap_mode(Pango.WrapMode.WORD_CHAR);
+  label.clutter_text.set_ellipsize(Pango.EllipsizeMode.NONE);
+  label.clutter_text.set_selectable(true);
+  return label;
+}
+
+/**
+ * Creates the Run and Deny buttons of a tool call that needs approval
+ * @returns {Object} Button row and its two buttons
+ */
+function createToolApprovalRow() {
+  const approvalRow = new St.BoxLayout({
+    style_class: "tool-call-approval",
+    x_expand: true,
+    visible: false,
+  });
+
+  const runButton = new St.Button({
+    style_class: "execute-button",
+    style:
+      "background-color: #2e7d32; color: white; border-radius: 3px; padding: 2px 8px; font-size: 10px; margin-right: 6px;",
+    label: "Run",
+  });
+  const denyButton = new St.Button({
+    style_class: "code-button",
+    style:
+      "background-color: #555; color: white; border-radius: 3px; padding: 2px 8px; font-size: 10px;",
+    label: "Deny",
+  });
+
+  approvalRow.add_child(runButton);
+  approvalRow.add_child(denyButton);
+  return { approvalRow, runButton, denyButton };
+}
+
+/**
+ * Creates the hidden body of a tool call card with the arguments, the result
+ * and the approval buttons
+ * @param {Object} call - Tool call with name and arguments
+ * @returns {Object} Body box, result label, approval row and its buttons
+ */
+function createToolCallBody(call) {
+  const body = new St.BoxLayout({ vertical: true, style_class: "tool-call-body", visible: false });
+  body.add_child(createToolDetailLabel(JSON.stringify(call.arguments || {}, null, 2)));
+
+  const resultLabel = createToolDetailLabel("");
+  resultLabel.visible = false;
+  body.add_child(resultLabel);
+
+  const { approvalRow, runButton, denyButton } = createToolApprovalRow();
+  body.add_child(approvalRow);
+
+  return { body, resultLabel, approvalRow, runButton, denyButton };
+}
+
+/**
+ * Creates a collapsible card for a tool call made by the model. Clicking the
+ * header shows the arguments and result; calls that need approval open with
+ * Run and Deny buttons.
+ * @param {Object} call - Tool call with name and arguments
+ * @returns {Object} The card and update(event), which applies a status change
+ */
+export function createToolCallCard(call) {
+  const card = new St.BoxLayout({
+    vertical: true,
+    style_class: "tool-call-card",
+    x_expand: true,
+  });
+
+  const headerButton = new St.Button({ style_class: "tool-call-header", x_expand: true });
+  const headerLabel = new St.Label({ text: `▸ Tool: ${call.name}`, x_expand: true });
+  headerButton.set_child(headerLabel);
+  card.add_child(headerButton);
+
+  const { body, resultLabel, approvalRow, runButton, denyButton } = createToolCallBody(call);
+  card.add_child(body);
+
+  let currentStatus = "";
+  let respond = null;
+  const refreshHeader = () => {
+    const statusText = TOOL_STATUS_TEXT[currentStatus] || currentStatus;
+    headerLabel.set_text(`${body.visible ? "▾" : "▸"} Tool: ${call.name} — ${statusText}`);
+  };
+  const answer = (approved) => {
+    if (respond) {
+      respond(approved);
+      respond = null;
+    }
+    approvalRow.hide();
+  };
+
+  headerButton.connect("clicked", () => {
+    body.visible = !body.visible;
+    refreshHeader();
+  });
+  runButton.connect("clicked", () => answer(true));
+  denyButton.connect("clicked", () => answer(false));
+
+  const update = (event) => {
+    currentStatus = event.status;
+    respond = event.status === "approval" ? event.respond : null;
+    approvalRow.visible = event.status === "approval";
+    if (event.status === "approval") body.show();
+    if (event.result) {
+      resultLabel.set_text(event.result);
+      resultLabel.show();
+    }
+    refreshHeader();
+  };
+  update(call);
+
+  return { card, update };
+}
+
+/**
+ * Creates a collapsible section for the reasoning of a reply, shown above the
+ * answer. Clicking the header shows or hides the reasoning text.
+ * @param {boolean} expanded - Whether the reasoning starts out visible
+ * @returns {Object} The section and update({ thinking, seconds, done })
+ */
+export function createThinkingSection(expanded) {
+  const section = new St.BoxLayout({
+    vertical: true,
+    style_class: "thinking-section",
+    x_expand: true,
+  });
+
+  const headerButton = new St.Button({ style_class: "thinking-header", x_expand: true });
+  const headerLabel = new St.Label({ x_expand: true });
+  headerButton.set_child(headerLabel);
+  section.add_child(headerButton);
+
+  const body = new St.BoxLayout({ vertical: true, style_class: "thinking-body", visible: expanded });
+  const textLabel = createTextLabel("");
+  textLabel.add_style_class_name("thinking-text");
+  body.add_child(textLabel);
+  section.add_child(body);
+
+  let title = "";
+  const refreshHeader = () => {
+    headerLabel.set_text(`${body.visible ? "▾" : "▸"} ${title}`);
+  };
+
+  headerButton.connect("clicked", () => {
+    body.visible = !body.visible;
+    refreshHeader();
+  });
+
+  const update = ({ thinking, seconds, done }) => {
+    if (typeof thinking === "string") {
+      textLabel.set_text(thinking);
+    }
+    title = done ? `Thought for ${seconds}s` : `Thinking… (${seconds}s)`;
+    refreshHeader();
+  };
+  update({ thinking: "", seconds: 0, done: false });
+
+  return { section, update };
+}
+
 /**
  * Creates a text label
  * @param {string} text - The text content
@@ -337,6 +693,45 @@ export function createTemporaryMessageLabel(text) {
   return tempLabel;
 }
 
+/**
+ * Creates the label naming the fallback model that wrote the reply below it
+ * @param {string} modelName - Model that answered
+ * @returns {St.Label} The label
+ */
+export function createAnsweredByLabel(modelName) {
+  return new St.Label({
+    text: `Answered by ${modelName}`,
+    style_class: "answered-by-label",
+    x_expand: true,
+  });
+}
+
+/**
+ * Creates the footer showing the token usage of a reply
+ * @param {Object} usage - Input and output tokens, tokens per second and
+ *   estimated cost, the last two null when unknown, and the tokens and cost
+ *   of the conversation so far
+ * @returns {St.Label} The footer
+ */
+export function createUsageFooter({ inputTokens, outputTokens, tokensPerSecond, cost, conversation }) {
+  const parts = [`${inputTokens} in · ${outputTokens} out tokens`];
+  if (tokensPerSecond !== null) {
+    parts.push(`${tokensPerSecond.toFixed(1)} tokens/s`);
+  }
+  if (cost !== null) {
+    parts.push(`~${formatCost(cost)}`);
+  }
+  parts.push(cost === null ?
+    `conversation ${conversation.tokens} tokens` :
+    `conversation ${conversation.tokens} tokens, ~${formatCost(conversation.cost)}`);
+
+  return new St.Label({
+    text: parts.join(" · "),
+    style_class: "usage-footer",
+    x_expand: true,
+  });
+}
+
 /**
  * Creates a blockquote element
  * @param {string} content - The blockquote content